@@ -0,0 +1,129 @@
+// config/attendancePolicy.js
+// Attendance eligibility thresholds, per-student statuses and how they count, the edit lock
+// window, and the Good/Average/Poor buckets used by the register.
+// Defaults can be overridden with env vars, and per program via Program.attendancePolicy.
+
+const parsePercentage = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 && parsed <= 100 ? parsed : fallback;
+};
+
+const parseHours = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// ✅ Per-student statuses on an attendance record. Students in studentsPresent are present
+// (or late); everyone else is absent unless the record's studentStatuses says otherwise.
+const ATTENDANCE_STATUS = {
+  PRESENT: 'present',
+  ABSENT: 'absent',
+  LATE: 'late',
+  ON_DUTY: 'on_duty',
+  MEDICAL_LEAVE: 'medical_leave',
+  EXCUSED: 'excused'
+};
+
+// Statuses stored in studentStatuses (present / absent are implied by studentsPresent)
+const RECORDED_STATUSES = [
+  ATTENDANCE_STATUS.LATE,
+  ATTENDANCE_STATUS.ON_DUTY,
+  ATTENDANCE_STATUS.MEDICAL_LEAVE,
+  ATTENDANCE_STATUS.EXCUSED
+];
+
+// Statuses a leave application can grant
+const LEAVE_TYPES = [
+  ATTENDANCE_STATUS.ON_DUTY,
+  ATTENDANCE_STATUS.MEDICAL_LEAVE,
+  ATTENDANCE_STATUS.EXCUSED
+];
+
+// How a status counts in percentages:
+//   attended: counts as a class attended
+//   absent:   counts as a class missed
+//   excluded: the class is left out of that student's total
+const STATUS_TREATMENTS = ['attended', 'absent', 'excluded'];
+
+// ✅ Minimum attendance for exam eligibility, the lower edge of the condonation band,
+// how late / on-duty / leave statuses count, and how many hours after the class day
+// teachers can still edit it (0 = never locked; later edits need admin approval)
+const DEFAULT_ATTENDANCE_POLICY = {
+  minimumPercentage: parsePercentage(process.env.ATTENDANCE_MIN_PERCENT, 75),
+  condonationMinimum: parsePercentage(process.env.ATTENDANCE_CONDONATION_MIN_PERCENT, 65),
+  editLockHours: parseHours(process.env.ATTENDANCE_EDIT_LOCK_HOURS, 48),
+  statusTreatment: {
+    late: 'attended',
+    on_duty: 'attended',
+    medical_leave: 'excluded',
+    excused: 'excluded'
+  }
+};
+
+// Register status buckets: >= good → Good, >= average → Average, else Poor
+const STATUS_THRESHOLDS = {
+  good: 75,
+  average: 60
+};
+
+const ELIGIBILITY = {
+  ELIGIBLE: 'ELIGIBLE',       // at or above the minimum
+  CONDONED: 'CONDONED',       // inside the band, condonation approved
+  CONDONABLE: 'CONDONABLE',   // inside the band, no decision yet
+  SHORTAGE: 'SHORTAGE'        // below the band, or condonation rejected
+};
+
+function getAttendanceStatus(percentage) {
+  if (percentage >= STATUS_THRESHOLDS.good) return 'Good';
+  if (percentage >= STATUS_THRESHOLDS.average) return 'Average';
+  return 'Poor';
+}
+
+// Program overrides win over the defaults; a band above the minimum collapses to no band
+function resolveAttendancePolicy(program) {
+  const overrides = (program && program.attendancePolicy) || {};
+  const minimumPercentage = overrides.minimumPercentage ?? DEFAULT_ATTENDANCE_POLICY.minimumPercentage;
+  const condonationMinimum = Math.min(
+    overrides.condonationMinimum ?? DEFAULT_ATTENDANCE_POLICY.condonationMinimum,
+    minimumPercentage
+  );
+
+  const statusTreatment = { ...DEFAULT_ATTENDANCE_POLICY.statusTreatment };
+  Object.entries(overrides.statusTreatment || {}).forEach(([status, treatment]) => {
+    if (RECORDED_STATUSES.includes(status) && STATUS_TREATMENTS.includes(treatment)) {
+      statusTreatment[status] = treatment;
+    }
+  });
+
+  const editLockHours = overrides.editLockHours ?? DEFAULT_ATTENDANCE_POLICY.editLockHours;
+
+  return { minimumPercentage, condonationMinimum, statusTreatment, editLockHours };
+}
+
+// 'attended' | 'absent' | 'excluded' for one student's status in one class
+function getStatusTreatment(status, policy = DEFAULT_ATTENDANCE_POLICY) {
+  if (status === ATTENDANCE_STATUS.PRESENT) return 'attended';
+  if (status === ATTENDANCE_STATUS.ABSENT || !status) return 'absent';
+  return (policy.statusTreatment || DEFAULT_ATTENDANCE_POLICY.statusTreatment)[status] || 'absent';
+}
+
+// Eligibility before any condonation decision is taken into account
+function classifyEligibility(percentage, policy) {
+  if (percentage >= policy.minimumPercentage) return ELIGIBILITY.ELIGIBLE;
+  if (percentage >= policy.condonationMinimum) return ELIGIBILITY.CONDONABLE;
+  return ELIGIBILITY.SHORTAGE;
+}
+
+module.exports = {
+  ATTENDANCE_STATUS,
+  RECORDED_STATUSES,
+  LEAVE_TYPES,
+  STATUS_TREATMENTS,
+  DEFAULT_ATTENDANCE_POLICY,
+  STATUS_THRESHOLDS,
+  ELIGIBILITY,
+  getAttendanceStatus,
+  resolveAttendancePolicy,
+  getStatusTreatment,
+  classifyEligibility
+};
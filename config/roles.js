@@ -0,0 +1,66 @@
+// config/roles.js
+// Server-side teacher allowlist and role → permission model.
+// Roles come from Teacher.role ('teacher' | 'admin').
+
+const parseEmailList = (value) =>
+  (value || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+// Emails allowed to use the app (checked on every request; a Teacher record is created on first request)
+const AUTHORIZED_TEACHERS = parseEmailList(process.env.AUTHORIZED_TEACHERS);
+
+// Emails made admin when their Teacher record is created, or while no admin account exists yet
+// (bootstraps the first admin; later role changes go through PUT /api/teachers/:firebaseUID)
+const ADMIN_EMAILS = parseEmailList(process.env.ADMIN_EMAILS);
+
+const ROLES = ['teacher', 'admin'];
+
+// ✅ Which roles may perform which action
+const PERMISSIONS = {
+  'attendance:read': ['teacher', 'admin'],
+  'attendance:write': ['teacher', 'admin'],
+  'attendance:approve': ['admin'],
+  'reports:read': ['teacher', 'admin'],
+  'messages:send': ['admin'],
+  'promotion:run': ['admin'],
+  'teachers:manage': ['admin'],
+  'assignments:manage': ['admin'],
+  'programs:manage': ['admin'],
+  'students:manage': ['admin'],
+  'subjects:manage': ['admin'],
+  'condonation:approve': ['admin'],
+  'leave:approve': ['admin'],
+  'calendar:manage': ['admin'],
+  'system:debug': ['admin']
+};
+
+// Only emails the Firebase token marks as verified are matched against the lists
+function isAuthorizedEmail(email, emailVerified) {
+  if (!email || emailVerified !== true) return false;
+  const normalized = email.toLowerCase();
+  return AUTHORIZED_TEACHERS.includes(normalized) || ADMIN_EMAILS.includes(normalized);
+}
+
+function isAdminEmail(email, emailVerified) {
+  return !!email && emailVerified === true && ADMIN_EMAILS.includes(email.toLowerCase());
+}
+
+function hasPermission(role, permission) {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: "${permission}"`);
+  }
+  return allowedRoles.includes(role);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  AUTHORIZED_TEACHERS,
+  ADMIN_EMAILS,
+  isAuthorizedEmail,
+  isAdminEmail,
+  hasPermission
+};
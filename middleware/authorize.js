@@ -0,0 +1,119 @@
+const Teacher = require('../models/Teacher');
+const SubjectAssignment = require('../models/SubjectAssignment');
+const { isAuthorizedEmail, isAdminEmail, hasPermission } = require('../config/roles');
+
+// Runs after verifyToken: resolves the Teacher record and role for req.user
+const loadTeacher = async (req, res, next) => {
+  try {
+    const { uid, email, emailVerified, name } = req.user;
+
+    // Checked on every request: accounts created by the old open queue routes are not let in
+    // unless their email is on the allowlist
+    if (!isAuthorizedEmail(email, emailVerified)) {
+      return res.status(403).json({
+        success: false,
+        error: emailVerified
+          ? 'Access denied. This account is not registered as a teacher.'
+          : 'Access denied. Verify your email address before signing in.'
+      });
+    }
+
+    let teacher = await Teacher.findOne({ firebaseUID: uid });
+    const isNew = !teacher;
+
+    if (isNew) {
+      teacher = await Teacher.findOrCreate(uid, email, name);
+    }
+
+    if (!teacher.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. This teacher account has been deactivated.'
+      });
+    }
+
+    // Bootstrap admins listed in ADMIN_EMAILS: only a new account, or while there is no admin yet,
+    // so a demotion through PUT /api/teachers/:firebaseUID is not undone on the next request
+    if (teacher.role !== 'admin' && isAdminEmail(email, emailVerified) &&
+        (isNew || !(await Teacher.exists({ role: 'admin', isActive: true })))) {
+      teacher.role = 'admin';
+      await teacher.save();
+    }
+
+    req.teacher = teacher;
+    req.user.role = teacher.role;
+
+    next();
+  } catch (error) {
+    console.error('Teacher lookup failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify teacher account'
+    });
+  }
+};
+
+// Allows the request only if the user's role grants the given permission
+const requirePermission = (permission) => (req, res, next) => {
+  const role = req.user && req.user.role;
+
+  if (!role || !hasPermission(role, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: `Access denied. Your role (${role || 'none'}) cannot perform "${permission}".`
+    });
+  }
+
+  next();
+};
+
+// Allows the request only for the listed roles
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.user && req.user.role;
+
+  if (!role || !roles.includes(role)) {
+    return res.status(403).json({
+      success: false,
+      error: `Access denied. Requires role: ${roles.join(' or ')}.`
+    });
+  }
+
+  next();
+};
+
+// Allows the request only if the teacher is assigned to :stream/:sem/:subject (admins bypass).
+// Runs after validateParams, which resolves :stream to the program code assignments store.
+const requireSubjectAssignment = async (req, res, next) => {
+  try {
+    if (req.user && req.user.role === 'admin') {
+      return next();
+    }
+
+    const { subject } = req.params;
+    const { stream, semester: sem } = req.validatedParams;
+    const assigned = await SubjectAssignment.isAssigned(req.user.uid, stream, sem, subject);
+
+    if (!assigned) {
+      return res.status(403).json({
+        success: false,
+        error: 'SUBJECT_NOT_ASSIGNED',
+        message: `You are not assigned to ${subject} in ${stream} Semester ${sem}. Contact an admin to get this subject assigned.`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Subject assignment check failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify subject assignment'
+    });
+  }
+};
+
+module.exports = {
+  loadTeacher,
+  requirePermission,
+  requireRole,
+  requireSubjectAssignment
+};
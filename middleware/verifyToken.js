@@ -20,6 +20,7 @@ const verifyToken = async (req, res, next) => {
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
+      emailVerified: decodedToken.email_verified === true,
       name: decodedToken.name || decodedToken.email.split('@')[0]
     };
 
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// ACADEMIC CALENDAR (terms, holidays, exam blocks, special working days)
+// ==========================================
+
+// All dates are whole days stored as midnight UTC, like attendance record dates
+
+const TermSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    trim: true
+  },
+  // Semesters taught in this term, e.g. [1, 3, 5]; empty = every semester
+  semesters: {
+    type: [Number],
+    default: []
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Term start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Term end date is required']
+  }
+}, { _id: false });
+
+const CalendarEventSchema = new mongoose.Schema({
+  // holiday:     no classes
+  // exam:        exam block, no regular classes
+  // working_day: special working day on a weekly off (e.g. a working Saturday)
+  type: {
+    type: String,
+    enum: {
+      values: ['holiday', 'exam', 'working_day'],
+      message: 'Event type must be holiday, exam or working_day'
+    },
+    required: [true, 'Event type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Event title is required'],
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Event start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Event end date is required']
+  },
+  // Semesters the event applies to; empty = every semester
+  semesters: {
+    type: [Number],
+    default: []
+  }
+}, { _id: true });
+
+const AcademicCalendarSchema = new mongoose.Schema({
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    trim: true
+  },
+  // Program code from the registry; null = college-wide calendar used by programs without their own
+  stream: {
+    type: String,
+    default: null
+  },
+  terms: {
+    type: [TermSchema],
+    validate: {
+      validator: (terms) => terms.length > 0,
+      message: 'At least one term is required'
+    }
+  },
+  events: {
+    type: [CalendarEventSchema],
+    default: []
+  },
+  // Days of the week without classes (0 = Sunday ... 6 = Saturday)
+  weeklyOffDays: {
+    type: [Number],
+    default: [0, 6]
+  },
+  // reject: attendance on a non-working day is refused; warn: accepted with a warning
+  enforcement: {
+    type: String,
+    enum: ['reject', 'warn'],
+    default: 'warn'
+  },
+  // First term start / last term end, kept in sync for date lookups
+  startDate: Date,
+  endDate: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+AcademicCalendarSchema.pre('validate', function(next) {
+  (this.terms || []).forEach((term, index) => {
+    if (term.startDate && term.endDate && term.startDate > term.endDate) {
+      this.invalidate(`terms.${index}.endDate`, `Term "${term.name}" ends before it starts`);
+    }
+  });
+  (this.events || []).forEach((event, index) => {
+    if (event.startDate && event.endDate && event.startDate > event.endDate) {
+      this.invalidate(`events.${index}.endDate`, `Event "${event.title}" ends before it starts`);
+    }
+  });
+  if ((this.weeklyOffDays || []).some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    this.invalidate('weeklyOffDays', 'Weekly off days must be 0 (Sunday) to 6 (Saturday)');
+  }
+
+  if (this.terms && this.terms.length > 0 && this.terms.every(t => t.startDate && t.endDate)) {
+    this.startDate = new Date(Math.min(...this.terms.map(t => t.startDate)));
+    this.endDate = new Date(Math.max(...this.terms.map(t => t.endDate)));
+  }
+  next();
+});
+
+AcademicCalendarSchema.index({ stream: 1, academicYear: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+AcademicCalendarSchema.index({ startDate: 1, endDate: 1 });
+
+// Static method to get the calendar in force for a program on a date
+// (the program's own calendar wins over the college-wide one)
+AcademicCalendarSchema.statics.findForDate = async function(stream, date) {
+  const calendars = await this.find({
+    stream: { $in: [stream, null] },
+    isActive: true,
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  }).lean();
+
+  return calendars.find(c => c.stream === stream) || calendars.find(c => c.stream === null) || null;
+};
+
+module.exports = mongoose.model('AcademicCalendar', AcademicCalendarSchema);
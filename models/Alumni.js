@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// ALUMNI ARCHIVE (graduated students, kept instead of deleted)
+// ==========================================
+
+const AlumniSchema = new mongoose.Schema({
+  studentID: {
+    type: String,
+    required: [true, 'Student ID is required'],
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  // Program code from the registry, e.g. "BCom A and F"
+  stream: {
+    type: String,
+    required: [true, 'Stream is required']
+  },
+  parentPhone: String,
+  languageSubject: String,
+  section: String,
+  originalSemester: Number,
+  finalSemester: {
+    type: Number,
+    required: true
+  },
+  graduationBatch: {
+    type: String,
+    required: [true, 'Graduation batch is required']
+  },
+  graduationYear: {
+    type: String,
+    required: true
+  },
+  graduatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the student first joined, used as the start of their first semester's attendance window
+  enrolledAt: Date,
+  migrationHistory: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // The semester-collection document exactly as it was at graduation
+  record: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+AlumniSchema.index({ studentID: 1, stream: 1, graduationBatch: 1 }, { unique: true });
+AlumniSchema.index({ stream: 1, graduationYear: 1 });
+AlumniSchema.index({ name: 1 });
+
+// Static method to build an alumni document from a final-semester student document
+AlumniSchema.statics.fromStudent = function(student, { stream, finalSemester, graduationBatch, graduatedAt }) {
+  return {
+    studentID: student.studentID,
+    name: student.name,
+    stream,
+    parentPhone: student.parentPhone || null,
+    languageSubject: student.languageSubject || null,
+    section: student.section || null,
+    originalSemester: student.originalSemester || null,
+    finalSemester,
+    graduationBatch,
+    graduationYear: graduatedAt.getFullYear().toString(),
+    graduatedAt,
+    // Promoted copies are re-created every semester, so only a never-promoted record knows its join date
+    enrolledAt: (student.migrationGeneration || 0) === 0
+      ? (student.addedToSemesterDate || student.createdAt || null)
+      : null,
+    migrationHistory: student.migrationHistory || [],
+    record: student
+  };
+};
+
+module.exports = mongoose.model('Alumni', AlumniSchema, 'alumni');
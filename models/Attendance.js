@@ -1,30 +1,167 @@
 const mongoose = require('mongoose');
+const { RECORDED_STATUSES } = require('../config/attendancePolicy');
+const { toDateKey, todayKey } = require('../utils/dateKeys');
 
+// ✅ Unified attendance collection: one document per stream / semester / subject / date
+// (replaces the per-subject "<stream>_sem<N>_<subject>_attendance" collections and BaseAttendance)
 const attendanceSchema = new mongoose.Schema({
   date: {
     type: Date,
-    required: true
+    required: [true, 'Date is required'],
+    validate: {
+      // Compared as college-timezone days: today's date is stored as UTC midnight, which is
+      // still in the future for the first 5½ hours of the day in IST
+      validator: function(v) {
+        return toDateKey(v) <= todayKey();
+      },
+      message: 'Attendance date cannot be in the future'
+    }
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    uppercase: true,
+    trim: true
   },
   stream: {
     type: String,
-    required: true
+    required: [true, 'Stream is required'],
+    uppercase: true
+  },
+  // ✅ Period / session of the day, so labs and double periods are separate records
+  period: {
+    type: Number,
+    default: 1,
+    min: [1, 'Period must be at least 1'],
+    max: [12, 'Period cannot exceed 12']
+  },
+  startTime: {
+    type: String,
+    default: null,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be HH:MM']
+  },
+  endTime: {
+    type: String,
+    default: null,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be HH:MM']
   },
   semester: {
     type: Number,
-    required: true
+    required: [true, 'Semester is required'],
+    min: 1,
+    max: 8
   },
-  subject: {
+  
+  // ✅ Language group support
+  isLanguageSubject: {
+    type: Boolean,
+    default: false
+  },
+  languageType: {
     type: String,
-    required: true
+    uppercase: true,
+    enum: {
+      values: ['KANNADA', 'HINDI', 'SANSKRIT', null],
+      message: 'Invalid language type'
+    },
+    default: null
   },
+  languageGroup: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  
   studentsPresent: {
     type: [String],
+    default: [],
+    validate: {
+      validator: function(arr) {
+        return arr.length <= this.totalPossibleStudents;
+      },
+      message: 'Present students cannot exceed total possible students'
+    }
+  },
+  // ✅ Students who are neither plainly present nor absent: late students stay in
+  // studentsPresent; on-duty / medical leave / excused students are not in it.
+  // source 'leave' entries come from an approved LeaveApplication (leaveId).
+  studentStatuses: {
+    type: [{
+      _id: false,
+      studentID: {
+        type: String,
+        required: true
+      },
+      status: {
+        type: String,
+        enum: {
+          values: RECORDED_STATUSES,
+          message: 'Invalid attendance status: {VALUE}'
+        },
+        required: true
+      },
+      source: {
+        type: String,
+        enum: ['manual', 'leave'],
+        default: 'manual'
+      },
+      leaveId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      }
+    }],
     default: []
   },
-  studentsTotal: {
+  totalStudents: {
     type: Number,
-    required: true
+    default: 0,
+    min: 0
+  },
+  totalPossibleStudents: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  presentCount: Number,
+  absentCount: Number,
+  attendancePercentage: {
+    type: Number,
+    default: function() {
+      if (this.totalPossibleStudents > 0) {
+        return ((this.studentsPresent.length / this.totalPossibleStudents) * 100).toFixed(2);
+      }
+      return 0;
+    }
+  },
+  
+  // ✅ Change tracking
+  markedBy: {
+    uid: String,
+    name: String,
+    email: String
+  },
+  markedAt: Date,
+  lastUpdated: Date,
+  updatedBy: String,
+  updateMethod: String,
+  // ✅ Incremented by every write, so editors can detect changes made since they loaded the
+  // record (optimistic concurrency). Records written before this field existed count as 0.
+  version: Number,
+  
+  // ✅ Provenance for records merged in by scripts/migrate-attendance.js
+  migratedFrom: {
+    type: String,
+    default: null
   }
+}, {
+  timestamps: true
 });
 
-module.exports = mongoose.model('BaseAttendance', attendanceSchema);
+// ✅ Indexes: unique per class session (date + period), plus whole-class-per-day lookups.
+// scripts/add-attendance-periods.js replaces the old date-only unique index on existing databases.
+attendanceSchema.index({ stream: 1, semester: 1, subject: 1, date: 1, period: 1 }, { unique: true });
+attendanceSchema.index({ stream: 1, semester: 1, date: 1 });
+attendanceSchema.index({ languageGroup: 1 });
+attendanceSchema.index({ 'studentStatuses.leaveId': 1 }, { sparse: true });
+
+module.exports = mongoose.model('AttendanceRecord', attendanceSchema, 'attendance_records');
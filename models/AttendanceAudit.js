@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// ATTENDANCE AUDIT LOG (append-only history of every attendance create / update)
+// ==========================================
+
+// The attendance of one session as it stood before or after a change
+const SnapshotSchema = new mongoose.Schema({
+  studentsPresent: {
+    type: [String],
+    default: []
+  },
+  studentStatuses: {
+    type: [{
+      _id: false,
+      studentID: String,
+      status: String,
+      source: String,
+      leaveId: mongoose.Schema.Types.ObjectId
+    }],
+    default: []
+  }
+}, { _id: false });
+
+const AttendanceAuditSchema = new mongoose.Schema({
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Attendance record id is required']
+  },
+  stream: {
+    type: String,
+    required: [true, 'Stream is required']
+  },
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  period: {
+    type: Number,
+    default: 1
+  },
+  // create:  first time the session was marked
+  // update:  re-marked, bulk edited, or a leave applied / withdrawn
+  // restore: put back to an earlier version from this log
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    required: true
+  },
+  // The route or process that made the change, e.g. "POST /attendance", "leave:approve"
+  source: {
+    type: String,
+    required: [true, 'Source is required']
+  },
+  changedBy: {
+    uid: String,
+    name: String,
+    email: String
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  before: {
+    type: SnapshotSchema,
+    default: null
+  },
+  after: {
+    type: SnapshotSchema,
+    required: true
+  },
+  // Students who became present / stopped being present
+  added: {
+    type: [String],
+    default: []
+  },
+  removed: {
+    type: [String],
+    default: []
+  },
+  // Students whose recorded status changed: { studentID, from, to } ('present' / 'absent' for none)
+  statusChanges: {
+    type: [{
+      _id: false,
+      studentID: String,
+      from: String,
+      to: String
+    }],
+    default: []
+  },
+  // Set on restore: the audit entry whose version was put back
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+});
+
+AttendanceAuditSchema.index({ stream: 1, semester: 1, subject: 1, date: 1, period: 1, changedAt: -1 });
+AttendanceAuditSchema.index({ recordId: 1, changedAt: -1 });
+
+// ✅ Append-only: entries are never edited or removed once written
+const refuseChange = function(next) {
+  next(new Error('Attendance audit entries are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  AttendanceAuditSchema.pre(operation, refuseChange);
+});
+AttendanceAuditSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+
+module.exports = mongoose.model('AttendanceAudit', AttendanceAuditSchema, 'attendance_audit');
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// ATTENDANCE CHANGE REQUEST (edits to sessions past the edit lock, pending admin approval)
+// ==========================================
+
+const userInfoFields = {
+  uid: String,
+  name: String,
+  email: String
+};
+
+const AttendanceChangeRequestSchema = new mongoose.Schema({
+  stream: {
+    type: String,
+    required: [true, 'Stream is required']
+  },
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    uppercase: true
+  },
+  // Same shape as the /update-attendance body: session key ("YYYY-MM-DD" / "YYYY-MM-DD#P2")
+  // → present studentIDs, and optionally session key → { studentID: status }
+  attendanceMap: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Attendance changes are required']
+  },
+  statusMap: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  sessionKeys: {
+    type: [String],
+    default: []
+  },
+  // Why the teacher needs the change
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // The route the edit was attempted on
+  source: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: userInfoFields,
+  reviewedBy: userInfoFields,
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // Reason given by the admin (required when rejecting)
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Summary of the update once an approved request has been applied
+  appliedResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+AttendanceChangeRequestSchema.index({ status: 1, createdAt: -1 });
+AttendanceChangeRequestSchema.index({ stream: 1, semester: 1, subject: 1, status: 1 });
+AttendanceChangeRequestSchema.index({ 'requestedBy.uid': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AttendanceChangeRequest', AttendanceChangeRequestSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// QR CHECK-IN SESSION (students check themselves in for one class session; the teacher
+// reviews the list and closes it into the attendance record)
+// ==========================================
+
+const userInfoFields = {
+  uid: String,
+  name: String,
+  email: String
+};
+
+const CheckInSchema = new mongoose.Schema({
+  studentID: {
+    type: String,
+    required: true
+  },
+  name: String,
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Rotation window of the token the student submitted
+  tokenWindow: Number,
+  // Device cookie of the phone that submitted it (one check-in per device per session)
+  deviceId: String,
+  ip: String,
+  userAgent: String
+}, { _id: false });
+
+const CheckInSessionSchema = new mongoose.Schema({
+  stream: {
+    type: String,
+    required: [true, 'Stream is required']
+  },
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    uppercase: true
+  },
+  // College-timezone class day (utils/dateKeys.js) and period being marked
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  period: {
+    type: Number,
+    default: 1
+  },
+  // The attendance queue item the session was opened from (Teacher.attendanceQueue[].id)
+  queueClassId: {
+    type: String,
+    default: null
+  },
+  openedBy: userInfoFields,
+  // Signs the rotating QR tokens; never sent to clients
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  tokenSeconds: {
+    type: Number,
+    required: true
+  },
+  // Students can check in until then; the teacher can review and close after it
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Students who may check in: the class (or language group) when the session was opened
+  roster: {
+    type: [{
+      _id: false,
+      studentID: String,
+      name: String
+    }],
+    default: []
+  },
+  checkIns: {
+    type: [CheckInSchema],
+    default: []
+  },
+  // open:    accepting check-ins
+  // closing: being written to the attendance record
+  // closed:  written (recordId / changeRequest set)
+  // cancelled: discarded by the teacher, nothing written
+  status: {
+    type: String,
+    enum: ['open', 'closing', 'closed', 'cancelled'],
+    default: 'open'
+  },
+  // Teacher corrections applied on close: { studentID: 'present' | 'absent' }
+  overrides: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  closedBy: userInfoFields,
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Set instead of recordId when the session was past the edit lock when closed
+  changeRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One live session per class session
+CheckInSessionSchema.index(
+  { stream: 1, semester: 1, subject: 1, date: 1, period: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'closing'] } } }
+);
+CheckInSessionSchema.index({ 'openedBy.uid': 1, createdAt: -1 });
+
+module.exports = mongoose.model('CheckInSession', CheckInSessionSchema, 'checkin_sessions');
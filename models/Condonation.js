@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// ATTENDANCE CONDONATION DECISIONS
+// ==========================================
+
+const CondonationSchema = new mongoose.Schema({
+  studentID: {
+    type: String,
+    required: [true, 'Student ID is required'],
+    trim: true
+  },
+  stream: {
+    type: String,
+    required: [true, 'Stream is required'],
+    trim: true
+  },
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required'],
+    min: [1, 'Semester must be at least 1'],
+    max: [8, 'Semester cannot exceed 8']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    uppercase: true
+  },
+  // Stable id of the term the decision applies to (utils/eligibility.js resolveEligibilityTerm),
+  // e.g. "calendar:<calendarId>:Odd Semester"; decisions are matched on it
+  termId: {
+    type: String,
+    required: [true, 'Term is required']
+  },
+  // Readable name of that term, e.g. "2025-26 Odd Semester"
+  academicYear: {
+    type: String,
+    default: () => new Date().getFullYear().toString()
+  },
+  decision: {
+    type: String,
+    enum: ['approved', 'rejected'],
+    required: [true, 'Decision is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required for every condonation decision'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Snapshot of the numbers the decision was based on
+  attended: Number,
+  total: Number,
+  percentageAtDecision: Number,
+  policy: {
+    minimumPercentage: Number,
+    condonationMinimum: Number
+  },
+  approvedBy: {
+    uid: String,
+    name: String,
+    email: String
+  },
+  decidedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Revoked decisions are kept for the record but no longer apply
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  revokedBy: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One active decision per student/subject/term; revoked ones can pile up
+CondonationSchema.index(
+  { studentID: 1, stream: 1, semester: 1, subject: 1, termId: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+CondonationSchema.index({ stream: 1, semester: 1, termId: 1, isActive: 1 });
+CondonationSchema.index({ stream: 1, semester: 1, decidedAt: -1 });
+
+// Static method to load the active decisions for a class, keyed "studentID|SUBJECT"
+CondonationSchema.statics.findActiveForClass = async function(stream, semester, termId) {
+  const decisions = await this.find({
+    stream,
+    semester: parseInt(semester),
+    termId,
+    isActive: true
+  }).lean();
+
+  return new Map(decisions.map(d => [`${d.studentID}|${d.subject}`, d]));
+};
+
+module.exports = mongoose.model('Condonation', CondonationSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// IDEMPOTENCY RECORD (results of client-keyed requests, replayed for retries)
+// ==========================================
+
+const IdempotencyRecordSchema = new mongoose.Schema({
+  // Client-generated key, unique per user
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required']
+  },
+  uid: {
+    type: String,
+    required: [true, 'User id is required']
+  },
+  // What the key was used for, e.g. "attendance:BCA:5:MATHS"
+  scope: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body, so a key reused for a different submission is caught
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // pending: the first request is still running; completed: statusCode / response are stored
+  state: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  // When the running request claimed the key; a pending claim older than the pending timeout
+  // (utils/idempotency.js) is treated as abandoned and taken over by the next retry
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+IdempotencyRecordSchema.index({ uid: 1, key: 1 }, { unique: true });
+// Keys are kept for a week; offline queues are expected to sync well within that
+IdempotencyRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyRecord', IdempotencyRecordSchema, 'idempotency_records');
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { LEAVE_TYPES } = require('../config/attendancePolicy');
+
+// ==========================================
+// LEAVE APPLICATIONS (on-duty, medical leave, excused absence)
+// ==========================================
+
+const ReviewerSchema = new mongoose.Schema({
+  uid: String,
+  name: String,
+  email: String
+}, { _id: false });
+
+const LeaveApplicationSchema = new mongoose.Schema({
+  studentID: {
+    type: String,
+    required: [true, 'Student ID is required'],
+    trim: true,
+    uppercase: true
+  },
+  studentName: {
+    type: String,
+    default: null
+  },
+  // Program code from the registry, e.g. "BCom A and F"
+  stream: {
+    type: String,
+    required: [true, 'Stream is required']
+  },
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required'],
+    min: 1,
+    max: 8
+  },
+  // Whole days, inclusive, stored as midnight UTC like attendance dates
+  fromDate: {
+    type: Date,
+    required: [true, 'From date is required']
+  },
+  toDate: {
+    type: Date,
+    required: [true, 'To date is required']
+  },
+  leaveType: {
+    type: String,
+    enum: {
+      values: LEAVE_TYPES,
+      message: 'Leave type must be one of: ' + LEAVE_TYPES.join(', ')
+    },
+    required: [true, 'Leave type is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  appliedBy: ReviewerSchema,
+  reviewedBy: ReviewerSchema,
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    default: null
+  },
+  // Attendance records the approved leave was applied to
+  appliedToRecords: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+LeaveApplicationSchema.pre('validate', function(next) {
+  if (this.fromDate && this.toDate && this.fromDate > this.toDate) {
+    this.invalidate('toDate', 'To date cannot be before from date');
+  }
+  next();
+});
+
+LeaveApplicationSchema.index({ stream: 1, semester: 1, status: 1, fromDate: 1, toDate: 1 });
+LeaveApplicationSchema.index({ studentID: 1, fromDate: -1 });
+
+// Static method to get approved leaves of a class covering one date
+LeaveApplicationSchema.statics.findApprovedForDate = function(stream, semester, date) {
+  return this.find({
+    stream,
+    semester: parseInt(semester),
+    status: 'approved',
+    fromDate: { $lte: date },
+    toDate: { $gte: date }
+  }).lean();
+};
+
+module.exports = mongoose.model('LeaveApplication', LeaveApplicationSchema);
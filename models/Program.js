@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { STATUS_TREATMENTS } = require('../config/attendancePolicy');
+
+// ==========================================
+// PROGRAM (STREAM) REGISTRY
+// ==========================================
+
+const ProgramSchema = new mongoose.Schema({
+  // Identifier used in URLs and on student/subject records, e.g. "BCom A and F"
+  code: {
+    type: String,
+    required: [true, 'Program code is required'],
+    unique: true,
+    trim: true
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true
+  },
+  // Prefix of the per-semester collections, e.g. "bcom_a_and_f" → bcom_a_and_f_sem5_students
+  slug: {
+    type: String,
+    required: [true, 'Collection slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^[a-z0-9][a-z0-9_-]*$/.test(v);
+      },
+      message: 'Slug may only contain lowercase letters, digits, "_" and "-"'
+    }
+  },
+  semesters: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(arr) {
+        return arr.length > 0 && arr.every(s => Number.isInteger(s) && s >= 1 && s <= 8);
+      },
+      message: 'Semesters must be a non-empty list of numbers between 1-8'
+    }
+  },
+  sections: {
+    type: [String],
+    default: []
+  },
+  // Overrides config/attendancePolicy.js defaults; unset fields fall back to them
+  attendancePolicy: {
+    minimumPercentage: {
+      type: Number,
+      min: [0, 'Minimum attendance cannot be below 0%'],
+      max: [100, 'Minimum attendance cannot exceed 100%']
+    },
+    condonationMinimum: {
+      type: Number,
+      min: [0, 'Condonation minimum cannot be below 0%'],
+      max: [100, 'Condonation minimum cannot exceed 100%']
+    },
+    // Hours after the class day until teachers' edits need admin approval (0 = never locked)
+    editLockHours: {
+      type: Number,
+      min: [0, 'Edit lock hours cannot be negative']
+    },
+    // attended / absent / excluded per status, e.g. { medical_leave: 'absent' }
+    statusTreatment: {
+      late: { type: String, enum: STATUS_TREATMENTS },
+      on_duty: { type: String, enum: STATUS_TREATMENTS },
+      medical_leave: { type: String, enum: STATUS_TREATMENTS },
+      excused: { type: String, enum: STATUS_TREATMENTS }
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Keep semesters sorted/unique and section names normalized
+ProgramSchema.pre('validate', function(next) {
+  if (Array.isArray(this.semesters)) {
+    this.semesters = [...new Set(this.semesters.map(Number))].sort((a, b) => a - b);
+  }
+  if (Array.isArray(this.sections)) {
+    this.sections = [...new Set(this.sections.map(s => s.toString().trim().toUpperCase()).filter(Boolean))];
+  }
+  const policy = this.attendancePolicy || {};
+  if (policy.minimumPercentage != null && policy.condonationMinimum != null &&
+      policy.condonationMinimum > policy.minimumPercentage) {
+    this.invalidate('attendancePolicy.condonationMinimum', 'Condonation minimum cannot be above the minimum attendance');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Program', ProgramSchema);
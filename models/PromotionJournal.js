@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// PROMOTION JOURNAL (what each promotion moved, so it can be rolled back)
+// ==========================================
+
+const JournalEntrySchema = new mongoose.Schema({
+  // graduation: removed from the final semester
+  // promotion:  moved fromSemester → toSemester (a new copy was inserted into toSemester)
+  // removal:    inactive student deleted from fromSemester without being promoted
+  // exception:  detained / dropped student updated in place
+  // year_back:  moved fromSemester → toSemester (the start of the academic year)
+  action: {
+    type: String,
+    enum: ['graduation', 'promotion', 'removal', 'exception', 'year_back'],
+    required: true
+  },
+  studentID: {
+    type: String,
+    required: true
+  },
+  fromSemester: {
+    type: Number,
+    required: true
+  },
+  toSemester: {
+    type: Number,
+    default: null
+  },
+  // The student document exactly as it was before the promotion
+  document: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, { _id: false });
+
+const PromotionJournalSchema = new mongoose.Schema({
+  promotionBatch: {
+    type: String,
+    required: [true, 'Promotion batch is required'],
+    unique: true
+  },
+  stream: {
+    type: String,
+    required: [true, 'Stream is required']
+  },
+  semesters: {
+    type: [Number],
+    default: []
+  },
+  // Set when only one semester was promoted
+  singleSemester: {
+    type: Number,
+    default: null
+  },
+  promotedAt: {
+    type: Date,
+    default: Date.now
+  },
+  performedBy: {
+    uid: String,
+    name: String,
+    email: String
+  },
+  totals: {
+    promoted: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 },
+    heldBack: { type: Number, default: 0 }
+  },
+  // Detained / year-back / dropped students with their reasons
+  exceptions: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  entries: {
+    type: [JournalEntrySchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'rolled_back'],
+    default: 'completed'
+  },
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackBy: {
+    uid: String,
+    name: String,
+    email: String
+  },
+  rollbackReport: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+PromotionJournalSchema.index({ stream: 1, promotedAt: -1 });
+
+module.exports = mongoose.model('PromotionJournal', PromotionJournalSchema);
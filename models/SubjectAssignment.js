@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Term new assignments default to and the only one whose assignments authorize attendance
+// (ACADEMIC_YEAR, e.g. "2025-26", or else the calendar year)
+const currentAcademicYear = () => process.env.ACADEMIC_YEAR || new Date().getFullYear().toString();
+
+// ==========================================
+// TEACHER ↔ SUBJECT ASSIGNMENT REGISTRY
+// ==========================================
+
+const SubjectAssignmentSchema = new mongoose.Schema({
+  teacherUID: {
+    type: String,
+    required: [true, 'Teacher firebaseUID is required'],
+    index: true
+  },
+  teacherEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  teacherName: {
+    type: String,
+    trim: true
+  },
+  stream: {
+    type: String,
+    required: [true, 'Stream is required'],
+    trim: true
+  },
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required'],
+    min: [1, 'Semester must be at least 1'],
+    max: [8, 'Semester cannot exceed 8']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    uppercase: true
+  },
+  academicYear: {
+    type: String,
+    default: currentAcademicYear
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  assignedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+SubjectAssignmentSchema.index(
+  { teacherUID: 1, stream: 1, semester: 1, subject: 1, academicYear: 1 },
+  { unique: true }
+);
+SubjectAssignmentSchema.index({ stream: 1, semester: 1, subject: 1 });
+
+SubjectAssignmentSchema.statics.currentAcademicYear = currentAcademicYear;
+
+// Static method to check whether a teacher holds an active assignment for the current term
+// (stream is the program code)
+SubjectAssignmentSchema.statics.isAssigned = async function(teacherUID, stream, semester, subject) {
+  if (!teacherUID || !stream || !semester || !subject) return false;
+
+  const assignment = await this.exists({
+    teacherUID,
+    stream,
+    semester: parseInt(semester),
+    subject: subject.toString().trim().toUpperCase(),
+    academicYear: currentAcademicYear(),
+    isActive: true
+  });
+
+  return !!assignment;
+};
+
+// Static method to list a teacher's active assignments for the current term
+SubjectAssignmentSchema.statics.findForTeacher = function(teacherUID) {
+  return this.find({ teacherUID, academicYear: currentAcademicYear(), isActive: true })
+    .sort({ stream: 1, semester: 1, subject: 1 })
+    .lean();
+};
+
+module.exports = mongoose.model('SubjectAssignment', SubjectAssignmentSchema);
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const { findProgram } = require('../utils/programRegistry');
+
+// ==========================================
+// MONGOOSE SCHEMA DEFINITION
+// ==========================================
+
+const ClassSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  stream: {
+    type: String,
+    required: true,
+    validate: {
+      // Inactive programs still validate so queued classes don't block saves
+      validator: function(v) {
+        return !!findProgram(v, { includeInactive: true });
+      },
+      message: props => `Invalid stream: ${props.value}`
+    }
+  },
+  semester: {
+    type: String,
+    required: true,
+    validate: {
+      validator: function(v) {
+        const program = findProgram(this.stream, { includeInactive: true });
+        return !!program && program.semesters.includes(parseInt(v));
+      },
+      message: props => `Semester ${props.value} is not offered for this stream`
+    }
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  timeAdded: {
+    type: String,
+    required: true
+  },
+  dateAdded: {
+    type: String,
+    required: true
+  },
+  completedTime: {
+    type: String
+  },
+  completedDate: {
+    type: String
+  },
+  // ✅ The attendance record that completed this class (its session date and period), so the
+  // dashboard can open it directly
+  attendanceRecordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  attendanceDate: {
+    type: String,
+    default: null
+  },
+  attendancePeriod: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const TeacherSchema = new mongoose.Schema({
+  firebaseUID: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  attendanceQueue: [ClassSchema],
+  completedToday: [ClassSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  role: {
+    type: String,
+    default: 'teacher',
+    enum: ['teacher', 'admin']
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware to update lastUpdated
+TeacherSchema.pre('save', function(next) {
+  this.lastUpdated = new Date();
+  next();
+});
+
+// Static method to find or create teacher
+TeacherSchema.statics.findOrCreate = async function(firebaseUID, email, name) {
+  let teacher = await this.findOne({ firebaseUID });
+  
+  if (!teacher) {
+    teacher = new this({
+      firebaseUID,
+      email: email.toLowerCase(),
+      name: name || email.split('@')[0],
+      attendanceQueue: [],
+      completedToday: [],
+      isActive: true
+    });
+    await teacher.save();
+  }
+  
+  return teacher;
+};
+
+// Instance method to add class to queue
+TeacherSchema.methods.addToQueue = function(classData) {
+  // Check for duplicates
+  const isDuplicate = this.attendanceQueue.some(cls => 
+    cls.stream === classData.stream && 
+    cls.semester === classData.semester && 
+    cls.subject === classData.subject
+  );
+  
+  if (isDuplicate) {
+    throw new Error('This class is already in your queue');
+  }
+  
+  const newClass = {
+    id: Date.now().toString(),
+    stream: classData.stream.trim(),
+    semester: classData.semester.trim(),
+    subject: classData.subject.trim(),
+    timeAdded: new Date().toLocaleTimeString(),
+    dateAdded: new Date().toDateString(),
+    createdAt: new Date()
+  };
+  
+  this.attendanceQueue.push(newClass);
+  return newClass;
+};
+
+// Instance method to complete class with the attendance record that was saved for it
+// (attendance: { recordId, date: "YYYY-MM-DD", period })
+TeacherSchema.methods.completeClass = function(classId, attendance) {
+  const classIndex = this.attendanceQueue.findIndex(cls => cls.id === classId);
+  
+  if (classIndex === -1) {
+    throw new Error('Class not found in queue');
+  }
+  
+  const classToComplete = this.attendanceQueue[classIndex];
+  const completedClass = {
+    ...classToComplete.toObject(),
+    completedTime: new Date().toLocaleTimeString(),
+    completedDate: new Date().toDateString(),
+    attendanceRecordId: attendance ? attendance.recordId : null,
+    attendanceDate: attendance ? attendance.date : null,
+    attendancePeriod: attendance ? attendance.period : null
+  };
+  
+  // Remove from queue and add to completed
+  this.attendanceQueue.splice(classIndex, 1);
+  this.completedToday.push(completedClass);
+  
+  return completedClass;
+};
+
+// Queued class for a stream / semester / subject, matched by program code (queue items keep the
+// stream as entered) and case-insensitive subject
+TeacherSchema.methods.findQueuedClass = function({ stream, semester, subject }) {
+  return this.attendanceQueue.find(cls => {
+    const program = findProgram(cls.stream, { includeInactive: true });
+    return !!program && program.code === stream &&
+      parseInt(cls.semester) === parseInt(semester) &&
+      cls.subject.trim().toUpperCase() === String(subject).trim().toUpperCase();
+  }) || null;
+};
+
+// Instance method to remove class from queue
+TeacherSchema.methods.removeClass = function(classId) {
+  const initialLength = this.attendanceQueue.length;
+  this.attendanceQueue = this.attendanceQueue.filter(cls => cls.id !== classId);
+  
+  if (this.attendanceQueue.length === initialLength) {
+    throw new Error('Class not found in queue');
+  }
+  
+  return true;
+};
+
+// Create the model
+const Teacher = mongoose.model('Teacher', TeacherSchema);
+
+module.exports = Teacher;
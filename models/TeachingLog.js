@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// TEACHING LOG (one entry per class a teacher scheduled or took attendance for)
+// ==========================================
+
+const TeachingLogSchema = new mongoose.Schema({
+  teacherUID: {
+    type: String,
+    required: [true, 'Teacher firebaseUID is required']
+  },
+  teacherName: {
+    type: String,
+    default: null
+  },
+  teacherEmail: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  // Program code, e.g. "BCA"
+  stream: {
+    type: String,
+    required: [true, 'Stream is required']
+  },
+  semester: {
+    type: Number,
+    required: [true, 'Semester is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    uppercase: true,
+    trim: true
+  },
+  // College day (UTC midnight, see utils/dateKeys.js)
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  period: {
+    type: Number,
+    default: null
+  },
+  // scheduled: queued for the day, attendance not saved yet (missed once the day is over)
+  // taken:     attendance was saved for the class
+  // cancelled: removed from the queue without taking attendance
+  status: {
+    type: String,
+    enum: ['scheduled', 'taken', 'cancelled'],
+    default: 'scheduled'
+  },
+  queueClassId: {
+    type: String,
+    default: null
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  startTime: {
+    type: String,
+    default: null
+  },
+  endTime: {
+    type: String,
+    default: null
+  },
+  // From startTime / endTime, or TEACHING_PERIOD_MINUTES when the times were not entered
+  minutes: {
+    type: Number,
+    default: 0
+  },
+  totalStudents: {
+    type: Number,
+    default: 0
+  },
+  presentCount: {
+    type: Number,
+    default: 0
+  },
+  absentCount: {
+    type: Number,
+    default: 0
+  },
+  // The route or process that logged the class, e.g. "POST /attendance", "queue:add"
+  source: {
+    type: String,
+    default: null
+  },
+  takenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+TeachingLogSchema.index({ teacherUID: 1, date: -1 });
+TeachingLogSchema.index({ teacherUID: 1, status: 1, date: 1 });
+// One entry per attendance record, and one per queued class
+TeachingLogSchema.index(
+  { recordId: 1 },
+  { unique: true, partialFilterExpression: { recordId: { $type: 'objectId' } } }
+);
+TeachingLogSchema.index(
+  { teacherUID: 1, queueClassId: 1 },
+  { unique: true, partialFilterExpression: { queueClassId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('TeachingLog', TeachingLogSchema, 'teaching_logs');
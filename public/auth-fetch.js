@@ -0,0 +1,51 @@
+// auth-fetch.js
+// ✅ Attaches the signed-in teacher's Firebase ID token to every /api request.
+// Pages with a Firebase module set window.currentFirebaseUser so the token can be refreshed;
+// other pages fall back to the token cached in localStorage at login.
+(function () {
+  const originalFetch = window.fetch.bind(window);
+
+  async function getAuthToken() {
+    if (window.currentFirebaseUser) {
+      try {
+        const token = await window.currentFirebaseUser.getIdToken();
+        localStorage.setItem('authToken', token);
+        return token;
+      } catch (error) {
+        console.warn('⚠️ Could not refresh auth token:', error.message);
+      }
+    }
+    return localStorage.getItem('authToken');
+  }
+
+  function isApiRequest(url) {
+    try {
+      const parsed = new URL(url, window.location.origin);
+      return parsed.origin === window.location.origin && parsed.pathname.startsWith('/api/');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const url = typeof input === 'string' ? input : input.url;
+
+    if (!isApiRequest(url)) {
+      return originalFetch(input, init);
+    }
+
+    const headers = new Headers(init.headers || (typeof input !== 'string' ? input.headers : undefined));
+    if (!headers.has('Authorization')) {
+      const token = await getAuthToken();
+      if (token) headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const response = await originalFetch(input, { ...init, headers });
+
+    if (response.status === 401) {
+      console.warn('🔒 API request rejected: session expired or not signed in');
+    }
+
+    return response;
+  };
+})();
@@ -0,0 +1,17 @@
+// date-keys.js
+// ✅ "YYYY-MM-DD" of a day in the college's timezone, matching utils/dateKeys.js on the server.
+// toISOString() gives the UTC date, which is still yesterday until 05:30 IST.
+(function () {
+  const COLLEGE_TIMEZONE = 'Asia/Kolkata';
+
+  // en-CA formats dates as YYYY-MM-DD
+  window.collegeDateKey = function (date = new Date()) {
+    return date.toLocaleDateString('en-CA', { timeZone: COLLEGE_TIMEZONE });
+  };
+
+  // The date key `days` days from today (negative for the past)
+  window.collegeDateKeyOffset = function (days) {
+    const today = new Date(`${window.collegeDateKey()}T00:00:00.000Z`);
+    return new Date(today.getTime() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  };
+})();
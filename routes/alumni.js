@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+
+const Alumni = require('../models/Alumni');
+const { requirePermission } = require('../middleware/authorize');
+const { findProgram } = require('../utils/programRegistry');
+const { getSemesterWindows, buildStudentAttendanceHistory } = require('../utils/attendanceStats');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: find one alumnus; ?stream narrows it down when the same ID graduated from two programs
+const findAlumnus = async (studentID, stream) => {
+  const filter = { studentID: studentID.toString().trim().toUpperCase() };
+  if (stream) {
+    const program = findProgram(stream, { includeInactive: true });
+    filter.stream = program ? program.code : stream;
+  }
+
+  return Alumni.find(filter).sort({ graduatedAt: -1 }).lean();
+};
+
+// @route   GET /api/alumni
+// @desc    Search alumni by ID, name or parent phone (?q=), stream, graduation year or batch
+// @access  Private
+router.get('/alumni', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { q, stream, graduationYear, graduationBatch } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+
+    const filter = {};
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ studentID: pattern }, { name: pattern }, { parentPhone: pattern }];
+    }
+    if (stream) {
+      const program = findProgram(stream, { includeInactive: true });
+      filter.stream = program ? program.code : stream;
+    }
+    if (graduationYear) filter.graduationYear = graduationYear.toString();
+    if (graduationBatch) filter.graduationBatch = graduationBatch;
+
+    const [alumni, total] = await Promise.all([
+      Alumni.find(filter)
+        .select('-record -migrationHistory')
+        .sort({ graduatedAt: -1, studentID: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Alumni.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: alumni,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching alumni:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search alumni'
+    });
+  }
+});
+
+// @route   GET /api/alumni/:studentID
+// @desc    Full archived record of an alumnus
+// @access  Private
+router.get('/alumni/:studentID', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const matches = await findAlumnus(req.params.studentID, req.query.stream);
+
+    if (matches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Alumnus not found: ${req.params.studentID}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: matches[0],
+      otherRecords: matches.slice(1).map(a => ({ stream: a.stream, graduationBatch: a.graduationBatch, graduationYear: a.graduationYear }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching alumnus:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alumnus'
+    });
+  }
+});
+
+// @route   GET /api/alumni/:studentID/attendance
+// @desc    Semester-by-semester attendance history of an alumnus from the attendance records
+// @access  Private
+router.get('/alumni/:studentID/attendance', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const [alumnus] = await findAlumnus(req.params.studentID, req.query.stream);
+
+    if (!alumnus) {
+      return res.status(404).json({
+        success: false,
+        error: `Alumnus not found: ${req.params.studentID}`
+      });
+    }
+
+    const windows = getSemesterWindows({
+      migrationHistory: alumnus.migrationHistory,
+      finalSemester: alumnus.finalSemester,
+      enrolledAt: alumnus.enrolledAt,
+      leftAt: alumnus.graduatedAt
+    });
+
+    const history = await buildStudentAttendanceHistory({
+      stream: alumnus.stream,
+      studentID: alumnus.studentID,
+      languageSubject: alumnus.languageSubject,
+      windows
+    });
+
+    res.json({
+      success: true,
+      data: {
+        studentID: alumnus.studentID,
+        name: alumnus.name,
+        stream: alumnus.stream,
+        graduationYear: alumnus.graduationYear,
+        graduationBatch: alumnus.graduationBatch,
+        languageSubject: alumnus.languageSubject,
+        ...history
+      }
+    });
+
+  } catch (error) {
+    console.error('Error building alumni attendance history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build attendance history'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+
+const AcademicCalendar = require('../models/AcademicCalendar');
+const { requirePermission } = require('../middleware/authorize');
+const { findProgram } = require('../utils/programRegistry');
+const { toDay, checkAttendanceDate, listWorkingDays } = require('../utils/academicCalendar');
+const { isDateKey } = require('../utils/dateKeys');
+
+const MAX_RANGE_DAYS = 400;
+
+const CALENDAR_FIELDS = ['academicYear', 'terms', 'events', 'weeklyOffDays', 'enforcement'];
+
+// Helper: turn mongoose validation / duplicate errors into a 400/409 response
+const handleCalendarWriteError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'An active calendar already exists for this program and academic year'
+    });
+  }
+
+  console.error(fallbackMessage, error);
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+// Helper: "all" / empty → college-wide (null); otherwise the registry program code
+const resolveCalendarStream = (stream) => {
+  if (!stream || stream === 'all') return { code: null };
+  const program = findProgram(stream, { includeInactive: true });
+  return program ? { code: program.code } : { error: `Program not found: ${stream}` };
+};
+
+// Helper: validated program + semester from /:stream/sem:sem
+const resolveClass = (stream, sem) => {
+  const program = findProgram(stream, { includeInactive: true });
+  const semester = parseInt(sem);
+  return program && program.semesters.includes(semester) ? { program, semester } : null;
+};
+
+// @route   GET /api/calendars
+// @desc    List academic calendars (?stream=<code>|all, ?academicYear, ?includeInactive)
+// @access  Private
+router.get('/calendars', requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+    if (req.query.academicYear) filter.academicYear = req.query.academicYear;
+    if (req.query.stream) {
+      const { code, error } = resolveCalendarStream(req.query.stream);
+      if (error) {
+        return res.status(404).json({ success: false, error });
+      }
+      filter.stream = code;
+    }
+
+    const calendars = await AcademicCalendar.find(filter).sort({ startDate: -1, stream: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: calendars
+    });
+
+  } catch (error) {
+    console.error('Error listing calendars:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list calendars'
+    });
+  }
+});
+
+// @route   GET /api/calendars/:id
+// @desc    Get a single academic calendar
+// @access  Private
+router.get('/calendars/:id', requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const calendar = await AcademicCalendar.findById(req.params.id).lean();
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+
+  } catch (error) {
+    console.error('Error fetching calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendar'
+    });
+  }
+});
+
+// @route   POST /api/calendars
+// @desc    Create a calendar: { academicYear, stream (omit for college-wide), terms, events, weeklyOffDays, enforcement }
+// @access  Admin
+router.post('/calendars', requirePermission('calendar:manage'), async (req, res) => {
+  try {
+    const { code, error } = resolveCalendarStream(req.body.stream);
+    if (error) {
+      return res.status(404).json({ success: false, error });
+    }
+
+    const data = { stream: code, updatedBy: req.user.email };
+    CALENDAR_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const calendar = await AcademicCalendar.create(data);
+
+    res.status(201).json({
+      success: true,
+      message: `Academic calendar ${calendar.academicYear} created for ${code || 'all programs'}`,
+      data: calendar
+    });
+
+  } catch (error) {
+    handleCalendarWriteError(res, error, 'Failed to create calendar');
+  }
+});
+
+// @route   PUT /api/calendars/:id
+// @desc    Update terms, events, weekly offs, enforcement or active flag
+// @access  Admin
+router.put('/calendars/:id', requirePermission('calendar:manage'), async (req, res) => {
+  try {
+    const calendar = await AcademicCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar not found'
+      });
+    }
+
+    CALENDAR_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) calendar[field] = req.body[field];
+    });
+    if (req.body.isActive !== undefined) calendar.isActive = !!req.body.isActive;
+    calendar.updatedBy = req.user.email;
+
+    await calendar.save();
+
+    res.json({
+      success: true,
+      message: `Academic calendar ${calendar.academicYear} updated`,
+      data: calendar
+    });
+
+  } catch (error) {
+    handleCalendarWriteError(res, error, 'Failed to update calendar');
+  }
+});
+
+// @route   DELETE /api/calendars/:id
+// @desc    Deactivate a calendar (attendance dates are no longer checked against it)
+// @access  Admin
+router.delete('/calendars/:id', requirePermission('calendar:manage'), async (req, res) => {
+  try {
+    const calendar = await AcademicCalendar.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isActive: false, updatedBy: req.user.email } },
+      { new: true }
+    ).lean();
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Academic calendar ${calendar.academicYear} deactivated`
+    });
+
+  } catch (error) {
+    console.error('Error deactivating calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate calendar'
+    });
+  }
+});
+
+// @route   GET /api/calendar/check/:stream/sem:sem/:date
+// @desc    Is a date a working day for this class? (used before marking attendance)
+// @access  Private
+router.get('/calendar/check/:stream/sem:sem/:date', requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const target = resolveClass(req.params.stream, req.params.sem);
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid stream or semester: ${req.params.stream} Semester ${req.params.sem}`
+      });
+    }
+
+    if (!isDateKey(req.params.date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await checkAttendanceDate(target.program.code, target.semester, req.params.date)
+    });
+
+  } catch (error) {
+    console.error('Error checking calendar date:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check calendar date'
+    });
+  }
+});
+
+// @route   GET /api/calendar/working-days/:stream/sem:sem
+// @desc    Working days of a class between ?from and ?to (YYYY-MM-DD, inclusive)
+// @access  Private
+router.get('/calendar/working-days/:stream/sem:sem', requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const target = resolveClass(req.params.stream, req.params.sem);
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid stream or semester: ${req.params.stream} Semester ${req.params.sem}`
+      });
+    }
+
+    const { from, to } = req.query;
+    if (!isDateKey(from) || !isDateKey(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to are required in YYYY-MM-DD format, with from on or before to'
+      });
+    }
+
+    if ((toDay(to) - toDay(from)) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const result = await listWorkingDays(target.program.code, target.semester, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        stream: target.program.code,
+        semester: target.semester,
+        from,
+        to,
+        workingDayCount: result.workingDays.length,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing working days:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list working days'
+    });
+  }
+});
+
+module.exports = router;
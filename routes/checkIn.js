@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+
+const CheckInSession = require('../models/CheckInSession');
+const {
+  CHECKIN_RATE_LIMIT,
+  DEVICE_COOKIE,
+  newDeviceId,
+  readDeviceId,
+  parseToken,
+  checkToken
+} = require('../utils/checkIn');
+const { toDateKey } = require('../utils/dateKeys');
+
+// ✅ Student side of QR self check-in. Students have no accounts, so these routes are mounted
+// ahead of the /api auth middleware in server.js: the rotating token from the classroom screen
+// is what authorizes a check-in. Teachers open sessions from /api/queue/check-in/:classId and
+// review / close them via /api/check-in-sessions/:id.
+
+const RATE_WINDOW_MS = 60 * 1000;
+const DEVICE_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+const CHECK_IN_ERRORS = {
+  INVALID_TOKEN: { status: 400, error: 'This QR code is not valid. Scan the code on the classroom screen.' },
+  TOKEN_EXPIRED: { status: 410, error: 'This QR code has expired. Scan the current code on the classroom screen.' },
+  CHECK_IN_CLOSED: { status: 410, error: 'Check-in for this class is closed.' },
+  DEVICE_NOT_RECOGNIZED: { status: 400, error: 'Open the check-in page by scanning the QR code on the classroom screen.' },
+  // Also sent for student IDs not on the class list, so the endpoint does not confirm who is enrolled
+  CHECK_IN_REJECTED: { status: 400, error: 'Check-in failed. Check your student ID and scan the current code.' },
+  DEVICE_ALREADY_USED: { status: 409, error: 'This device has already been used to check in for this class.' },
+  TOO_MANY_REQUESTS: { status: 429, error: 'Too many check-in attempts. Wait a minute and try again.' }
+};
+
+const sendCheckInError = (res, code) =>
+  res.status(CHECK_IN_ERRORS[code].status).json({ success: false, code, error: CHECK_IN_ERRORS[code].error });
+
+// Helper: the open session a token belongs to, or the error code to send
+const resolveToken = async (token) => {
+  const parsed = parseToken(token);
+  if (!parsed) return { code: 'INVALID_TOKEN' };
+
+  const session = await CheckInSession.findById(parsed.sessionId).select('+secret');
+  if (!session) return { code: 'INVALID_TOKEN' };
+
+  const check = checkToken(session, parsed);
+  if (!check.valid) return { code: check.error };
+
+  if (session.status !== 'open' || new Date() >= session.expiresAt) return { code: 'CHECK_IN_CLOSED' };
+
+  return { session, window: parsed.window };
+};
+
+// Submissions per IP address in the current minute (in-memory; reset on restart)
+const attempts = new Map();
+
+const isRateLimited = (ip) => {
+  const now = Date.now();
+  const entry = attempts.get(ip);
+
+  if (!entry || now - entry.startedAt >= RATE_WINDOW_MS) {
+    if (attempts.size > 10000) {
+      attempts.forEach((value, key) => {
+        if (now - value.startedAt >= RATE_WINDOW_MS) attempts.delete(key);
+      });
+    }
+    attempts.set(ip, { startedAt: now, count: 1 });
+    return false;
+  }
+
+  entry.count++;
+  return entry.count > CHECKIN_RATE_LIMIT;
+};
+
+const describeClass = (session) => ({
+  stream: session.stream,
+  semester: session.semester,
+  subject: session.subject,
+  date: toDateKey(session.date),
+  period: session.period
+});
+
+// @route   GET /api/check-in?token=
+// @desc    The class a scanned QR code is for, shown before the student submits. Gives the
+//          device its check-in cookie.
+// @access  Public (token)
+router.get('/check-in', async (req, res) => {
+  try {
+    const { session, code } = await resolveToken(req.query.token);
+    if (code) return sendCheckInError(res, code);
+
+    if (!readDeviceId(req)) {
+      res.cookie(DEVICE_COOKIE, newDeviceId(), {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: DEVICE_COOKIE_MAX_AGE_MS,
+        path: '/api/check-in'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: describeClass(session)
+    });
+
+  } catch (error) {
+    console.error('Error reading check-in token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read check-in code'
+    });
+  }
+});
+
+// @route   POST /api/check-in
+// @desc    Check a student in: { studentID, token }. One check-in per student and one per
+//          device per session.
+// @access  Public (token, device cookie)
+router.post('/check-in', async (req, res) => {
+  try {
+    if (isRateLimited(req.ip)) return sendCheckInError(res, 'TOO_MANY_REQUESTS');
+
+    const deviceId = readDeviceId(req);
+    if (!deviceId) return sendCheckInError(res, 'DEVICE_NOT_RECOGNIZED');
+
+    const studentID = (req.body.studentID || '').toString().trim().toUpperCase();
+    if (!studentID) {
+      return res.status(400).json({
+        success: false,
+        error: 'studentID is required'
+      });
+    }
+
+    const { session, window, code } = await resolveToken(req.body.token);
+    if (code) return sendCheckInError(res, code);
+
+    const student = session.roster.find(s => s.studentID.toUpperCase() === studentID);
+    if (!student) return sendCheckInError(res, 'CHECK_IN_REJECTED');
+
+    const checkedInAt = new Date();
+    const result = await CheckInSession.updateOne(
+      {
+        _id: session._id,
+        status: 'open',
+        'checkIns.studentID': { $ne: student.studentID },
+        'checkIns.deviceId': { $ne: deviceId }
+      },
+      {
+        $push: {
+          checkIns: {
+            studentID: student.studentID,
+            name: student.name,
+            checkedInAt,
+            tokenWindow: window,
+            deviceId,
+            ip: req.ip,
+            userAgent: (req.get('User-Agent') || '').slice(0, 200)
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      const current = await CheckInSession.findById(session._id, 'status checkIns.studentID checkIns.deviceId').lean();
+      if (current && current.checkIns.some(c => c.studentID === student.studentID)) {
+        return res.status(409).json({
+          success: false,
+          code: 'ALREADY_CHECKED_IN',
+          error: `${student.studentID} has already checked in for this class`
+        });
+      }
+      if (current && current.checkIns.some(c => c.deviceId === deviceId)) {
+        return sendCheckInError(res, 'DEVICE_ALREADY_USED');
+      }
+      return sendCheckInError(res, 'CHECK_IN_CLOSED');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `✅ ${student.name || student.studentID} checked in for ${session.subject}`,
+      data: {
+        ...describeClass(session),
+        studentID: student.studentID,
+        name: student.name,
+        checkedInAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in'
+    });
+  }
+});
+
+module.exports = router;
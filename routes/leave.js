@@ -0,0 +1,284 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const LeaveApplication = require('../models/LeaveApplication');
+const { requirePermission } = require('../middleware/authorize');
+const { findProgram, getCollectionName } = require('../utils/programRegistry');
+const { LEAVE_TYPES } = require('../config/attendancePolicy');
+const { applyLeaveToAttendance, removeLeaveFromAttendance } = require('../utils/leaveAttendance');
+const { isDateKey, dateFromKey } = require('../utils/dateKeys');
+
+// Leave dates are stored days (utils/dateKeys.js), matching attendance record dates
+const parseLeaveDate = (value) => (isDateKey(value) ? dateFromKey(value) : null);
+
+const userInfo = (user) => ({ uid: user.uid, name: user.name || null, email: user.email || null });
+
+// @route   GET /api/leave-applications
+// @desc    List leave applications (?stream, ?semester, ?studentID, ?status)
+// @access  Private
+router.get('/leave-applications', requirePermission('attendance:read'), async (req, res) => {
+  try {
+    const { stream, semester, studentID, status } = req.query;
+    const filter = {};
+
+    if (stream) {
+      const program = findProgram(stream, { includeInactive: true });
+      filter.stream = program ? program.code : stream;
+    }
+    if (semester) filter.semester = parseInt(semester);
+    if (studentID) filter.studentID = studentID.toString().trim().toUpperCase();
+    if (status) filter.status = status;
+
+    const applications = await LeaveApplication.find(filter)
+      .sort({ fromDate: -1, createdAt: -1 })
+      .limit(500)
+      .lean();
+
+    res.json({
+      success: true,
+      data: applications,
+      count: applications.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching leave applications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leave applications'
+    });
+  }
+});
+
+// @route   POST /api/leave-applications
+// @desc    Apply for leave for a student: { studentID, stream, semester, fromDate, toDate, leaveType, reason }
+// @access  Private (teachers apply, admins approve)
+router.post('/leave-applications', requirePermission('attendance:write'), async (req, res) => {
+  try {
+    const { studentID, stream, semester, fromDate, toDate, leaveType, reason } = req.body;
+
+    const program = findProgram(stream);
+    const sem = parseInt(semester);
+    if (!program || !program.semesters.includes(sem)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid stream or semester: ${stream} Semester ${semester}`
+      });
+    }
+
+    const from = parseLeaveDate(fromDate);
+    const to = parseLeaveDate(toDate || fromDate);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromDate and toDate must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (!LEAVE_TYPES.includes(leaveType)) {
+      return res.status(400).json({
+        success: false,
+        error: `leaveType must be one of: ${LEAVE_TYPES.join(', ')}`
+      });
+    }
+
+    const id = (studentID || '').toString().trim().toUpperCase();
+    const student = await mongoose.connection
+      .collection(getCollectionName(program.code, sem, 'students'))
+      .findOne({ studentID: id }, { projection: { studentID: 1, name: 1 } });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: `Student ${id} not found in ${program.code} Semester ${sem}`
+      });
+    }
+
+    const overlapping = await LeaveApplication.findOne({
+      studentID: id,
+      stream: program.code,
+      semester: sem,
+      status: { $in: ['pending', 'approved'] },
+      fromDate: { $lte: to },
+      toDate: { $gte: from }
+    }).lean();
+
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: `Student ${id} already has a ${overlapping.status} leave application overlapping these dates`,
+        existing: overlapping
+      });
+    }
+
+    const application = await LeaveApplication.create({
+      studentID: id,
+      studentName: student.name,
+      stream: program.code,
+      semester: sem,
+      fromDate: from,
+      toDate: to,
+      leaveType,
+      reason,
+      appliedBy: userInfo(req.user)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Leave application for ${student.name} (${id}) submitted for approval`,
+      data: application
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    console.error('Error creating leave application:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create leave application'
+    });
+  }
+});
+
+// @route   POST /api/leave-applications/:id/approve
+// @desc    Approve a pending leave and apply it to attendance already marked in its range
+// @access  Admin
+router.post('/leave-applications/:id/approve', requirePermission('leave:approve'), async (req, res) => {
+  try {
+    const application = await LeaveApplication.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        $set: {
+          status: 'approved',
+          reviewedBy: userInfo(req.user),
+          reviewedAt: new Date(),
+          reviewNote: req.body.reviewNote || null
+        }
+      },
+      { new: true }
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending leave application not found'
+      });
+    }
+
+    application.appliedToRecords = await applyLeaveToAttendance(application, req.user);
+    await application.save();
+
+    console.log(`✅ Leave ${application._id} approved for ${application.studentID}; applied to ${application.appliedToRecords} marked classes`);
+
+    res.json({
+      success: true,
+      message: `Leave approved and applied to ${application.appliedToRecords} marked class(es)`,
+      data: application
+    });
+
+  } catch (error) {
+    console.error('Error approving leave application:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve leave application'
+    });
+  }
+});
+
+// @route   POST /api/leave-applications/:id/reject
+// @desc    Reject a pending leave; body { reviewNote } is required
+// @access  Admin
+router.post('/leave-applications/:id/reject', requirePermission('leave:approve'), async (req, res) => {
+  try {
+    const reviewNote = (req.body.reviewNote || '').trim();
+    if (!reviewNote) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reviewNote explaining the rejection is required'
+      });
+    }
+
+    const application = await LeaveApplication.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status: 'rejected', reviewedBy: userInfo(req.user), reviewedAt: new Date(), reviewNote } },
+      { new: true }
+    );
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending leave application not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Leave application rejected',
+      data: application
+    });
+
+  } catch (error) {
+    console.error('Error rejecting leave application:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject leave application'
+    });
+  }
+});
+
+// @route   DELETE /api/leave-applications/:id
+// @desc    Cancel a leave. Pending leaves can be cancelled by whoever applied; cancelling an
+//          approved leave (admin only) withdraws it from attendance
+// @access  Private
+router.delete('/leave-applications/:id', requirePermission('attendance:write'), async (req, res) => {
+  try {
+    const application = await LeaveApplication.findById(req.params.id);
+
+    if (!application || !['pending', 'approved'].includes(application.status)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active leave application not found'
+      });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    const isApplicant = application.appliedBy && application.appliedBy.uid === req.user.uid;
+    if (!isAdmin && (application.status === 'approved' || !isApplicant)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only an admin can cancel an approved leave or another teacher\'s application'
+      });
+    }
+
+    const withdrawnFrom = application.status === 'approved'
+      ? await removeLeaveFromAttendance(application, req.user)
+      : 0;
+
+    application.status = 'cancelled';
+    application.reviewedBy = userInfo(req.user);
+    application.reviewedAt = new Date();
+    application.reviewNote = req.body.reason || application.reviewNote;
+    await application.save();
+
+    res.json({
+      success: true,
+      message: withdrawnFrom > 0
+        ? `Leave cancelled and withdrawn from ${withdrawnFrom} marked class(es)`
+        : 'Leave cancelled',
+      data: application
+    });
+
+  } catch (error) {
+    console.error('Error cancelling leave application:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel leave application'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+
+const Program = require('../models/Program');
+const { requirePermission } = require('../middleware/authorize');
+const { loadPrograms, listPrograms, findProgram } = require('../utils/programRegistry');
+
+// Helper: turn mongoose validation / duplicate errors into a 400/409 response
+const handleProgramWriteError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      details: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: `A program with this ${Object.keys(error.keyPattern || {}).join(', ') || 'code'} already exists`
+    });
+  }
+
+  console.error(fallbackMessage, error);
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage
+  });
+};
+
+// @route   GET /api/programs
+// @desc    List configured programs (streams) with their semesters and sections
+// @access  Private
+router.get('/programs', async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+
+    res.json({
+      success: true,
+      data: listPrograms({ includeInactive })
+    });
+
+  } catch (error) {
+    console.error('Error listing programs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list programs'
+    });
+  }
+});
+
+// @route   GET /api/programs/:code
+// @desc    Get a single program
+// @access  Private
+router.get('/programs/:code', async (req, res) => {
+  try {
+    const program = findProgram(req.params.code, { includeInactive: true });
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        error: `Program not found: ${req.params.code}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: program
+    });
+
+  } catch (error) {
+    console.error('Error fetching program:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch program'
+    });
+  }
+});
+
+// @route   POST /api/programs
+// @desc    Create a program. Its collections are named "<slug>_sem<N>_students" etc.
+// @access  Admin
+router.post('/programs', requirePermission('programs:manage'), async (req, res) => {
+  try {
+    const { code, displayName, slug, semesters, sections, attendancePolicy } = req.body;
+
+    if (!code || !slug || !Array.isArray(semesters)) {
+      return res.status(400).json({
+        success: false,
+        error: 'code, slug and semesters (array) are required'
+      });
+    }
+
+    if (findProgram(code, { includeInactive: true })) {
+      return res.status(409).json({
+        success: false,
+        error: `Program "${code}" already exists`
+      });
+    }
+
+    const program = await Program.create({
+      code,
+      displayName: displayName || code,
+      slug,
+      semesters,
+      sections: sections || [],
+      attendancePolicy,
+      updatedBy: req.user.email
+    });
+
+    await loadPrograms();
+
+    res.status(201).json({
+      success: true,
+      message: `Program ${program.code} created`,
+      data: findProgram(program.code, { includeInactive: true })
+    });
+
+  } catch (error) {
+    handleProgramWriteError(res, error, 'Failed to create program');
+  }
+});
+
+// @route   PUT /api/programs/:code
+// @desc    Update display name, semesters, sections, attendance policy or active flag
+// @access  Admin
+router.put('/programs/:code', requirePermission('programs:manage'), async (req, res) => {
+  try {
+    const existing = findProgram(req.params.code, { includeInactive: true });
+    const program = existing && await Program.findOne({ code: existing.code });
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        error: `Program not found: ${req.params.code}`
+      });
+    }
+
+    // Code and slug name existing collections and records, so they are fixed once created
+    if ((req.body.code && req.body.code !== program.code) || (req.body.slug && req.body.slug !== program.slug)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Program code and slug cannot be changed after creation'
+      });
+    }
+
+    const { displayName, semesters, sections, attendancePolicy, isActive } = req.body;
+    if (displayName !== undefined) program.displayName = displayName;
+    if (semesters !== undefined) program.semesters = semesters;
+    if (sections !== undefined) program.sections = sections;
+    if (attendancePolicy !== undefined) program.attendancePolicy = attendancePolicy;
+    if (isActive !== undefined) program.isActive = !!isActive;
+    program.updatedBy = req.user.email;
+
+    await program.save();
+    await loadPrograms();
+
+    res.json({
+      success: true,
+      message: `Program ${program.code} updated`,
+      data: findProgram(program.code, { includeInactive: true })
+    });
+
+  } catch (error) {
+    handleProgramWriteError(res, error, 'Failed to update program');
+  }
+});
+
+// @route   DELETE /api/programs/:code
+// @desc    Deactivate a program (its collections and history are kept)
+// @access  Admin
+router.delete('/programs/:code', requirePermission('programs:manage'), async (req, res) => {
+  try {
+    const existing = findProgram(req.params.code, { includeInactive: true });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: `Program not found: ${req.params.code}`
+      });
+    }
+
+    await Program.updateOne(
+      { code: existing.code },
+      { $set: { isActive: false, updatedBy: req.user.email } }
+    );
+    await loadPrograms();
+
+    res.json({
+      success: true,
+      message: `Program ${existing.code} deactivated`
+    });
+
+  } catch (error) {
+    console.error('Error deactivating program:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate program'
+    });
+  }
+});
+
+// @route   POST /api/programs/reload
+// @desc    Reload the in-memory registry after editing the programs collection directly
+// @access  Admin
+router.post('/programs/reload', requirePermission('programs:manage'), async (req, res) => {
+  try {
+    const programs = await loadPrograms();
+
+    res.json({
+      success: true,
+      message: `Reloaded ${programs.length} programs`,
+      data: programs
+    });
+
+  } catch (error) {
+    console.error('Error reloading programs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reload programs'
+    });
+  }
+});
+
+module.exports = router;
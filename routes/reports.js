@@ -1,24 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
-
-// ✅ FIXED: Enhanced Stream Mapping with BCom Section B
-function getCollectionName(stream, semester, type) {
-  const streamMappings = {
-    "BCA": "bca",
-    "BBA": "bba", 
-    "BCom": "bcom",
-    "BCom Section B": "bcomsectionb",  // ✅ ADDED - Missing stream
-    "BCom-BDA": "bcom_bda",
-    "BCom A and F": "bcom_a_and_f"
-  };
-  
-  const streamCode = streamMappings[stream] || stream.toLowerCase().replace(/[\s&-]/g, "_");
-  const collectionName = `${streamCode}_sem${semester}_${type}`;
-  
-  console.log(`🗂️ Mapped "${stream}" → "${collectionName}"`);
-  return collectionName;
-}
+const { requirePermission } = require("../middleware/authorize");
+const { AttendanceRecord, getAttendanceModel } = require("../utils/attendanceStore");
+const { buildStudentSubjectAttendance, buildWorkingDayAttendance, parseDateRange } = require("../utils/attendanceStats");
+const { findTerm } = require("../utils/academicCalendar");
+const { todayKey, formatDateKey } = require("../utils/dateKeys");
+const { buildClassEligibility, resolveEligibilityTerm } = require("../utils/eligibility");
+const { ELIGIBILITY } = require("../config/attendancePolicy");
+const Condonation = require("../models/Condonation");
+const { findProgram, getProgramCodes, listPrograms, getCollectionName } = require("../utils/programRegistry");
 
 // ✅ Enhanced Student Model with better schema
 function getStudentModel(stream, sem) {
@@ -61,28 +52,6 @@ function getSubjectModel(stream, sem) {
   return mongoose.model(modelName, subjectSchema, modelName);
 }
 
-// ✅ Enhanced Attendance Model
-function getAttendanceModel(stream, sem, subject) {
-  const streamCode = getCollectionName(stream, sem, "").replace(`_sem${sem}_`, "");
-  const cleanSubject = subject.toLowerCase().replace(/\s+/g, "_").replace(/[^a-z0-9_]/g, "");
-  const modelName = `${streamCode}_sem${sem}_${cleanSubject}_attendance`;
-  
-  if (mongoose.models[modelName]) {
-    return mongoose.models[modelName];
-  }
-  
-  const attendanceSchema = new mongoose.Schema({
-    date: { type: Date, required: true },
-    subject: { type: String, required: true },
-    stream: { type: String, required: true },
-    semester: { type: Number, required: true },
-    studentsPresent: { type: [String], default: [] },
-    totalStudents: { type: Number, default: 0 }
-  }, { timestamps: true });
-  
-  return mongoose.model(modelName, attendanceSchema, modelName);
-}
-
 // ✅ Helper function for active students query
 const getActiveStudentQuery = () => ({
   $or: [
@@ -93,7 +62,7 @@ const getActiveStudentQuery = () => ({
 });
 
 // ✅ MAIN ROUTE: Generate Student-Subject Attendance Report
-router.get("/student-subject-report/:stream/sem:sem", async (req, res) => {
+router.get("/student-subject-report/:stream/sem:sem", requirePermission("reports:read"), async (req, res) => {
   const { stream, sem } = req.params;
   
   // Input validation
@@ -104,23 +73,41 @@ router.get("/student-subject-report/:stream/sem:sem", async (req, res) => {
     });
   }
   
-  if (isNaN(sem) || parseInt(sem) < 1 || parseInt(sem) > 6) {
+  const validStreams = getProgramCodes();
+  const program = findProgram(stream);
+  if (!program) {
     return res.status(400).json({
       success: false,
-      message: "Invalid semester. Must be between 1-6"
+      message: `Invalid stream. Must be one of: ${validStreams.join(', ')}`
     });
   }
   
-  const validStreams = ['BCA', 'BBA', 'BCom', 'BCom Section B', 'BCom-BDA', 'BCom A and F'];
-  if (!validStreams.includes(stream)) {
+  if (isNaN(sem) || !program.semesters.includes(parseInt(sem))) {
     return res.status(400).json({
       success: false,
-      message: `Invalid stream. Must be one of: ${validStreams.join(', ')}`
+      message: `Invalid semester. ${program.code} runs semesters ${program.semesters.join(', ')}`
+    });
+  }
+  
+  const dateRange = parseDateRange(req.query);
+  if (dateRange.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: dateRange.errors.join('; ')
+    });
+  }
+  
+  // ?denominator=working_days adds day-wise attendance over academic calendar working days
+  const denominator = req.query.denominator || 'sessions';
+  if (!['sessions', 'working_days'].includes(denominator)) {
+    return res.status(400).json({
+      success: false,
+      message: 'denominator must be "sessions" or "working_days"'
     });
   }
   
   try {
-    console.log(`📊 Generating attendance report for ${stream} Semester ${sem}`);
+    console.log(`📊 Generating attendance report for ${stream} Semester ${sem}${dateRange.from || dateRange.to ? ` (${dateRange.from || 'start'} → ${dateRange.to || 'today'})` : ''}`);
     
     // Get models using proper mapping
     const Student = getStudentModel(stream, sem);
@@ -131,8 +118,8 @@ router.get("/student-subject-report/:stream/sem:sem", async (req, res) => {
     console.log(`   Subjects: ${getCollectionName(stream, sem, "subjects")}`);
     
     // Fetch students and subjects
-    const students = await Student.find(getActiveStudentQuery()).sort({ studentID: 1 });
-    const subjects = await Subject.find({ isActive: { $ne: false } }).sort({ subjectName: 1 });
+    const students = await Student.find(getActiveStudentQuery()).sort({ studentID: 1 }).lean();
+    const subjects = await Subject.find({ isActive: { $ne: false } }).sort({ subjectName: 1 }).lean();
     
     console.log(`👥 Found ${students.length} students`);
     console.log(`📚 Found ${subjects.length} subjects`);
@@ -160,57 +147,49 @@ router.get("/student-subject-report/:stream/sem:sem", async (req, res) => {
       });
     }
     
-    // Calculate attendance for each student in each subject
-    const reportData = [];
-    let totalAttendanceRecords = 0;
+    // One query over the unified collection; language subjects only count for their students
+    const { students: reportData, totalRecords } = await buildStudentSubjectAttendance({
+      stream,
+      sem,
+      students,
+      subjects,
+      dateFilter: dateRange.filter
+    });
     
-    for (const student of students) {
-      const studentReport = {
-        studentID: student.studentID,
-        name: student.name,
-        subjects: {}
-      };
+    // Working-day denominator: defaults to the current term start → today
+    let workingDaySummary = null;
+    if (denominator === 'working_days') {
+      const to = dateRange.to || todayKey();
+      const term = dateRange.from ? null : await findTerm(program.code, parseInt(sem), to);
+      const from = dateRange.from || (term && term.startDate);
       
-      for (const subject of subjects) {
-        try {
-          const Attendance = getAttendanceModel(stream, sem, subject.subjectName);
-          
-          // Get all attendance records for this subject up to current date
-          const attendanceRecords = await Attendance.find({
-            date: { $lte: new Date() },
-            subject: subject.subjectName
-          }).sort({ date: 1 });
-          
-          const totalClasses = attendanceRecords.length;
-          const attendedClasses = attendanceRecords.filter(record => 
-            record.studentsPresent && record.studentsPresent.includes(student.studentID)
-          ).length;
-          
-          const percentage = totalClasses > 0 ? 
-            parseFloat(((attendedClasses / totalClasses) * 100).toFixed(1)) : 0;
-          
-          studentReport.subjects[subject.subjectName] = {
-            totalClasses,
-            attendedClasses,
-            percentage,
-            absentClasses: totalClasses - attendedClasses
-          };
-          
-          totalAttendanceRecords += totalClasses;
-          
-        } catch (error) {
-          // Subject attendance collection doesn't exist or no data
-          console.log(`⚠️ No attendance data for ${subject.subjectName}: ${error.message}`);
-          studentReport.subjects[subject.subjectName] = {
-            totalClasses: 0,
-            attendedClasses: 0,
-            percentage: 0,
-            absentClasses: 0
-          };
-        }
+      if (!from) {
+        return res.status(400).json({
+          success: false,
+          message: `No academic calendar term covers ${to} for ${program.code} Semester ${sem}. Pass ?from=YYYY-MM-DD or set up the calendar.`
+        });
       }
       
-      reportData.push(studentReport);
+      const workingDayAttendance = await buildWorkingDayAttendance({
+        stream: program.code,
+        sem,
+        students,
+        from,
+        to
+      });
+      
+      reportData.forEach(student => {
+        student.workingDayAttendance = workingDayAttendance.byStudent[student.studentID];
+      });
+      
+      workingDaySummary = {
+        from,
+        to,
+        term: term ? term.name : null,
+        workingDays: workingDayAttendance.workingDays,
+        nonWorkingDays: workingDayAttendance.nonWorkingDays,
+        calendarsUsed: workingDayAttendance.calendarsUsed
+      };
     }
     
     // Calculate summary statistics
@@ -222,7 +201,7 @@ router.get("/student-subject-report/:stream/sem:sem", async (req, res) => {
     
     reportData.forEach(student => {
       Object.values(student.subjects).forEach(subject => {
-        if (subject.totalClasses > 0) {
+        if (subject.total > 0) {
           totalPercentageSum += subject.percentage;
           totalEntries++;
           
@@ -252,18 +231,20 @@ router.get("/student-subject-report/:stream/sem:sem", async (req, res) => {
         excellentCount,
         goodCount,
         poorCount,
-        totalAttendanceRecords
+        totalAttendanceRecords: totalRecords
+      },
+      dateRange: {
+        from: dateRange.from,
+        to: dateRange.to
       },
+      denominator,
+      workingDays: workingDaySummary,
       collections: {
         students: getCollectionName(stream, sem, "students"),
         subjects: getCollectionName(stream, sem, "subjects")
       },
       generatedAt: new Date().toISOString(),
-      reportDate: new Date().toLocaleDateString('en-IN', {
-        day: '2-digit',
-        month: '2-digit',
-        year: 'numeric'
-      })
+      reportDate: formatDateKey(todayKey())
     });
     
   } catch (error) {
@@ -279,7 +260,7 @@ router.get("/student-subject-report/:stream/sem:sem", async (req, res) => {
 });
 
 // ✅ ROUTE: Get Available Streams and Semesters with Data
-router.get("/available-data", async (req, res) => {
+router.get("/available-data", requirePermission("reports:read"), async (req, res) => {
   try {
     console.log('🔍 Scanning for available data across all streams...');
     
@@ -289,15 +270,14 @@ router.get("/available-data", async (req, res) => {
       summary: {}
     };
     
-    // All supported streams including BCom Section B
-    const allStreams = ['BCA', 'BBA', 'BCom', 'BCom Section B', 'BCom-BDA', 'BCom A and F'];
-    
-    for (const stream of allStreams) {
+    // All configured programs, each with its own semester range
+    for (const program of listPrograms()) {
+      const stream = program.code;
       let streamHasData = false;
       availableData.semesters[stream] = [];
       let totalStudents = 0;
       
-      for (let sem = 1; sem <= 6; sem++) {
+      for (const sem of program.semesters) {
         try {
           const Student = getStudentModel(stream, sem);
           const studentCount = await Student.countDocuments(getActiveStudentQuery());
@@ -346,7 +326,7 @@ router.get("/available-data", async (req, res) => {
 });
 
 // ✅ ROUTE: Debug Collection Access
-router.get("/debug/test-collections/:stream/sem:sem", async (req, res) => {
+router.get("/debug/test-collections/:stream/sem:sem", requirePermission("system:debug"), async (req, res) => {
   const { stream, sem } = req.params;
   
   try {
@@ -371,7 +351,7 @@ router.get("/debug/test-collections/:stream/sem:sem", async (req, res) => {
           sampleAttendanceData = {
             subject: sampleSubject.subjectName,
             attendanceRecords: attendanceCount,
-            collection: `${getCollectionName(stream, sem, "").replace(`_sem${sem}_`, "")}_sem${sem}_${sampleSubject.subjectName.toLowerCase().replace(/\s+/g, "_")}_attendance`
+            collection: AttendanceRecord.collection.name
           };
         } catch (error) {
           sampleAttendanceData = {
@@ -401,7 +381,7 @@ router.get("/debug/test-collections/:stream/sem:sem", async (req, res) => {
       hasData: studentCount > 0 && subjectCount > 0,
       mapping: {
         originalStream: stream,
-        mappedStream: getCollectionName(stream, sem, "").replace(`_sem${sem}_`, "")
+        mappedStream: findProgram(stream, { includeInactive: true })?.slug || null
       }
     });
     
@@ -417,7 +397,7 @@ router.get("/debug/test-collections/:stream/sem:sem", async (req, res) => {
 });
 
 // ✅ ROUTE: Get Detailed Subject Analysis
-router.get("/subject-analysis/:stream/sem:sem", async (req, res) => {
+router.get("/subject-analysis/:stream/sem:sem", requirePermission("reports:read"), async (req, res) => {
   const { stream, sem } = req.params;
   
   try {
@@ -444,7 +424,7 @@ router.get("/subject-analysis/:stream/sem:sem", async (req, res) => {
           subjectName: subject.subjectName,
           totalAttendanceRecords: totalRecords,
           dateRange: dateRange[0] || null,
-          collection: `${getCollectionName(stream, sem, "").replace(`_sem${sem}_`, "")}_sem${sem}_${subject.subjectName.toLowerCase().replace(/\s+/g, "_")}_attendance`
+          collection: AttendanceRecord.collection.name
         });
         
       } catch (error) {
@@ -472,4 +452,391 @@ router.get("/subject-analysis/:stream/sem:sem", async (req, res) => {
   }
 });
 
+// ✅ Helper: resolve a class and load its students/subjects for the eligibility routes
+async function loadClassForEligibility(stream, sem) {
+  const program = findProgram(stream, { includeInactive: true });
+  if (!program) {
+    return { status: 400, message: `Invalid stream. Must be one of: ${getProgramCodes().join(', ')}` };
+  }
+
+  if (isNaN(sem) || !program.semesters.includes(parseInt(sem))) {
+    return { status: 400, message: `Invalid semester. ${program.code} runs semesters ${program.semesters.join(', ')}` };
+  }
+
+  const Student = getStudentModel(program.code, sem);
+  const Subject = getSubjectModel(program.code, sem);
+
+  const [students, subjects] = await Promise.all([
+    Student.find(getActiveStudentQuery()).sort({ studentID: 1 }).lean(),
+    Subject.find({ isActive: { $ne: false } }).sort({ subjectName: 1 }).lean()
+  ]);
+
+  if (students.length === 0 || subjects.length === 0) {
+    return {
+      status: 404,
+      message: `No ${students.length === 0 ? 'students' : 'subjects'} found for ${program.code} Semester ${sem}`
+    };
+  }
+
+  return { program, students, subjects };
+}
+
+// ✅ ROUTE: Defaulter (attendance shortage) list for a stream and semester
+router.get("/defaulters/:stream/sem:sem", requirePermission("reports:read"), async (req, res) => {
+  const { stream, sem } = req.params;
+
+  const dateRange = parseDateRange(req.query);
+  if (dateRange.errors.length > 0) {
+    return res.status(400).json({ success: false, message: dateRange.errors.join('; ') });
+  }
+
+  try {
+    const classData = await loadClassForEligibility(stream, sem);
+    if (classData.status) {
+      return res.status(classData.status).json({ success: false, message: classData.message });
+    }
+
+    const { program, students, subjects } = classData;
+    const eligibility = await buildClassEligibility({
+      program,
+      sem,
+      students,
+      subjects,
+      dateFilter: dateRange.filter,
+      termId: req.query.termId
+    });
+
+    const shortage = eligibility.students.filter(s => s.shortageSubjects.length > 0);
+    const condonable = eligibility.students.filter(s => s.condonableSubjects.length > 0);
+
+    // Per-subject defaulter counts
+    const bySubject = subjects.map(subject => {
+      const entries = eligibility.students
+        .map(s => s.subjects[subject.subjectName])
+        .filter(Boolean);
+
+      return {
+        subject: subject.subjectName,
+        students: entries.length,
+        shortage: entries.filter(e => e.eligibility === ELIGIBILITY.SHORTAGE).length,
+        condonable: entries.filter(e => e.eligibility === ELIGIBILITY.CONDONABLE).length,
+        condoned: entries.filter(e => e.eligibility === ELIGIBILITY.CONDONED).length
+      };
+    });
+
+    console.log(`📉 Defaulters for ${program.code} Sem ${sem}: ${shortage.length} shortage, ${condonable.length} condonable`);
+
+    res.json({
+      success: true,
+      stream: program.code,
+      semester: parseInt(sem),
+      termId: eligibility.termId,
+      academicYear: eligibility.academicYear,
+      policy: eligibility.policy,
+      dateRange: {
+        from: dateRange.from || eligibility.window.from,
+        to: dateRange.to || eligibility.window.to,
+        term: eligibility.window.term
+      },
+      totalStudents: students.length,
+      summary: {
+        examEligible: eligibility.students.filter(s => s.examEligible).length,
+        shortage: shortage.length,
+        pendingCondonation: eligibility.students.filter(s => s.pendingCondonation).length
+      },
+      bySubject,
+      defaulters: shortage,
+      condonable,
+      generatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error("❌ Error generating defaulter list:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate defaulter list",
+      error: error.message
+    });
+  }
+});
+
+// ✅ ROUTE: Exam eligibility for every student in a class, or for one student
+router.get("/eligibility/:stream/sem:sem/:studentID?", requirePermission("reports:read"), async (req, res) => {
+  const { stream, sem, studentID } = req.params;
+
+  const dateRange = parseDateRange(req.query);
+  if (dateRange.errors.length > 0) {
+    return res.status(400).json({ success: false, message: dateRange.errors.join('; ') });
+  }
+
+  try {
+    const classData = await loadClassForEligibility(stream, sem);
+    if (classData.status) {
+      return res.status(classData.status).json({ success: false, message: classData.message });
+    }
+
+    const { program, subjects } = classData;
+    const students = studentID
+      ? classData.students.filter(s => s.studentID === studentID)
+      : classData.students;
+    // The class's window and condonation term, also when only one student is evaluated
+    const window = await resolveEligibilityTerm({ program, sem, students: classData.students });
+
+    if (studentID && students.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Student ${studentID} not found in ${program.code} Semester ${sem}`
+      });
+    }
+
+    const eligibility = await buildClassEligibility({
+      program,
+      sem,
+      students,
+      subjects,
+      dateFilter: dateRange.filter,
+      termId: req.query.termId,
+      window
+    });
+
+    const rows = eligibility.students.map(s => ({
+      studentID: s.studentID,
+      name: s.name,
+      examEligible: s.examEligible,
+      pendingCondonation: s.pendingCondonation,
+      shortageSubjects: s.shortageSubjects,
+      condonableSubjects: s.condonableSubjects,
+      subjects: s.subjects
+    }));
+
+    res.json({
+      success: true,
+      stream: program.code,
+      semester: parseInt(sem),
+      termId: eligibility.termId,
+      academicYear: eligibility.academicYear,
+      policy: eligibility.policy,
+      dateRange: {
+        from: dateRange.from || eligibility.window.from,
+        to: dateRange.to || eligibility.window.to,
+        term: eligibility.window.term
+      },
+      ...(studentID ? { student: rows[0] } : { students: rows, totalStudents: rows.length })
+    });
+
+  } catch (error) {
+    console.error("❌ Error computing exam eligibility:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to compute exam eligibility",
+      error: error.message
+    });
+  }
+});
+
+// ✅ ROUTE: Condonation decisions for a class
+router.get("/condonations/:stream/sem:sem", requirePermission("reports:read"), async (req, res) => {
+  const { stream, sem } = req.params;
+
+  try {
+    const program = findProgram(stream, { includeInactive: true });
+    if (!program) {
+      return res.status(400).json({ success: false, message: `Invalid stream: ${stream}` });
+    }
+
+    const window = req.query.termId ? null : await resolveEligibilityTerm({
+      program,
+      sem,
+      students: await getStudentModel(program.code, sem).find(getActiveStudentQuery(), 'addedToSemesterDate').lean()
+    });
+
+    const filter = {
+      stream: program.code,
+      semester: parseInt(sem),
+      termId: req.query.termId || window.termId
+    };
+    if (req.query.includeRevoked !== 'true') filter.isActive = true;
+    if (req.query.studentID) filter.studentID = req.query.studentID;
+
+    const decisions = await Condonation.find(filter).sort({ decidedAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      stream: program.code,
+      semester: parseInt(sem),
+      termId: filter.termId,
+      academicYear: window ? window.academicYear : (decisions[0] ? decisions[0].academicYear : null),
+      count: decisions.length,
+      decisions
+    });
+
+  } catch (error) {
+    console.error("❌ Error listing condonations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to list condonation decisions",
+      error: error.message
+    });
+  }
+});
+
+// ✅ ROUTE: Record a condonation decision (only for attendance inside the condonation band)
+router.post("/condonations/:stream/sem:sem", requirePermission("condonation:approve"), async (req, res) => {
+  const { stream, sem } = req.params;
+  const { studentID, subject, decision, reason } = req.body;
+
+  if (!studentID || !subject || !['approved', 'rejected'].includes(decision) || !reason || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: "studentID, subject, decision ('approved' | 'rejected') and reason are required"
+    });
+  }
+
+  try {
+    const classData = await loadClassForEligibility(stream, sem);
+    if (classData.status) {
+      return res.status(classData.status).json({ success: false, message: classData.message });
+    }
+
+    const { program, subjects } = classData;
+    const student = classData.students.find(s => s.studentID === studentID);
+    const subjectDoc = subjects.find(s => s.subjectName.toUpperCase() === subject.toString().trim().toUpperCase());
+
+    if (!student || !subjectDoc) {
+      return res.status(404).json({
+        success: false,
+        message: !student
+          ? `Student ${studentID} not found in ${program.code} Semester ${sem}`
+          : `Subject ${subject} not found in ${program.code} Semester ${sem}`
+      });
+    }
+
+    const window = await resolveEligibilityTerm({ program, sem, students: classData.students });
+    const termId = req.body.termId || window.termId;
+    const existing = await Condonation.findOne({
+      studentID,
+      stream: program.code,
+      semester: parseInt(sem),
+      subject: subjectDoc.subjectName.toUpperCase(),
+      termId,
+      isActive: true
+    }).lean();
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${existing.decision} decision already exists for ${studentID} in ${subjectDoc.subjectName}. Revoke it first.`,
+        existing
+      });
+    }
+
+    // Evaluate the student's current standing without any decision applied
+    const { policy, academicYear, students: [result] } = await buildClassEligibility({
+      program,
+      sem,
+      students: [student],
+      subjects: [subjectDoc],
+      termId,
+      window
+    });
+    const stats = result.subjects[subjectDoc.subjectName];
+
+    if (!stats) {
+      return res.status(400).json({
+        success: false,
+        message: `${subjectDoc.subjectName} does not apply to ${studentID} (language subject)`
+      });
+    }
+
+    if (stats.eligibility !== ELIGIBILITY.CONDONABLE) {
+      return res.status(400).json({
+        success: false,
+        error: 'NOT_CONDONABLE',
+        message: stats.eligibility === ELIGIBILITY.ELIGIBLE
+          ? `${studentID} already meets the ${policy.minimumPercentage}% minimum in ${subjectDoc.subjectName}`
+          : `${studentID} has ${stats.percentage}% in ${subjectDoc.subjectName}, below the ${policy.condonationMinimum}% condonation limit`,
+        percentage: stats.percentage,
+        policy
+      });
+    }
+
+    const condonation = await Condonation.create({
+      studentID,
+      stream: program.code,
+      semester: parseInt(sem),
+      subject: subjectDoc.subjectName,
+      termId,
+      academicYear,
+      decision,
+      reason: reason.trim(),
+      attended: stats.attended,
+      total: stats.total,
+      percentageAtDecision: stats.percentage,
+      policy,
+      approvedBy: {
+        uid: req.user.uid,
+        name: req.user.name || null,
+        email: req.user.email || null
+      }
+    });
+
+    console.log(`📝 Condonation ${decision} for ${studentID} in ${subjectDoc.subjectName} (${stats.percentage}%) by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Condonation ${decision} for ${studentID} in ${subjectDoc.subjectName}`,
+      condonation
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    console.error("❌ Error recording condonation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record condonation decision",
+      error: error.message
+    });
+  }
+});
+
+// ✅ ROUTE: Revoke a condonation decision (kept for the record)
+router.delete("/condonations/:id", requirePermission("condonation:approve"), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid condonation id' });
+    }
+
+    const condonation = await Condonation.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $set: { isActive: false, revokedBy: req.user.email, revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!condonation) {
+      return res.status(404).json({ success: false, message: 'Active condonation decision not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Condonation for ${condonation.studentID} in ${condonation.subject} revoked`,
+      condonation
+    });
+
+  } catch (error) {
+    console.error("❌ Error revoking condonation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke condonation decision",
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -1,222 +1,46 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const router = express.Router();
 
-// Firebase Admin for token verification
-const { admin } = require('../config/firebase-admin');
-
-// ==========================================
-// MONGOOSE SCHEMA DEFINITION
-// ==========================================
-
-const ClassSchema = new mongoose.Schema({
-  id: {
-    type: String,
-    required: true
-  },
-  stream: {
-    type: String,
-    required: true,
-    enum: ['BCA', 'BBA', 'BCom', 'BCom Section B', 'BCom-BDA', 'BCom A and F']
-  },
-  semester: {
-    type: String,
-    required: true,
-    enum: ['1', '2', '3', '4', '5', '6']
-  },
-  subject: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  timeAdded: {
-    type: String,
-    required: true
-  },
-  dateAdded: {
-    type: String,
-    required: true
-  },
-  completedTime: {
-    type: String
-  },
-  completedDate: {
-    type: String
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-const TeacherSchema = new mongoose.Schema({
-  firebaseUID: {
-    type: String,
-    required: true,
-    unique: true,
-    index: true
-  },
-  email: {
-    type: String,
-    required: true,
-    lowercase: true,
-    trim: true
-  },
-  name: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  attendanceQueue: [ClassSchema],
-  completedToday: [ClassSchema],
-  isActive: {
-    type: Boolean,
-    default: true
-  },
-  role: {
-    type: String,
-    default: 'teacher',
-    enum: ['teacher', 'admin']
-  },
-  lastUpdated: {
-    type: Date,
-    default: Date.now
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-// Pre-save middleware to update lastUpdated
-TeacherSchema.pre('save', function(next) {
-  this.lastUpdated = new Date();
-  next();
-});
-
-// Static method to find or create teacher
-TeacherSchema.statics.findOrCreate = async function(firebaseUID, email, name) {
-  let teacher = await this.findOne({ firebaseUID });
-  
-  if (!teacher) {
-    teacher = new this({
-      firebaseUID,
-      email: email.toLowerCase(),
-      name: name || email.split('@')[0],
-      attendanceQueue: [],
-      completedToday: [],
-      isActive: true
-    });
-    await teacher.save();
-  }
-  
-  return teacher;
-};
-
-// Instance method to add class to queue
-TeacherSchema.methods.addToQueue = function(classData) {
-  // Check for duplicates
-  const isDuplicate = this.attendanceQueue.some(cls => 
-    cls.stream === classData.stream && 
-    cls.semester === classData.semester && 
-    cls.subject === classData.subject
-  );
-  
-  if (isDuplicate) {
-    throw new Error('This class is already in your queue');
-  }
-  
-  const newClass = {
-    id: Date.now().toString(),
-    stream: classData.stream.trim(),
-    semester: classData.semester.trim(),
-    subject: classData.subject.trim(),
-    timeAdded: new Date().toLocaleTimeString(),
-    dateAdded: new Date().toDateString(),
-    createdAt: new Date()
-  };
-  
-  this.attendanceQueue.push(newClass);
-  return newClass;
-};
-
-// Instance method to complete class
-TeacherSchema.methods.completeClass = function(classId) {
-  const classIndex = this.attendanceQueue.findIndex(cls => cls.id === classId);
-  
-  if (classIndex === -1) {
-    throw new Error('Class not found in queue');
-  }
-  
-  const classToComplete = this.attendanceQueue[classIndex];
-  const completedClass = {
-    ...classToComplete.toObject(),
-    completedTime: new Date().toLocaleTimeString(),
-    completedDate: new Date().toDateString()
-  };
-  
-  // Remove from queue and add to completed
-  this.attendanceQueue.splice(classIndex, 1);
-  this.completedToday.push(completedClass);
-  
-  return completedClass;
-};
-
-// Instance method to remove class from queue
-TeacherSchema.methods.removeClass = function(classId) {
-  const initialLength = this.attendanceQueue.length;
-  this.attendanceQueue = this.attendanceQueue.filter(cls => cls.id !== classId);
-  
-  if (this.attendanceQueue.length === initialLength) {
-    throw new Error('Class not found in queue');
-  }
-  
-  return true;
-};
-
-// Create the model
-const Teacher = mongoose.model('Teacher', TeacherSchema);
-
-// ==========================================
-// MIDDLEWARE - TOKEN VERIFICATION (NO EMAIL RESTRICTIONS)
-// ==========================================
-
-const verifyToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        success: false,
-        error: 'Access denied. No token provided or invalid format.' 
-      });
-    }
-
-    const token = authHeader.split('Bearer ')[1];
-
-    // Verify the Firebase ID token
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    
-    // Add user info to request object
-    req.user = {
-      uid: decodedToken.uid,
-      email: decodedToken.email,
-      name: decodedToken.name || decodedToken.email.split('@')[0]
-    };
-
-    next();
-  } catch (error) {
-    console.error('Token verification failed:', error);
-    res.status(401).json({ 
-      success: false,
-      error: 'Invalid token. Access denied.' 
-    });
-  }
+const Teacher = require('../models/Teacher');
+const SubjectAssignment = require('../models/SubjectAssignment');
+const { requirePermission } = require('../middleware/authorize');
+const { ROLES } = require('../config/roles');
+const { findProgram, isValidSemester } = require('../utils/programRegistry');
+const CheckInSession = require('../models/CheckInSession');
+const { parsePeriod, getAttendanceModel, getRecordPeriod } = require('../utils/attendanceStore');
+const { todayKey, dateFromKey, toDateKey } = require('../utils/dateKeys');
+const TeachingLog = require('../models/TeachingLog');
+const {
+  logScheduledClass,
+  cancelScheduledClass,
+  logTakenClass,
+  monthRange,
+  dateRangeFilter,
+  monthlyWorkload,
+  hoursBySubject,
+  missedClasses
+} = require('../utils/teachingLog');
+const {
+  CHECKIN_TOKEN_SECONDS,
+  DEFAULT_SESSION_MINUTES,
+  MAX_SESSION_MINUTES,
+  newSessionSecret,
+  issueToken,
+  buildCheckInRoster,
+  describeCheckInSession
+} = require('../utils/checkIn');
+
+// Authentication (verifyToken + loadTeacher) is applied to every /api route in server.js
+
+// Helper: teachers may only queue subjects assigned to them (admins may queue any subject).
+// Assignments store the program code, so "bca" is looked up as "BCA".
+const isQueueable = async (user, { stream, semester, subject }) => {
+  if (user.role === 'admin') return true;
+  const program = stream ? findProgram(stream) : null;
+  if (!program) return false;
+  return SubjectAssignment.isAssigned(user.uid, program.code, semester, subject);
 };
 
-// Apply authentication middleware to all routes
-router.use(verifyToken);
-
 // ==========================================
 // ROUTE HANDLERS
 // ==========================================
@@ -271,11 +95,27 @@ router.post('/queue/add', async (req, res) => {
       });
     }
 
-    // Validate stream and semester combination
-    if (stream === 'BCom Section B' && !['5', '6'].includes(semester)) {
+    // Validate stream and semester combination against the program registry
+    const program = findProgram(stream);
+    if (!program) {
       return res.status(400).json({
         success: false,
-        error: 'BCom Section B only supports Semesters 5 and 6'
+        error: `Invalid stream: ${stream}`
+      });
+    }
+
+    if (!isValidSemester(stream, semester)) {
+      return res.status(400).json({
+        success: false,
+        error: `${program.code} only supports Semesters ${program.semesters.join(', ')}`
+      });
+    }
+
+    // Only subjects assigned to this teacher can be queued
+    if (!(await isQueueable(req.user, { stream, semester, subject }))) {
+      return res.status(403).json({
+        success: false,
+        error: `You are not assigned to ${subject} in ${stream} Semester ${semester}`
       });
     }
 
@@ -291,6 +131,7 @@ router.post('/queue/add', async (req, res) => {
     
     // Save the teacher
     await teacher.save();
+    await logScheduledClass(req.user, newClass);
 
     res.status(201).json({
       success: true,
@@ -315,6 +156,35 @@ router.post('/queue/add', async (req, res) => {
   }
 });
 
+// @route   GET /api/teacher/queue/available-subjects
+// @desc    List the subjects this teacher may add to the queue
+// @access  Private
+router.get('/queue/available-subjects', async (req, res) => {
+  try {
+    const assignments = await SubjectAssignment.findForTeacher(req.user.uid);
+
+    res.json({
+      success: true,
+      data: {
+        isAdmin: req.user.role === 'admin',
+        subjects: assignments.map(a => ({
+          stream: a.stream,
+          semester: a.semester.toString(),
+          subject: a.subject,
+          academicYear: a.academicYear
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching available subjects:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch available subjects'
+    });
+  }
+});
+
 // @route   DELETE /api/teacher/queue/:classId
 // @desc    Remove a class from the queue
 // @access  Private
@@ -334,6 +204,7 @@ router.delete('/queue/:classId', async (req, res) => {
     // Remove class using schema method
     teacher.removeClass(classId);
     await teacher.save();
+    await cancelScheduledClass(req.user, classId);
 
     res.json({
       success: true,
@@ -358,7 +229,9 @@ router.delete('/queue/:classId', async (req, res) => {
 });
 
 // @route   POST /api/teacher/queue/complete/:classId
-// @desc    Move a class from queue to completed
+// @desc    Move a class from queue to completed. Saving attendance completes queued classes on its
+//          own; this is for classes whose attendance was saved elsewhere, and is refused until
+//          today's attendance exists. Links the completed class to the latest record of today.
 // @access  Private
 router.post('/queue/complete/:classId', async (req, res) => {
   try {
@@ -373,9 +246,36 @@ router.post('/queue/complete/:classId', async (req, res) => {
       });
     }
 
+    const queued = teacher.attendanceQueue.find(cls => cls.id === classId);
+    if (!queued) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found in queue'
+      });
+    }
+
+    const program = findProgram(queued.stream, { includeInactive: true });
+    const date = todayKey();
+    const record = program && await getAttendanceModel(program.code, parseInt(queued.semester), queued.subject)
+      .findOne({ date: dateFromKey(date) })
+      .sort({ markedAt: -1 })
+      .lean();
+
+    if (!record) {
+      return res.status(409).json({
+        success: false,
+        error: `No attendance has been saved today for ${queued.subject} (${queued.stream} Semester ${queued.semester}). Take attendance to complete this class.`
+      });
+    }
+
     // Complete class using schema method
-    const completedClass = teacher.completeClass(classId);
+    const completedClass = teacher.completeClass(classId, {
+      recordId: record._id,
+      date,
+      period: getRecordPeriod(record)
+    });
     await teacher.save();
+    await logTakenClass({ record, user: req.user, source: 'queue:complete', queueClassId: classId });
 
     res.json({
       success: true,
@@ -400,6 +300,100 @@ router.post('/queue/complete/:classId', async (req, res) => {
   }
 });
 
+// @route   POST /api/teacher/queue/check-in/:classId
+// @desc    Open a QR self check-in session for a queued class (today, ?period in body, default 1).
+//          Returns the first rotating token; review and close it via /api/check-in-sessions/:id
+// @access  Private
+router.post('/queue/check-in/:classId', requirePermission('attendance:write'), async (req, res) => {
+  try {
+    const teacher = await Teacher.findOne({ firebaseUID: req.user.uid });
+    const queued = teacher && teacher.attendanceQueue.find(cls => cls.id === req.params.classId);
+
+    if (!queued) {
+      return res.status(404).json({
+        success: false,
+        error: 'Class not found in queue'
+      });
+    }
+
+    const program = findProgram(queued.stream);
+    const semester = parseInt(queued.semester);
+    if (!program || !program.semesters.includes(semester)) {
+      return res.status(400).json({
+        success: false,
+        error: `${queued.stream} Semester ${queued.semester} is not an active class`
+      });
+    }
+
+    // Assignments can change after a class was queued
+    if (!(await isQueueable(req.user, { stream: program.code, semester, subject: queued.subject }))) {
+      return res.status(403).json({
+        success: false,
+        error: `You are not assigned to ${queued.subject} in ${program.code} Semester ${semester}`
+      });
+    }
+
+    const period = parsePeriod(req.body.period);
+    const minutes = req.body.durationMinutes === undefined ? DEFAULT_SESSION_MINUTES : Number(req.body.durationMinutes);
+    if (period === null || !Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SESSION_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        error: `period must be 1-12 and durationMinutes a whole number from 1 to ${MAX_SESSION_MINUTES}`
+      });
+    }
+
+    const { subject, roster } = await buildCheckInRoster(program.code, semester, queued.subject);
+    if (!subject || roster.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: subject
+          ? `No active students take ${queued.subject} in ${program.code} Semester ${semester}`
+          : `Subject ${queued.subject} not found in ${program.code} Semester ${semester}`
+      });
+    }
+
+    const session = await CheckInSession.create({
+      stream: program.code,
+      semester,
+      subject: subject.subjectName,
+      date: dateFromKey(todayKey()),
+      period,
+      queueClassId: queued.id,
+      openedBy: { uid: req.user.uid, name: req.user.name || teacher.name, email: req.user.email },
+      secret: newSessionSecret(),
+      tokenSeconds: CHECKIN_TOKEN_SECONDS,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      roster
+    });
+
+    console.log(`📲 Check-in opened for ${program.code} Sem ${semester} ${subject.subjectName} (period ${period}) by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Check-in open for ${minutes} minute(s). Show the QR code to the class.`,
+      data: {
+        session: describeCheckInSession(session),
+        ...issueToken(session)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error opening check-in session:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'A check-in session is already open for this class and period'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open check-in session'
+    });
+  }
+});
+
 // @route   DELETE /api/teacher/queue/clear-completed
 // @desc    Clear completed classes (for new day reset)
 // @access  Private
@@ -502,6 +496,10 @@ router.post('/queue/bulk-add', async (req, res) => {
 
     for (const classData of classes) {
       try {
+        if (!(await isQueueable(req.user, classData))) {
+          throw new Error(`You are not assigned to ${classData.subject} in ${classData.stream} Semester ${classData.semester}`);
+        }
+
         const newClass = teacher.addToQueue(classData);
         addedClasses.push(newClass);
       } catch (error) {
@@ -513,6 +511,7 @@ router.post('/queue/bulk-add', async (req, res) => {
     }
 
     await teacher.save();
+    await Promise.all(addedClasses.map(newClass => logScheduledClass(req.user, newClass)));
 
     res.status(201).json({
       success: true,
@@ -532,38 +531,49 @@ router.post('/queue/bulk-add', async (req, res) => {
   }
 });
 
+// Helper: whose teaching log to read (admins may pass ?teacherUID, teachers read their own)
+const logTeacherUID = (req) =>
+  req.user.role === 'admin' && req.query.teacherUID ? req.query.teacherUID.toString() : req.user.uid;
+
 // @route   GET /api/teacher/stats
-// @desc    Get teacher statistics
+// @desc    Get teacher statistics: today's queue plus this month's classes, hours and missed
+//          classes from the teaching log
 // @access  Private
 router.get('/stats', async (req, res) => {
   try {
     const teacher = await Teacher.findOne({ firebaseUID: req.user.uid });
+    const queue = teacher ? teacher.attendanceQueue : [];
+    const today = todayKey();
 
-    if (!teacher) {
-      return res.json({
-        success: true,
-        data: {
-          totalQueueClasses: 0,
-          completedToday: 0,
-          streamsInQueue: [],
-          semestersInQueue: []
-        }
-      });
-    }
+    const [workload, takenToday, totalClassesTaken, lastTaken] = await Promise.all([
+      monthlyWorkload(req.user.uid, today.slice(0, 7)),
+      TeachingLog.countDocuments({ teacherUID: req.user.uid, status: 'taken', date: dateFromKey(today) }),
+      TeachingLog.countDocuments({ teacherUID: req.user.uid, status: 'taken' }),
+      TeachingLog.findOne({ teacherUID: req.user.uid, status: 'taken' }).sort({ date: -1, takenAt: -1 }).lean()
+    ]);
 
     // Calculate statistics
-    const streamsInQueue = [...new Set(teacher.attendanceQueue.map(c => c.stream))];
-    const semestersInQueue = [...new Set(teacher.attendanceQueue.map(c => c.semester))];
+    const streamsInQueue = [...new Set(queue.map(c => c.stream))];
+    const semestersInQueue = [...new Set(queue.map(c => c.semester))];
 
     res.json({
       success: true,
       data: {
-        totalQueueClasses: teacher.attendanceQueue.length,
-        completedToday: teacher.completedToday.length,
+        totalQueueClasses: queue.length,
+        completedToday: takenToday,
         streamsInQueue: streamsInQueue,
         semestersInQueue: semestersInQueue.sort(),
-        lastActivity: teacher.lastUpdated,
-        accountCreated: teacher.createdAt
+        thisMonth: workload.totals,
+        totalClassesTaken,
+        lastClassTaken: lastTaken ? {
+          stream: lastTaken.stream,
+          semester: lastTaken.semester,
+          subject: lastTaken.subject,
+          date: toDateKey(lastTaken.date),
+          period: lastTaken.period
+        } : null,
+        lastActivity: teacher ? teacher.lastUpdated : null,
+        accountCreated: teacher ? teacher.createdAt : null
       }
     });
 
@@ -576,6 +586,134 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// @route   GET /api/teacher/teaching-log?from=&to=&status=&limit=
+// @desc    Teaching history: classes scheduled, taken and cancelled, newest first
+// @access  Private (admins may pass ?teacherUID)
+router.get('/teaching-log', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const range = dateRangeFilter(req.query.from, req.query.to);
+    const statuses = ['scheduled', 'taken', 'cancelled'];
+    if (!range || (req.query.status && !statuses.includes(req.query.status))) {
+      return res.status(400).json({
+        success: false,
+        error: `from / to must be YYYY-MM-DD and status one of ${statuses.join(', ')}`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const entries = await TeachingLog.find({
+      teacherUID: logTeacherUID(req),
+      ...(req.query.status ? { status: req.query.status } : {}),
+      ...range
+    })
+      .sort({ date: -1, period: -1, createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      data: entries.map(entry => ({ ...entry, date: toDateKey(entry.date) })),
+      count: entries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching teaching log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch teaching log'
+    });
+  }
+});
+
+// @route   GET /api/teacher/teaching-log/workload?month=YYYY-MM
+// @desc    Monthly workload: classes taken, hours and missed classes per day (default this month)
+// @access  Private (admins may pass ?teacherUID)
+router.get('/teaching-log/workload', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const month = req.query.month || todayKey().slice(0, 7);
+    if (!monthRange(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'month must be YYYY-MM'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await monthlyWorkload(logTeacherUID(req), month)
+    });
+
+  } catch (error) {
+    console.error('Error fetching monthly workload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch monthly workload'
+    });
+  }
+});
+
+// @route   GET /api/teacher/teaching-log/hours?from=&to=
+// @desc    Hours taught per stream / semester / subject
+// @access  Private (admins may pass ?teacherUID)
+router.get('/teaching-log/hours', requirePermission('reports:read'), async (req, res) => {
+  try {
+    if (!dateRangeFilter(req.query.from, req.query.to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from / to must be YYYY-MM-DD'
+      });
+    }
+
+    const subjects = await hoursBySubject(logTeacherUID(req), req.query.from, req.query.to);
+
+    res.json({
+      success: true,
+      data: {
+        from: req.query.from || null,
+        to: req.query.to || null,
+        totalHours: Math.round(subjects.reduce((sum, s) => sum + s.hours, 0) * 100) / 100,
+        subjects
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching hours per subject:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch hours per subject'
+    });
+  }
+});
+
+// @route   GET /api/teacher/teaching-log/missed?from=&to=
+// @desc    Classes queued for a past day whose attendance was never saved
+// @access  Private (admins may pass ?teacherUID)
+router.get('/teaching-log/missed', requirePermission('reports:read'), async (req, res) => {
+  try {
+    if (!dateRangeFilter(req.query.from, req.query.to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from / to must be YYYY-MM-DD'
+      });
+    }
+
+    const missed = await missedClasses(logTeacherUID(req), req.query.from, req.query.to);
+
+    res.json({
+      success: true,
+      data: missed,
+      count: missed.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching missed classes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch missed classes'
+    });
+  }
+});
+
 // @route   PUT /api/teacher/profile
 // @desc    Update teacher profile
 // @access  Private
@@ -614,5 +752,94 @@ router.put('/profile', async (req, res) => {
   }
 });
 
+// @route   GET /api/teachers
+// @desc    List all teacher accounts with their roles
+// @access  Admin
+router.get('/teachers', requirePermission('teachers:manage'), async (req, res) => {
+  try {
+    const teachers = await Teacher.find({})
+      .select('firebaseUID email name role isActive lastUpdated createdAt')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: teachers.length,
+      data: teachers
+    });
+
+  } catch (error) {
+    console.error('Error listing teachers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list teachers'
+    });
+  }
+});
+
+// @route   PUT /api/teachers/:firebaseUID
+// @desc    Change a teacher's role or activate/deactivate the account
+// @access  Admin
+router.put('/teachers/:firebaseUID', requirePermission('teachers:manage'), async (req, res) => {
+  try {
+    const { firebaseUID } = req.params;
+    const { role, isActive } = req.body;
+
+    if (role === undefined && isActive === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide role and/or isActive to update'
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (firebaseUID === req.user.uid && (role === 'teacher' || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot demote or deactivate your own account'
+      });
+    }
+
+    const teacher = await Teacher.findOne({ firebaseUID });
+
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        error: 'Teacher not found'
+      });
+    }
+
+    if (role !== undefined) teacher.role = role;
+    if (isActive !== undefined) teacher.isActive = !!isActive;
+    await teacher.save();
+
+    res.json({
+      success: true,
+      message: 'Teacher account updated successfully',
+      data: {
+        firebaseUID: teacher.firebaseUID,
+        email: teacher.email,
+        name: teacher.name,
+        role: teacher.role,
+        isActive: teacher.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating teacher account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update teacher account'
+    });
+  }
+});
+
 // Export the router
 module.exports = router;
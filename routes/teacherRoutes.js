@@ -1,7 +1,58 @@
 const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
-const BaseAttendance = require("../models/BaseAttendance");
+const multer = require("multer");
+const {
+  AttendanceRecord,
+  getAttendanceModel,
+  findClassAttendance,
+  parsePeriod,
+  periodFilter,
+  getRecordPeriod,
+  toSessionKey,
+  parseSessionKey,
+  getStatusMap,
+  getStudentStatus,
+  getRecordVersion,
+  groupDaySessions
+} = require("../utils/attendanceStore");
+const {
+  findProgram,
+  getProgramCodes,
+  isValidStream,
+  isValidSection,
+  getCollectionName,
+  getStreamMappings
+} = require("../utils/programRegistry");
+const { requirePermission, requireSubjectAssignment } = require("../middleware/authorize");
+const { hasPermission } = require("../config/roles");
+const {
+  ATTENDANCE_STATUS,
+  LEAVE_TYPES,
+  getAttendanceStatus,
+  resolveAttendancePolicy,
+  getStatusTreatment,
+  classifyEligibility
+} = require("../config/attendancePolicy");
+const LeaveApplication = require("../models/LeaveApplication");
+const { parseStatusInput, resolveStudentStatuses, getManualStatuses } = require("../utils/leaveAttendance");
+const { checkAttendanceDate } = require("../utils/academicCalendar");
+const AttendanceAudit = require("../models/AttendanceAudit");
+const { recordAttendanceChange } = require("../utils/attendanceAudit");
+const AttendanceChangeRequest = require("../models/AttendanceChangeRequest");
+const { runIdempotent } = require("../utils/idempotency");
+const { sortClassList, resolveAbsentees, confirmationToken } = require("../utils/rollCall");
+const { logTakenClass } = require("../utils/teachingLog");
+const CheckInSession = require("../models/CheckInSession");
+const { issueToken, describeCheckInSession } = require("../utils/checkIn");
+const { getSessionLock, canEditLocked } = require("../utils/attendanceLock");
+const { isDateKey, dateFromKey, toDateKey, todayKey, formatDateKey } = require("../utils/dateKeys");
+const Teacher = require("../models/Teacher");
+const SubjectAssignment = require("../models/SubjectAssignment");
+const PromotionJournal = require("../models/PromotionJournal");
+const Alumni = require("../models/Alumni");
+const { buildClassEligibility } = require("../utils/eligibility");
+const { ALLOWED_EXTENSIONS, MAX_IMPORT_ROWS, isAllowedFile, parseStudentFile } = require("../utils/studentImport");
 
 // ✅ FIXED: WhatsApp Cloud API Service Integration
 const WhatsAppService = require('../utils/sendWhatsAppMessage'); // Your WhatsApp Cloud API service
@@ -38,9 +89,11 @@ const studentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Stream is required'],
     uppercase: true,
-    enum: {
-      values: ['BCA', 'BBA', 'BCOM', 'BCOM SECTION B', 'BCOM-BDA', 'BCOM A AND F'],
-      message: 'Invalid stream'
+    validate: {
+      validator: function(v) {
+        return isValidStream(v);
+      },
+      message: props => `Invalid stream: ${props.value}`
     }
   },
   semester: {
@@ -70,6 +123,19 @@ const studentSchema = new mongoose.Schema({
     }
   },
   
+  section: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return isValidSection(this.stream, v);
+      },
+      message: props => `Invalid section: ${props.value}`
+    }
+  },
+  
   // ✅ ENHANCED: Language preference fields
   languageSubject: {
     type: String,
@@ -130,7 +196,14 @@ const studentSchema = new mongoose.Schema({
       default: Date.now
     },
     migrationBatch: String,
-    generation: Number
+    generation: Number,
+    // promotion, or the exception applied instead (detained / year_back / dropped)
+    type: {
+      type: String,
+      enum: ['promotion', 'detained', 'year_back', 'dropped'],
+      default: 'promotion'
+    },
+    reason: String
   }],
   academicYear: {
     type: String,
@@ -160,9 +233,11 @@ const subjectSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Stream is required'],
     uppercase: true,
-    enum: {
-      values: ['BCA', 'BBA', 'BCOM', 'BCOM SECTION B', 'BCOM-BDA', 'BCOM A AND F'],
-      message: 'Invalid stream'
+    validate: {
+      validator: function(v) {
+        return isValidStream(v);
+      },
+      message: props => `Invalid stream: ${props.value}`
     }
   },
   semester: {
@@ -233,90 +308,7 @@ subjectSchema.index({ stream: 1, semester: 1 });
 subjectSchema.index({ subjectType: 1 });
 subjectSchema.index({ isLanguageSubject: 1, languageType: 1 });
 
-// ✅ ENHANCED: Attendance Schema with Language Group Support
-const attendanceSchema = new mongoose.Schema({
-  date: {
-    type: Date,
-    required: [true, 'Date is required'],
-    validate: {
-      validator: function(v) {
-        return v <= new Date();
-      },
-      message: 'Attendance date cannot be in the future'
-    }
-  },
-  subject: {
-    type: String,
-    required: [true, 'Subject is required']
-  },
-  stream: {
-    type: String,
-    required: [true, 'Stream is required'],
-    uppercase: true
-  },
-  semester: {
-    type: Number,
-    required: [true, 'Semester is required'],
-    min: 1,
-    max: 8
-  },
-  
-  // ✅ ENHANCED: Language group support
-  isLanguageSubject: {
-    type: Boolean,
-    default: false
-  },
-  languageType: {
-    type: String,
-    uppercase: true,
-    enum: {
-      values: ['KANNADA', 'HINDI', 'SANSKRIT', null],
-      message: 'Invalid language type'
-    },
-    default: null
-  },
-  languageGroup: {
-    type: String,
-    uppercase: true,
-    default: null
-  },
-  
-  studentsPresent: {
-    type: [String],
-    default: [],
-    validate: {
-      validator: function(arr) {
-        return arr.length <= this.totalPossibleStudents;
-      },
-      message: 'Present students cannot exceed total possible students'
-    }
-  },
-  totalStudents: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  totalPossibleStudents: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  attendancePercentage: {
-    type: Number,
-    default: function() {
-      if (this.totalPossibleStudents > 0) {
-        return ((this.studentsPresent.length / this.totalPossibleStudents) * 100).toFixed(2);
-      }
-      return 0;
-    }
-  }
-}, {
-  timestamps: true
-});
-
-// ✅ FIXED: Add indexes for attendance
-attendanceSchema.index({ date: 1, subject: 1, stream: 1, semester: 1 }, { unique: true });
-attendanceSchema.index({ languageGroup: 1 });
+// ✅ Attendance records live in the unified collection (models/Attendance.js, utils/attendanceStore.js)
 
 // ✅ ENHANCED: Message Log Schema with WhatsApp Cloud API details
 const messageLogSchema = new mongoose.Schema({
@@ -461,36 +453,7 @@ const messageLogSchema = new mongoose.Schema({
 messageLogSchema.index({ date: 1, stream: 1, semester: 1 }, { unique: true });
 messageLogSchema.index({ sentAt: -1 });
 
-// ✅ FIXED: Enhanced Stream mappings with proper validation
-const STREAM_MAPPINGS = {
-  "BCA": "bca",
-  "BBA": "bba", 
-  "BCom": "bcom",
-  "BCom Section B": "bcomsectionb",  // ✅ Fixed naming
-  "BCom-BDA": "bcom-bda",              // ✅ Fixed hyphen
-  "BCom A and F": "bcom_a_and_f"       // ✅ Consistent naming
-};
-
-// ✅ FIXED: Enhanced collection name function with better error handling
-function getCollectionName(stream, semester, type) {
-  if (!stream || !semester || !type) {
-    throw new Error(`Missing required parameters: stream="${stream}", semester="${semester}", type="${type}"`);
-  }
-  
-  const streamCode = STREAM_MAPPINGS[stream];
-  if (!streamCode) {
-    const validStreams = Object.keys(STREAM_MAPPINGS);
-    throw new Error(`Invalid stream: "${stream}". Valid streams are: ${validStreams.join(', ')}`);
-  }
-  
-  if (isNaN(semester) || parseInt(semester) < 1 || parseInt(semester) > 8) {
-    throw new Error(`Invalid semester: "${semester}". Must be between 1-8`);
-  }
-  
-  const collectionName = `${streamCode}_sem${semester}_${type}`;
-  console.log(`🗂️ Generated collection name: "${collectionName}"`);
-  return collectionName;
-}
+// ✅ Streams, collection slugs and semester ranges come from the program registry (utils/programRegistry.js)
 
 // ✅ ENHANCED: Model cache with better management
 const modelCache = new Map();
@@ -560,53 +523,6 @@ function getSubjectModel(stream, sem) {
   }
 }
 
-// ✅ ENHANCED: Attendance Model with better naming and error handling
-function getAttendanceModel(stream, sem, subject) {
-  if (!stream || !sem || !subject) {
-    throw new Error("Stream, semester, and subject are required for attendance model");
-  }
-  
-  try {
-    const streamCode = STREAM_MAPPINGS[stream];
-    if (!streamCode) {
-      throw new Error(`Invalid stream: ${stream}`);
-    }
-    
-    // ✅ IMPROVED: Better subject name sanitization
-    const cleanSubject = subject
-      .toLowerCase()
-      .trim()
-      .replace(/\s+/g, '_')           // Replace spaces with underscores
-      .replace(/[^a-z0-9_]/g, '')     // Remove special characters
-      .replace(/_{2,}/g, '_')         // Replace multiple underscores with single
-      .replace(/^_|_$/g, '');         // Remove leading/trailing underscores
-    
-    if (!cleanSubject) {
-      throw new Error(`Invalid subject name: ${subject}`);
-    }
-    
-    const modelName = `${streamCode}_sem${sem}_${cleanSubject}_attendance`;
-    
-    if (modelCache.has(modelName)) {
-      return modelCache.get(modelName);
-    }
-    
-    let model;
-    if (mongoose.models[modelName]) {
-      model = mongoose.models[modelName];
-    } else {
-      model = mongoose.model(modelName, attendanceSchema, modelName);
-    }
-    
-    modelCache.set(modelName, model);
-    console.log(`✅ Attendance model ready: ${modelName}`);
-    return model;
-  } catch (error) {
-    console.error(`❌ Error creating attendance model: ${error.message}`);
-    throw error;
-  }
-}
-
 // ✅ FIXED: Message Log Model with singleton pattern
 function getMessageLogModel() {
   const modelName = 'message_logs';
@@ -641,18 +557,25 @@ const validateParams = asyncHandler(async (req, res, next) => {
     throw error;
   }
   
-  const validStreams = Object.keys(STREAM_MAPPINGS);
-  if (!validStreams.includes(stream)) {
-    const error = new Error(`Invalid stream: ${stream}. Valid streams are: ${validStreams.join(', ')}`);
+  const program = findProgram(stream);
+  if (!program) {
+    const error = new Error(`Invalid stream: ${stream}. Valid streams are: ${getProgramCodes().join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  if (!program.semesters.includes(semester)) {
+    const error = new Error(`${program.code} does not run Semester ${semester}. Allowed semesters: ${program.semesters.join(', ')}`);
     error.statusCode = 400;
     throw error;
   }
   
   // Add validated values to request
   req.validatedParams = {
-    stream,
+    stream: program.code,
     semester,
-    streamCode: STREAM_MAPPINGS[stream]
+    streamCode: program.slug,
+    program
   };
   
   next();
@@ -755,33 +678,23 @@ const sendWhatsAppMessage = async (phone, message) => {
 function validateSingleDate(dateStr) {
   const errors = [];
   
-  // Basic format check
-  const isoRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!isoRegex.test(dateStr)) {
+  // Format and calendar-date check
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
     errors.push('Invalid format - use YYYY-MM-DD');
+  } else if (!isDateKey(dateStr)) {
+    errors.push('Invalid date value');
   }
   
-  // Date parsing check
-  try {
-    const date = new Date(dateStr + 'T00:00:00.000Z');
-    if (isNaN(date.getTime())) {
-      errors.push('Invalid date value');
-    }
+  // Date range check (1 year back to 1 year forward of today in the college timezone)
+  if (errors.length === 0) {
+    const today = todayKey();
+    const shiftYears = (key, years) => `${Number(key.slice(0, 4)) + years}${key.slice(4)}`;
     
-    // Date range check (1 year back to 1 year forward)
-    if (errors.length === 0) {
-      const today = new Date();
-      const oneYearAgo = new Date(today.getFullYear() - 1, today.getMonth(), today.getDate());
-      const oneYearFromNow = new Date(today.getFullYear() + 1, today.getMonth(), today.getDate());
-      
-      if (date < oneYearAgo) {
-        errors.push('Date too far in past (>1 year)');
-      } else if (date > oneYearFromNow) {
-        errors.push('Date too far in future (>1 year)');
-      }
+    if (dateStr < shiftYears(today, -1)) {
+      errors.push('Date too far in past (>1 year)');
+    } else if (dateStr > shiftYears(today, 1)) {
+      errors.push('Date too far in future (>1 year)');
     }
-  } catch (error) {
-    errors.push(`Date parsing error: ${error.message}`);
   }
   
   return {
@@ -801,8 +714,7 @@ function validateSingleDateSimple(dateStr) {
   }
   
   // Date parsing check
-  const date = new Date(dateStr);
-  if (isNaN(date.getTime())) {
+  if (!isDateKey(dateStr)) {
     return {
       isValid: false,
       errors: ['Invalid date value']
@@ -815,132 +727,495 @@ function validateSingleDateSimple(dateStr) {
   };
 }
 
+// ✅ Academic calendar check for the days being marked (YYYY-MM-DD keys).
+// Non-working days are refused where the calendar enforces 'reject' (an admin may send
+// overrideCalendar: true) and accepted with a warning otherwise. Dates no calendar covers pass.
+async function checkCalendarDays({ stream, semester, user, overrideCalendar }, dayKeys) {
+  const adminOverride = overrideCalendar === true && user?.role === 'admin';
+
+  const checks = await Promise.all(
+    [...new Set(dayKeys)].map(day => checkAttendanceDate(stream, semester, day))
+  );
+  const nonWorking = checks
+    .filter(check => check.configured && !check.working)
+    .map(check => ({
+      date: check.date,
+      status: check.status,
+      reason: check.reason,
+      enforcement: check.enforcement,
+      academicYear: check.academicYear
+    }));
+
+  return {
+    rejected: nonWorking.filter(day => day.enforcement === 'reject' && !adminOverride),
+    warnings: nonWorking.filter(day => day.enforcement !== 'reject' || adminOverride)
+  };
+}
+
 // ===== ROUTE DEFINITIONS START HERE =====
 
-// ✅ FIXED: Simple promotion system with BCom Section B support
-router.post("/simple-promotion/:stream", asyncHandler(async (req, res) => {
-  const { stream } = req.params;
+// ✅ Student exceptions a promotion run applies instead of moving the student up
+//   detain:    stays in the same semester
+//   year_back: repeats the academic year, i.e. returns to the year's odd semester (4 → 3, 5 → 5)
+//   drop:      leaves the program; kept in the semester as inactive
+const PROMOTION_EXCEPTION_ACTIONS = {
+  detain: 'detained',
+  year_back: 'year_back',
+  drop: 'dropped'
+};
+
+const getYearBackSemester = (program, sem) => {
+  const yearStart = sem % 2 === 0 ? sem - 1 : sem;
+  return program.semesters.includes(yearStart) ? yearStart : sem;
+};
+
+// ✅ Which semesters a run touches: the whole stream, or just one semester
+function getPromotionScope(program, semester = null) {
+  const semesterRange = program.semesters;
+  const finalSemester = semesterRange[semesterRange.length - 1];
   
-  // ✅ Updated stream validation
-  const validStreams = ['BCA', 'BBA', 'BCom', 'BCom Section B', 'BCom-BDA', 'BCom A and F'];
-  if (!stream || !validStreams.includes(stream)) {
-    return res.status(400).json({
-      success: false,
-      message: `Invalid stream. Must be one of: ${validStreams.join(', ')}`
+  // Highest semester first (e.g. 5→6, 4→5, ... 1→2) so each target is emptied before it is filled
+  const allPairs = [];
+  for (let i = semesterRange.length - 2; i >= 0; i--) {
+    allPairs.push({ from: semesterRange[i], to: semesterRange[i + 1] });
+  }
+  
+  const base = { semesterRange, finalSemester, firstSemester: semesterRange[0] };
+  
+  if (semester === null || semester === undefined || semester === '') {
+    return { ...base, singleSemester: null, pairs: allPairs, graduate: true, sourceSemesters: [...semesterRange] };
+  }
+  
+  const sem = parseInt(semester);
+  if (!semesterRange.includes(sem)) {
+    return { ...base, error: `Semester ${semester} is not part of ${program.code} (semesters ${semesterRange.join(', ')})` };
+  }
+  
+  return {
+    ...base,
+    singleSemester: sem,
+    pairs: allPairs.filter(p => p.from === sem),
+    graduate: sem === finalSemester,
+    sourceSemesters: [sem]
+  };
+}
+
+// ✅ Validates requested exceptions and, optionally, detains students who fail attendance eligibility.
+// Returns a Map keyed by studentID plus a list of input errors.
+async function resolvePromotionExceptions(program, scope, { exceptions = [], blockOnAttendance = false } = {}) {
+  const errors = [];
+  const resolved = new Map();
+  const located = new Map();
+  const studentsBySemester = {};
+  
+  for (const sem of scope.sourceSemesters) {
+    studentsBySemester[sem] = await getStudentModel(program.code, sem).find(getActiveStudentQuery()).lean();
+    studentsBySemester[sem].forEach(student => located.set(student.studentID, { sem, student }));
+  }
+  
+  const toException = ({ sem, student }, action, reason, source) => ({
+    studentID: student.studentID,
+    name: student.name,
+    semester: sem,
+    action,
+    status: PROMOTION_EXCEPTION_ACTIONS[action],
+    targetSemester: action === 'year_back' ? getYearBackSemester(program, sem) : sem,
+    reason,
+    source
+  });
+  
+  if (!Array.isArray(exceptions)) {
+    errors.push({ index: null, studentID: null, message: 'exceptions must be an array' });
+  } else {
+    exceptions.forEach((exception, index) => {
+      const studentID = exception?.studentID?.toString().trim().toUpperCase();
+      const action = exception?.action;
+      const reason = exception?.reason?.toString().trim();
+      
+      if (!studentID || !PROMOTION_EXCEPTION_ACTIONS[action] || !reason) {
+        errors.push({
+          index,
+          studentID: studentID || null,
+          message: `Each exception needs studentID, action (${Object.keys(PROMOTION_EXCEPTION_ACTIONS).join(' | ')}) and reason`
+        });
+        return;
+      }
+      
+      const found = located.get(studentID);
+      if (!found) {
+        errors.push({ index, studentID, message: `${studentID} is not an active student in Semester ${scope.sourceSemesters.join(', ')}` });
+        return;
+      }
+      
+      if (resolved.has(studentID)) {
+        errors.push({ index, studentID, message: `${studentID} has more than one exception` });
+        return;
+      }
+      
+      resolved.set(studentID, toException(found, action, reason, 'manual'));
     });
   }
   
-  console.log(`Starting simple promotion for ${stream.toUpperCase()}`);
+  // Attendance shortage detains the student unless an explicit exception already covers them
+  if (blockOnAttendance) {
+    for (const sem of scope.sourceSemesters) {
+      const students = studentsBySemester[sem];
+      if (students.length === 0) continue;
+      
+      const subjects = await getSubjectModel(program.code, sem).find({ isActive: { $ne: false } }).lean();
+      if (subjects.length === 0) continue;
+      
+      const { policy, students: eligibility } = await buildClassEligibility({ program, sem, students, subjects });
+      
+      eligibility
+        .filter(s => !s.examEligible && !resolved.has(s.studentID))
+        .forEach(s => {
+          const subjectsBelow = [...s.shortageSubjects, ...s.condonableSubjects];
+          resolved.set(s.studentID, toException(
+            located.get(s.studentID),
+            'detain',
+            `Attendance below ${policy.minimumPercentage}% in ${subjectsBelow.join(', ')}`,
+            'attendance'
+          ));
+        });
+    }
+  }
   
+  return { exceptions: resolved, errors };
+}
+
+// ✅ Promotion plan: who moves from each semester to the next, who graduates, who is held back,
+// and what would clash. Read-only; shared by the preview route and the promotion pre-flight check.
+async function buildPromotionPlan(program, { scope = getPromotionScope(program), exceptions = new Map() } = {}) {
+  const stream = program.code;
+  const { semesterRange, finalSemester } = scope;
+
+  // Load every semester once
+  const studentsBySemester = {};
+  for (const sem of semesterRange) {
+    const Student = getStudentModel(stream, sem);
+    studentsBySemester[sem] = await Student.find({}, 'studentID name isActive').lean();
+  }
+
+  const isActiveStudent = (s) => s.isActive !== false;
+  const toSummary = (s) => ({ id: s.studentID, name: s.name });
+  const stayingInPlace = (e) => e.targetSemester === e.semester;
+
+  const semesterBreakdown = {};
+  semesterRange.forEach(sem => {
+    semesterBreakdown[`semester${sem}`] = studentsBySemester[sem].filter(isActiveStudent).length;
+  });
+
+  // Who is still in each semester once the run has emptied its source semesters
+  const processed = new Set([...scope.pairs.map(p => p.from), ...(scope.graduate ? [finalSemester] : [])]);
+  const remaining = {};
+  semesterRange.forEach(sem => {
+    remaining[sem] = new Set(processed.has(sem)
+      ? [...exceptions.values()].filter(e => e.semester === sem && stayingInPlace(e)).map(e => e.studentID)
+      : studentsBySemester[sem].map(s => s.studentID));
+  });
+
+  // Students dropped in an earlier run are still in the final semester, inactive: they are
+  // removed with it, not archived as graduates
+  const graduating = scope.graduate
+    ? studentsBySemester[finalSemester].filter(s => isActiveStudent(s) && !exceptions.has(s.studentID)).map(toSummary)
+    : [];
+  const graduationRemovedInactive = scope.graduate
+    ? studentsBySemester[finalSemester].filter(s => !isActiveStudent(s)).map(toSummary)
+    : [];
+  const moves = [];
+  const conflicts = [];
+
+  // Same order as the promotion itself: highest semester first
+  for (const { from: fromSem, to: toSem } of scope.pairs) {
+    const source = studentsBySemester[fromSem];
+    const moving = source.filter(s => isActiveStudent(s) && !exceptions.has(s.studentID));
+
+    // Duplicate IDs inside the source would collide in the target's unique studentID index
+    const seen = new Map();
+    moving.forEach(s => seen.set(s.studentID, (seen.get(s.studentID) || 0) + 1));
+    seen.forEach((count, studentID) => {
+      if (count > 1) {
+        conflicts.push({
+          type: 'DUPLICATE_IN_SOURCE',
+          blocking: true,
+          studentID,
+          fromSemester: fromSem,
+          toSemester: toSem,
+          message: `${studentID} appears ${count} times in Semester ${fromSem}`
+        });
+      }
+    });
+
+    // IDs already in the target: a hard clash if that copy stays, otherwise a student enrolled twice
+    const targetIDs = new Set(studentsBySemester[toSem].map(s => s.studentID));
+    moving.filter(s => targetIDs.has(s.studentID)).forEach(s => {
+      const clashes = remaining[toSem].has(s.studentID);
+      conflicts.push({
+        type: 'ALREADY_IN_TARGET',
+        blocking: clashes,
+        studentID: s.studentID,
+        fromSemester: fromSem,
+        toSemester: toSem,
+        message: clashes
+          ? `${s.studentID} is already in Semester ${toSem} and stays there, so the promoted copy would clash`
+          : `${s.studentID} is already in Semester ${toSem} (currently enrolled in both semesters)`
+      });
+    });
+    moving.forEach(s => remaining[toSem].add(s.studentID));
+
+    moves.push({
+      fromSemester: fromSem,
+      toSemester: toSem,
+      count: moving.length,
+      students: moving.map(toSummary),
+      // Inactive students are removed from the source semester without being promoted
+      removedInactive: source.filter(s => !isActiveStudent(s)).map(toSummary)
+    });
+  }
+
+  // Year-back students land after every promotion has run
+  [...exceptions.values()].filter(e => !stayingInPlace(e)).forEach(e => {
+    if (remaining[e.targetSemester].has(e.studentID)) {
+      conflicts.push({
+        type: 'ALREADY_IN_TARGET',
+        blocking: true,
+        studentID: e.studentID,
+        fromSemester: e.semester,
+        toSemester: e.targetSemester,
+        message: `${e.studentID} cannot go back to Semester ${e.targetSemester}: that semester already has this ID`
+      });
+    }
+    remaining[e.targetSemester].add(e.studentID);
+  });
+
+  const totalStudents = semesterRange.reduce((sum, sem) => sum + studentsBySemester[sem].length, 0);
+
+  return {
+    semesterRange,
+    finalSemester,
+    firstSemester: scope.firstSemester,
+    singleSemester: scope.singleSemester,
+    totalStudents,
+    semesterBreakdown,
+    graduating,
+    graduationRemovedInactive,
+    moves,
+    exceptions: [...exceptions.values()],
+    conflicts,
+    willGraduate: graduating.length,
+    willPromote: moves.reduce((sum, m) => sum + m.count, 0),
+    willHoldBack: exceptions.size
+  };
+}
+
+// Thrown at the end of a dry run so withTransaction aborts instead of committing
+class PromotionDryRunAbort extends Error {}
+
+// Copy of a student for the semester it moves into, with the move appended to its history
+const buildMovedStudent = (student, toSem, historyEntry, promotionDate, promotionBatch) => ({
+  studentID: student.studentID,
+  name: student.name,
+  stream: student.stream,
+  semester: toSem,
+  parentPhone: student.parentPhone,
+  languageSubject: student.languageSubject,
+  languageGroup: student.languageGroup,
+  section: student.section,
+  isActive: true,
+  migrationGeneration: historyEntry.generation,
+  originalSemester: student.originalSemester || historyEntry.fromSemester,
+  addedToSemesterDate: promotionDate,
+  lastMigrationDate: promotionDate,
+  migrationBatch: promotionBatch,
+  migrationHistory: [...(student.migrationHistory || []), historyEntry],
+  academicYear: new Date().getFullYear().toString()
+});
+
+// ✅ Runs the promotion inside a transaction and journals every moved document;
+// with dryRun the transaction (journal included) is always aborted
+async function runSimplePromotion(program, {
+  dryRun = false,
+  performedBy = null,
+  scope = getPromotionScope(program),
+  exceptions = new Map()
+} = {}) {
+  const stream = program.code;
   const promotionDate = new Date();
-  const promotionBatch = `simple_promotion_${stream.replace(/\s+/g, '_')}_${Date.now()}`;
+  const promotionBatch = `simple_promotion_${stream.replace(/\s+/g, '_')}${scope.singleSemester ? `_sem${scope.singleSemester}` : ''}_${Date.now()}`;
   let totalPromoted = 0;
   let totalGraduated = 0;
-  const promotionDetails = [];
+  let promotionDetails = [];
+  let journalEntries = [];
   
-  // ✅ Handle BCom Section B (only semesters 5-6)
-  let semesterRange;
-  if (stream === 'BCom Section B') {
-    semesterRange = [5, 6];
-    console.log('📚 Processing BCom Section B - Limited to semesters 5-6');
-  } else {
-    semesterRange = [1, 2, 3, 4, 5, 6];
-    console.log('📚 Processing regular stream - Full semester range 1-6');
-  }
+  // ✅ Semester range comes from the program (e.g. BCom Section B only runs 5-6)
+  const { semesterRange, finalSemester } = scope;
+  console.log(`📚 Processing ${stream} - Semesters ${scope.sourceSemesters.join(', ')}${dryRun ? ' (dry run)' : ''}`);
   
   // Start transaction for data consistency
   const session = await mongoose.startSession();
   
   try {
     await session.withTransaction(async () => {
+      // withTransaction may retry the callback, so start every attempt from a clean slate
+      totalPromoted = 0;
+      totalGraduated = 0;
+      promotionDetails = [];
+      journalEntries = [];
+      const yearBackMoves = [];
+      
+      // Detained / dropped students stay where they are; year-back students are moved at the end
+      const applyExceptions = async (Model, students) => {
+        const stayingIDs = [];
+        
+        for (const student of students) {
+          const exception = exceptions.get(student.studentID);
+          const historyEntry = {
+            fromSemester: exception.semester,
+            toSemester: exception.targetSemester,
+            migratedDate: promotionDate,
+            migrationBatch: promotionBatch,
+            generation: student.migrationGeneration || 0,
+            type: exception.status,
+            reason: exception.reason
+          };
+          
+          if (exception.targetSemester !== exception.semester) {
+            yearBackMoves.push({ student, exception, historyEntry });
+            continue;
+          }
+          
+          journalEntries.push({
+            action: 'exception',
+            studentID: student.studentID,
+            fromSemester: exception.semester,
+            toSemester: exception.semester,
+            document: student.toObject({ depopulate: true })
+          });
+          
+          await Model.updateOne(
+            { _id: student._id },
+            {
+              $push: { migrationHistory: historyEntry },
+              $set: {
+                lastMigrationDate: promotionDate,
+                ...(exception.action === 'drop' ? { isActive: false } : {})
+              }
+            }
+          ).session(session);
+          
+          stayingIDs.push(student.studentID);
+        }
+        
+        if (students.length > 0) {
+          promotionDetails.push({
+            action: 'exception',
+            semester: students[0].semester,
+            count: students.length,
+            students: students.map(s => {
+              const e = exceptions.get(s.studentID);
+              return { id: s.studentID, name: s.name, status: e.status, reason: e.reason, targetSemester: e.targetSemester };
+            })
+          });
+        }
+        
+        return stayingIDs;
+      };
       
-      // Step 1: Handle graduation (6th semester students)
-      if (semesterRange.includes(6)) {
+      // Step 1: Handle graduation (final semester students)
+      if (scope.graduate) {
         try {
-          const Semester6Students = getStudentModel(stream, 6);
-          const semester6Count = await Semester6Students.countDocuments().session(session);
+          const FinalSemesterStudents = getStudentModel(stream, finalSemester);
+          const finalSemesterStudents = await FinalSemesterStudents.find(getActiveStudentQuery()).session(session);
+          const graduatingStudents = finalSemesterStudents.filter(s => !exceptions.has(s.studentID));
+          const heldBack = finalSemesterStudents.filter(s => exceptions.has(s.studentID));
+          // Students dropped in an earlier run are removed with the semester, not archived as graduates
+          const inactiveStudents = await FinalSemesterStudents.find({ isActive: false }).lean().session(session);
+          
+          const stayingIDs = await applyExceptions(FinalSemesterStudents, heldBack);
           
-          if (semester6Count > 0) {
-            // Get student details before deletion for logging
-            const graduatingStudents = await Semester6Students.find({}).session(session);
+          if (graduatingStudents.length > 0 || heldBack.length > stayingIDs.length || inactiveStudents.length > 0) {
+            // Archive graduates with their full record before clearing them from the final semester
+            await Alumni.insertMany(graduatingStudents.map(s => Alumni.fromStudent(s.toObject({ depopulate: true }), {
+              stream,
+              finalSemester,
+              graduationBatch: promotionBatch,
+              graduatedAt: promotionDate
+            })), { session });
+            
+            // Remove graduated students (and year-back students leaving the final semester)
+            await FinalSemesterStudents.deleteMany({ studentID: { $nin: stayingIDs } }).session(session);
+            totalGraduated = graduatingStudents.length;
+            
+            graduatingStudents.forEach(s => journalEntries.push({
+              action: 'graduation',
+              studentID: s.studentID,
+              fromSemester: finalSemester,
+              document: s.toObject({ depopulate: true })
+            }));
             
-            // Delete 6th semester students (graduated)
-            await Semester6Students.deleteMany({}).session(session);
-            totalGraduated = semester6Count;
+            inactiveStudents.forEach(s => journalEntries.push({
+              action: 'removal',
+              studentID: s.studentID,
+              fromSemester: finalSemester,
+              document: s
+            }));
             
-            console.log(`Graduated ${totalGraduated} students from Semester 6`);
+            console.log(`Graduated ${totalGraduated} students from Semester ${finalSemester} (archived to alumni)`);
             promotionDetails.push({
               action: 'graduation',
-              semester: 6,
+              semester: finalSemester,
               count: totalGraduated,
               students: graduatingStudents.map(s => ({ id: s.studentID, name: s.name }))
             });
           }
         } catch (error) {
-          console.error(`Error handling Semester 6 graduation:`, error);
-          // Continue with other semesters even if 6th semester fails
-        }
-      }
-      
-      // Step 2: Promote students
-      const promotionPairs = [];
-      if (stream === 'BCom Section B') {
-        // BCom Section B: only 5→6 promotion
-        promotionPairs.push({ from: 5, to: 6 });
-      } else {
-        // Regular streams: 5→6, 4→5, 3→4, 2→3, 1→2
-        for (let fromSem = 5; fromSem >= 1; fromSem--) {
-          promotionPairs.push({ from: fromSem, to: fromSem + 1 });
+          console.error(`Error handling Semester ${finalSemester} graduation:`, error);
+          throw error; // Re-throw to abort transaction
         }
       }
       
-      for (const { from: fromSem, to: toSem } of promotionPairs) {
+      // Step 2: Promote students, highest semester first (e.g. 5→6, 4→5, ... 1→2)
+      for (const { from: fromSem, to: toSem } of scope.pairs) {
         try {
           const SourceStudent = getStudentModel(stream, fromSem);
           const TargetStudent = getStudentModel(stream, toSem);
           
-          // Get all active students in source semester
-          const studentsToPromote = await SourceStudent.find(getActiveStudentQuery()).session(session);
+          // Get all active students in source semester, minus the ones held back
+          const activeStudents = await SourceStudent.find(getActiveStudentQuery()).session(session);
+          const studentsToPromote = activeStudents.filter(s => !exceptions.has(s.studentID));
+          const heldBack = activeStudents.filter(s => exceptions.has(s.studentID));
+          // Inactive students are cleared out with the semester; journal them so a rollback restores them
+          const inactiveStudents = await SourceStudent.find({ isActive: false }).lean().session(session);
           
-          console.log(`Promoting ${stream} Semester ${fromSem}→${toSem}: ${studentsToPromote.length} students`);
+          console.log(`Promoting ${stream} Semester ${fromSem}→${toSem}: ${studentsToPromote.length} students, ${heldBack.length} held back`);
+          
+          const stayingIDs = await applyExceptions(SourceStudent, heldBack);
           
           if (studentsToPromote.length > 0) {
             // Create students in target semester
-            const promotedStudents = studentsToPromote.map(student => ({
-              studentID: student.studentID,
-              name: student.name,
-              stream: student.stream,
-              semester: toSem,
-              parentPhone: student.parentPhone,
-              languageSubject: student.languageSubject,
-              languageGroup: student.languageGroup,
-              isActive: true,
-              migrationGeneration: (student.migrationGeneration || 0) + 1,
-              originalSemester: student.originalSemester || fromSem,
-              addedToSemesterDate: promotionDate,
-              lastMigrationDate: promotionDate,
+            const promotedStudents = studentsToPromote.map(student => buildMovedStudent(student, toSem, {
+              fromSemester: fromSem,
+              toSemester: toSem,
+              migratedDate: promotionDate,
               migrationBatch: promotionBatch,
-              migrationHistory: [
-                ...(student.migrationHistory || []),
-                {
-                  fromSemester: fromSem,
-                  toSemester: toSem,
-                  migratedDate: promotionDate,
-                  migrationBatch: promotionBatch,
-                  generation: (student.migrationGeneration || 0) + 1
-                }
-              ],
-              academicYear: new Date().getFullYear().toString()
-            }));
+              generation: (student.migrationGeneration || 0) + 1,
+              type: 'promotion'
+            }, promotionDate, promotionBatch));
             
             // Insert all promoted students to target semester
             await TargetStudent.insertMany(promotedStudents, { session });
             
-            // Remove students from source semester
-            await SourceStudent.deleteMany({}).session(session);
-            
             totalPromoted += studentsToPromote.length;
             
+            studentsToPromote.forEach(s => journalEntries.push({
+              action: 'promotion',
+              studentID: s.studentID,
+              fromSemester: fromSem,
+              toSemester: toSem,
+              document: s.toObject({ depopulate: true })
+            }));
+            
             promotionDetails.push({
               action: 'promotion',
               fromSemester: fromSem,
@@ -949,66 +1224,434 @@ router.post("/simple-promotion/:stream", asyncHandler(async (req, res) => {
               students: studentsToPromote.map(s => ({ id: s.studentID, name: s.name }))
             });
           }
+          
+          if (studentsToPromote.length > 0 || heldBack.length > stayingIDs.length) {
+            // Remove students from source semester (held-back students stay)
+            await SourceStudent.deleteMany({ studentID: { $nin: stayingIDs } }).session(session);
+            
+            inactiveStudents.forEach(s => journalEntries.push({
+              action: 'removal',
+              studentID: s.studentID,
+              fromSemester: fromSem,
+              document: s
+            }));
+          }
         } catch (error) {
           console.error(`Error promoting from Semester ${fromSem} to ${toSem}:`, error);
           throw error; // Re-throw to abort transaction
         }
       }
       
-    });
-    
-  } finally {
+      // Step 3: Year-back students rejoin the start of their academic year
+      for (const { student, exception, historyEntry } of yearBackMoves) {
+        const TargetStudent = getStudentModel(stream, exception.targetSemester);
+        await TargetStudent.insertMany(
+          [buildMovedStudent(student, exception.targetSemester, historyEntry, promotionDate, promotionBatch)],
+          { session }
+        );
+        
+        journalEntries.push({
+          action: 'year_back',
+          studentID: student.studentID,
+          fromSemester: exception.semester,
+          toSemester: exception.targetSemester,
+          document: student.toObject({ depopulate: true })
+        });
+      }
+      
+      // Step 4: Journal the batch so it can be rolled back
+      await PromotionJournal.create([{
+        promotionBatch,
+        stream,
+        semesters: semesterRange,
+        singleSemester: scope.singleSemester,
+        promotedAt: promotionDate,
+        performedBy,
+        totals: {
+          promoted: totalPromoted,
+          graduated: totalGraduated,
+          removed: journalEntries.filter(e => e.action === 'removal').length,
+          heldBack: exceptions.size
+        },
+        exceptions: [...exceptions.values()],
+        entries: journalEntries
+      }], { session });
+      
+      if (dryRun) {
+        throw new PromotionDryRunAbort('Dry run - rolling back');
+      }
+    });
+    
+  } catch (error) {
+    if (!(error instanceof PromotionDryRunAbort)) throw error;
+    console.log(`🧪 Dry run for ${stream} rolled back: ${totalPromoted} would be promoted, ${totalGraduated} would graduate`);
+  } finally {
     await session.endSession();
   }
   
-  console.log(`Simple promotion completed: ${totalPromoted} promoted, ${totalGraduated} graduated`);
+  return { promotionDate, promotionBatch, totalPromoted, totalGraduated, promotionDetails };
+}
+
+// ✅ Undo a journaled promotion: drop the promoted / year-back copies and restore every original
+// document (graduates, held-back and cleared-out inactive students included) inside one transaction
+async function rollbackPromotion(promotionBatch, { performedBy = null } = {}) {
+  const session = await mongoose.startSession();
+  let report;
+  
+  const rollbackError = (statusCode, error, message, details = {}) => {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    err.code = error;
+    err.details = details;
+    return err;
+  };
   
-  // ✅ Build promotion flow based on stream type
-  let promotionFlow;
-  if (stream === 'BCom Section B') {
-    promotionFlow = [
-      "Semester 5 → Semester 6",
-      `Semester 6 → Graduated (${totalGraduated} students removed)`
-    ];
-  } else {
-    promotionFlow = [
-      "Semester 1 → Semester 2",
-      "Semester 2 → Semester 3", 
-      "Semester 3 → Semester 4",
-      "Semester 4 → Semester 5",
-      "Semester 5 → Semester 6",
-      `Semester 6 → Graduated (${totalGraduated} students removed)`
-    ];
+  try {
+    await session.withTransaction(async () => {
+      const journal = await PromotionJournal.findOne({ promotionBatch }).session(session);
+      
+      if (!journal) {
+        throw rollbackError(404, 'JOURNAL_NOT_FOUND', `No promotion journal found for batch ${promotionBatch}`);
+      }
+      if (journal.status === 'rolled_back') {
+        throw rollbackError(409, 'ALREADY_ROLLED_BACK', `Batch ${promotionBatch} was already rolled back on ${journal.rolledBackAt.toISOString()}`);
+      }
+      
+      // Only the newest promotion can be undone; older ones were overwritten by the students moving again
+      const latest = await PromotionJournal.findOne({ stream: journal.stream, status: 'completed' })
+        .sort({ promotedAt: -1 })
+        .select('promotionBatch promotedAt')
+        .session(session);
+      
+      if (latest && latest.promotionBatch !== promotionBatch) {
+        throw rollbackError(409, 'NOT_LATEST_PROMOTION',
+          `Batch ${promotionBatch} is not the latest promotion for ${journal.stream}. Roll back ${latest.promotionBatch} first.`,
+          { latestBatch: latest.promotionBatch, latestPromotedAt: latest.promotedAt });
+      }
+      
+      const stream = journal.stream;
+      const groupBy = (entries, key) => entries.reduce((acc, entry) => {
+        (acc[entry[key]] = acc[entry[key]] || []).push(entry);
+        return acc;
+      }, {});
+      
+      report = {
+        promotionBatch,
+        stream,
+        removedCopies: {},
+        missingCopies: [],
+        restored: {},
+        graduatesRestored: 0,
+        inactiveRestored: 0
+      };
+      
+      // Step 1: remove the copies this batch inserted into each target semester
+      const promoted = journal.entries.filter(e => e.action === 'promotion' || e.action === 'year_back');
+      for (const [toSem, entries] of Object.entries(groupBy(promoted, 'toSemester'))) {
+        const TargetStudent = getStudentModel(stream, toSem);
+        const ids = entries.map(e => e.studentID);
+        
+        const copies = await TargetStudent.find(
+          { studentID: { $in: ids }, migrationBatch: promotionBatch },
+          'studentID'
+        ).lean().session(session);
+        const found = new Set(copies.map(c => c.studentID));
+        
+        await TargetStudent.deleteMany({ studentID: { $in: ids }, migrationBatch: promotionBatch }).session(session);
+        
+        report.removedCopies[`semester${toSem}`] = copies.length;
+        ids.filter(id => !found.has(id)).forEach(id => report.missingCopies.push({ studentID: id, semester: parseInt(toSem) }));
+      }
+      
+      // Step 2: held-back students never left; put their pre-promotion document back in place
+      const inPlace = journal.entries.filter(e => e.action === 'exception');
+      for (const entry of inPlace) {
+        const Student = getStudentModel(stream, entry.fromSemester);
+        await Student.collection.replaceOne({ _id: entry.document._id }, entry.document, { session, upsert: true });
+      }
+      report.exceptionsReverted = inPlace.length;
+      
+      // Step 3: put every other original document back into the semester it left
+      const conflicts = [];
+      const moved = journal.entries.filter(e => e.action !== 'exception');
+      for (const [fromSem, entries] of Object.entries(groupBy(moved, 'fromSemester'))) {
+        const SourceStudent = getStudentModel(stream, fromSem);
+        const ids = entries.map(e => e.studentID);
+        
+        const existing = await SourceStudent.find({ studentID: { $in: ids } }, 'studentID').lean().session(session);
+        existing.forEach(s => conflicts.push({
+          studentID: s.studentID,
+          semester: parseInt(fromSem),
+          message: `${s.studentID} already exists in Semester ${fromSem} (added after the promotion)`
+        }));
+        if (existing.length > 0) continue;
+        
+        // Raw insert keeps the original _id, timestamps and migration history untouched
+        await SourceStudent.collection.insertMany(entries.map(e => e.document), { session, ordered: true });
+        
+        report.restored[`semester${fromSem}`] = entries.length;
+        report.graduatesRestored += entries.filter(e => e.action === 'graduation').length;
+        report.inactiveRestored += entries.filter(e => e.action === 'removal').length;
+      }
+      
+      if (conflicts.length > 0) {
+        throw rollbackError(409, 'ROLLBACK_CONFLICTS',
+          `Rollback blocked: ${conflicts.length} student(s) were added back into their old semester after the promotion`,
+          { conflicts });
+      }
+      
+      // Graduates are students again, so drop their alumni records from this batch
+      const alumniRemoved = await Alumni.deleteMany({ graduationBatch: promotionBatch }).session(session);
+      report.alumniRemoved = alumniRemoved.deletedCount;
+      
+      report.totalRestored = journal.entries.length;
+      report.rolledBackAt = new Date();
+      
+      // Step 4: mark the journal so the batch cannot be rolled back twice
+      journal.status = 'rolled_back';
+      journal.rolledBackAt = report.rolledBackAt;
+      journal.rolledBackBy = performedBy;
+      journal.rollbackReport = report;
+      await journal.save({ session });
+    });
+  } finally {
+    await session.endSession();
   }
   
+  return report;
+}
+
+// ✅ Build promotion flow for the semesters a run touches
+const buildPromotionFlow = (scope, graduatedCount, dryRun = false) => [
+  ...[...scope.pairs].reverse().map(({ from, to }) => `Semester ${from} → Semester ${to}`),
+  ...(scope.graduate
+    ? [`Semester ${scope.finalSemester} → Alumni (${graduatedCount} students ${dryRun ? 'would be archived' : 'archived'})`]
+    : [])
+];
+
+const parseBooleanFlag = (value) => value === true || value === 'true';
+
+// ✅ Preview: exactly who moves where, who graduates and who is held back, without touching any data
+router.get("/simple-promotion-preview/:stream", requirePermission("promotion:run"), asyncHandler(async (req, res) => {
+  const program = findProgram(req.params.stream);
+  
+  if (!program) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid stream. Must be one of: ${getProgramCodes().join(', ')}`
+    });
+  }
+  
+  const scope = getPromotionScope(program, req.query.semester);
+  if (scope.error) {
+    return res.status(400).json({ success: false, message: scope.error });
+  }
+  
+  // Only the attendance block can be previewed here; explicit exceptions go through a dry run
+  const { exceptions } = await resolvePromotionExceptions(program, scope, {
+    blockOnAttendance: parseBooleanFlag(req.query.blockOnAttendance)
+  });
+  const plan = await buildPromotionPlan(program, { scope, exceptions });
+  
   res.json({
     success: true,
-    message: `Simple Promotion Completed for ${stream.toUpperCase()}!`,
+    stream: program.code.toUpperCase(),
+    streamType: `${program.displayName} (Semesters ${plan.firstSemester}-${plan.finalSemester})`,
+    ...plan,
+    promotionPreview: buildPromotionFlow(scope, plan.willGraduate, true),
+    hasBlockingConflicts: plan.conflicts.some(c => c.blocking),
+    generatedAt: new Date().toISOString()
+  });
+}));
+
+// ✅ FIXED: Simple promotion system driven by each program's semester range
+// Body (all optional): { dryRun, semester, blockOnAttendance, exceptions: [{ studentID, action, reason }] }
+router.post("/simple-promotion/:stream", requirePermission("promotion:run"), asyncHandler(async (req, res) => {
+  const program = findProgram(req.params.stream);
+  
+  // ✅ Stream validation through the program registry
+  if (!program) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid stream. Must be one of: ${getProgramCodes().join(', ')}`
+    });
+  }
+  const stream = program.code;
+  const body = req.body || {};
+  const dryRun = parseBooleanFlag(body.dryRun) || req.query.dryRun === 'true';
+  
+  const scope = getPromotionScope(program, body.semester);
+  if (scope.error) {
+    return res.status(400).json({ success: false, message: scope.error });
+  }
+  
+  console.log(`Starting simple promotion for ${stream.toUpperCase()}${scope.singleSemester ? ` Semester ${scope.singleSemester}` : ''}${dryRun ? ' (dry run)' : ''}`);
+  
+  // ✅ Exceptions: explicit detain / year-back / drop, plus attendance shortage when requested
+  const { exceptions, errors } = await resolvePromotionExceptions(program, scope, {
+    exceptions: body.exceptions || [],
+    blockOnAttendance: parseBooleanFlag(body.blockOnAttendance)
+  });
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_EXCEPTIONS',
+      message: `${errors.length} promotion exception(s) could not be applied`,
+      errors
+    });
+  }
+  
+  // ✅ Pre-flight: refuse to start when the plan already shows a collision
+  const plan = await buildPromotionPlan(program, { scope, exceptions });
+  const blockingConflicts = plan.conflicts.filter(c => c.blocking);
+  
+  if (blockingConflicts.length > 0 && !dryRun) {
+    return res.status(409).json({
+      success: false,
+      error: 'PROMOTION_CONFLICTS',
+      message: `Promotion blocked: ${blockingConflicts.length} conflicting student record(s). Run the preview for details.`,
+      conflicts: plan.conflicts
+    });
+  }
+  
+  let result;
+  try {
+    result = await runSimplePromotion(program, {
+      dryRun,
+      scope,
+      exceptions,
+      performedBy: { uid: req.user.uid, name: req.user.name || null, email: req.user.email || null }
+    });
+  } catch (error) {
+    // Duplicate key errors mean the target semester already holds one of the IDs
+    if (error.code === 11000 || error.writeErrors) {
+      return res.status(409).json({
+        success: false,
+        error: 'PROMOTION_CONFLICTS',
+        message: `Promotion ${dryRun ? 'dry run ' : ''}failed on a duplicate student ID: ${error.message}`,
+        conflicts: plan.conflicts,
+        dryRun
+      });
+    }
+    throw error;
+  }
+  
+  const { promotionDate, promotionBatch, totalPromoted, totalGraduated, promotionDetails } = result;
+  
+  console.log(`Simple promotion ${dryRun ? 'dry run ' : ''}completed: ${totalPromoted} promoted, ${totalGraduated} graduated, ${exceptions.size} held back`);
+  
+  const completedNote = scope.singleSemester
+    ? `Semester ${scope.singleSemester} ${scope.graduate ? 'graduated' : `moved up to Semester ${scope.pairs[0].to}`}.`
+    : `All students moved up one semester. Semester ${plan.firstSemester} is now empty for new admissions.`;
+  
+  res.json({
+    success: true,
+    dryRun,
+    message: dryRun
+      ? `Dry run for ${stream.toUpperCase()} completed. Nothing was committed.`
+      : `Simple Promotion Completed for ${stream.toUpperCase()}!`,
     stream: stream.toUpperCase(),
-    streamType: stream === 'BCom Section B' ? 'Limited Stream (5-6)' : 'Full Stream (1-6)',
+    streamType: `${program.displayName} (Semesters ${plan.firstSemester}-${plan.finalSemester})`,
+    singleSemester: scope.singleSemester,
     promotionDate: promotionDate.toISOString(),
-    promotionBatch: promotionBatch,
+    promotionBatch: dryRun ? null : promotionBatch,
     totalPromoted: totalPromoted,
     totalGraduated: totalGraduated,
-    promotionFlow: promotionFlow,
+    totalHeldBack: exceptions.size,
+    promotionFlow: buildPromotionFlow(scope, totalGraduated, dryRun),
     promotionDetails: promotionDetails,
-    note: stream === 'BCom Section B' 
-      ? "BCom Section B students promoted. Only semester 5 is now empty for new admissions."
-      : "All students moved up one semester. Semester 1 is now empty for new admissions."
+    exceptions: [...exceptions.values()],
+    conflicts: plan.conflicts,
+    note: dryRun
+      ? 'The full promotion ran inside a transaction and was rolled back.'
+      : `${completedNote} Undo with POST /api/promotion-rollback/${promotionBatch}.`
+  });
+}));
+
+// ✅ List journaled promotions (newest first) so a batch can be picked for rollback
+router.get("/promotion-journal", requirePermission("promotion:run"), asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.stream) {
+    const program = findProgram(req.query.stream, { includeInactive: true });
+    filter.stream = program ? program.code : req.query.stream;
+  }
+  
+  const journals = await PromotionJournal.find(filter)
+    .select('-entries')
+    .sort({ promotedAt: -1 })
+    .limit(Math.min(parseInt(req.query.limit) || 20, 100))
+    .lean();
+  
+  res.json({
+    success: true,
+    count: journals.length,
+    journals
   });
 }));
 
+// ✅ One journal with the list of moved students (documents omitted)
+router.get("/promotion-journal/:promotionBatch", requirePermission("promotion:run"), asyncHandler(async (req, res) => {
+  const journal = await PromotionJournal.findOne({ promotionBatch: req.params.promotionBatch }).lean();
+  
+  if (!journal) {
+    return res.status(404).json({
+      success: false,
+      error: 'JOURNAL_NOT_FOUND',
+      message: `No promotion journal found for batch ${req.params.promotionBatch}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    journal: {
+      ...journal,
+      entries: journal.entries.map(({ document, ...entry }) => ({ ...entry, name: document?.name || null }))
+    }
+  });
+}));
+
+// ✅ Roll back a promotion batch, restoring every student (graduates included)
+router.post("/promotion-rollback/:promotionBatch", requirePermission("promotion:run"), asyncHandler(async (req, res) => {
+  const { promotionBatch } = req.params;
+  
+  console.log(`⏪ Rolling back promotion batch ${promotionBatch}`);
+  
+  try {
+    const report = await rollbackPromotion(promotionBatch, {
+      performedBy: { uid: req.user.uid, name: req.user.name || null, email: req.user.email || null }
+    });
+    
+    console.log(`✅ Rolled back ${promotionBatch}: ${report.totalRestored} students restored`);
+    
+    res.json({
+      success: true,
+      message: `Promotion ${promotionBatch} rolled back. ${report.totalRestored} students restored.`,
+      report
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    
+    res.status(error.statusCode).json({
+      success: false,
+      error: error.code,
+      message: error.message,
+      ...error.details
+    });
+  }
+}));
+
 // ✅ FIXED: GET Students Route with Language Fields
-router.get("/students/:stream/sem:sem", validateParams, asyncHandler(async (req, res) => {
+router.get("/students/:stream/sem:sem", requirePermission("attendance:read"), validateParams, asyncHandler(async (req, res) => {
   const { stream, sem } = req.params;
   
   console.log(`👥 Loading students for: ${stream} Semester ${sem}`);
   
   const Student = getStudentModel(stream, sem);
-  const query = getActiveStudentQuery();
+  const query = req.query.includeInactive === 'true' ? {} : getActiveStudentQuery();
   
   const students = await Student.find(query)
-    .select('studentID name parentPhone stream semester migrationGeneration originalSemester languageSubject languageGroup')
+    .select('studentID name parentPhone stream semester migrationGeneration originalSemester languageSubject languageGroup section isActive')
     .sort({ studentID: 1 });
   
   // ✅ Group students by language for better organization
@@ -1037,68 +1680,815 @@ router.get("/students/:stream/sem:sem", validateParams, asyncHandler(async (req,
   });
 }));
 
-// ✅ FIXED: GET Subjects Route with Language Fields
-router.get("/subjects/:stream/sem:sem", validateParams, asyncHandler(async (req, res) => {
-  const { stream, sem } = req.params;
+// ===== STUDENT MANAGEMENT =====
+
+const STUDENT_EDITABLE_FIELDS = ['name', 'parentPhone', 'languageSubject', 'section'];
+
+// ✅ Picks student fields from a request body / import row; blank optional fields become null
+const pickStudentFields = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) {
+    const value = typeof source[field] === 'string' ? source[field].trim() : source[field];
+    acc[field] = value === '' && (field === 'languageSubject' || field === 'section') ? null : value;
+  }
+  return acc;
+}, {});
+
+const formatValidationErrors = (error) => Object.values(error.errors).map(e => e.message);
+
+// ✅ Uploads are kept in memory; only the first sheet of a CSV / XLSX file is read
+const studentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, isAllowedFile(file.originalname))
+});
+
+const handleStudentUpload = (req, res, next) => {
+  studentUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'UPLOAD_ERROR',
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 5 MB' : error.message
+      });
+    }
+    next();
+  });
+};
+
+// ✅ Create a student (promotion.html uses this for Semester 1 admissions)
+router.post("/add-student/:stream/sem:sem", requirePermission("students:manage"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem } = req.params;
+  const { stream: programCode, semester } = req.validatedParams;
+  const Student = getStudentModel(stream, sem);
+  
+  const student = new Student({
+    ...pickStudentFields(req.body, ['studentID', ...STUDENT_EDITABLE_FIELDS]),
+    stream: programCode,
+    semester,
+    originalSemester: semester
+  });
+  
+  try {
+    await student.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    const errors = formatValidationErrors(error);
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: errors.join('; '),
+      errors
+    });
+  }
+  
+  const existing = await Student.findOne({ studentID: student.studentID }, 'studentID isActive').lean();
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      error: 'STUDENT_EXISTS',
+      message: existing.isActive === false
+        ? `Student ${student.studentID} already exists (deactivated). Reactivate it with PUT /api/student/${stream}/sem${sem}/${student.studentID}`
+        : `Student ${student.studentID} already exists in ${programCode} Semester ${semester}`
+    });
+  }
+  
+  await student.save();
+  console.log(`➕ Added student ${student.studentID} to ${Student.collection.name}`);
+  
+  res.status(201).json({
+    success: true,
+    message: `Student ${student.studentID} added to ${programCode} Semester ${semester}`,
+    student
+  });
+}));
+
+// ✅ Get one student (active or not)
+router.get("/student/:stream/sem:sem/:studentID", requirePermission("attendance:read"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem, studentID } = req.params;
+  const Student = getStudentModel(stream, sem);
+  
+  const student = await Student.findOne({ studentID: studentID.toUpperCase() }).lean();
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      error: 'STUDENT_NOT_FOUND',
+      message: `Student ${studentID} not found in ${stream} Semester ${sem}`
+    });
+  }
+  
+  res.json({ success: true, student });
+}));
+
+// ✅ Edit name, parent phone, language, section or reactivate. The student ID is fixed
+// because attendance records reference it.
+router.put("/student/:stream/sem:sem/:studentID", requirePermission("students:manage"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem, studentID } = req.params;
+  const Student = getStudentModel(stream, sem);
+  
+  if (req.body.studentID && req.body.studentID.toString().trim().toUpperCase() !== studentID.toUpperCase()) {
+    return res.status(400).json({
+      success: false,
+      error: 'STUDENT_ID_IMMUTABLE',
+      message: 'Student ID cannot be changed because attendance records reference it'
+    });
+  }
+  
+  const student = await Student.findOne({ studentID: studentID.toUpperCase() });
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      error: 'STUDENT_NOT_FOUND',
+      message: `Student ${studentID} not found in ${stream} Semester ${sem}`
+    });
+  }
+  
+  const updates = pickStudentFields(req.body, STUDENT_EDITABLE_FIELDS);
+  student.set(updates);
+  if (req.body.isActive !== undefined) student.isActive = !!req.body.isActive;
+  
+  // languageGroup is derived from the language choice
+  if (updates.languageSubject !== undefined) {
+    student.languageGroup = student.languageSubject
+      ? `${student.stream}_SEM${student.semester}_${student.languageSubject}`
+      : null;
+  }
+  
+  try {
+    await student.save();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    const errors = formatValidationErrors(error);
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: errors.join('; '),
+      errors
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: `Student ${student.studentID} updated`,
+    student
+  });
+}));
+
+// ✅ Deactivate a student (kept in the collection so attendance history stays linked)
+router.delete("/student/:stream/sem:sem/:studentID", requirePermission("students:manage"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem, studentID } = req.params;
+  const Student = getStudentModel(stream, sem);
+  
+  const student = await Student.findOneAndUpdate(
+    { studentID: studentID.toUpperCase() },
+    {
+      $set: {
+        isActive: false,
+        deactivatedAt: new Date(),
+        deactivatedBy: req.user.email || null,
+        deactivationReason: req.body?.reason || req.query.reason || null
+      }
+    },
+    { new: true }
+  ).lean();
+  
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      error: 'STUDENT_NOT_FOUND',
+      message: `Student ${studentID} not found in ${stream} Semester ${sem}`
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: `Student ${student.studentID} deactivated`,
+    student
+  });
+}));
+
+// ✅ Bulk import from CSV / XLSX. Every row runs through studentSchema validation first;
+// nothing is written unless ?commit=true and the file is clean (or ?skipInvalid=true).
+router.post("/students/import/:stream/sem:sem", requirePermission("students:manage"), validateParams, handleStudentUpload, asyncHandler(async (req, res) => {
+  const { stream, sem } = req.params;
+  const { stream: programCode, semester } = req.validatedParams;
+  const commit = req.query.commit === 'true' || req.body?.commit === 'true';
+  const skipInvalid = req.query.skipInvalid === 'true' || req.body?.skipInvalid === 'true';
+  
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'NO_FILE',
+      message: `Upload a ${ALLOWED_EXTENSIONS.join(', ')} file in the "file" field`
+    });
+  }
+  
+  let parsed;
+  try {
+    parsed = parseStudentFile(req.file.buffer);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'FILE_PARSE_ERROR',
+      message: `Could not read ${req.file.originalname}: ${error.message}`
+    });
+  }
+  
+  if (parsed.missingColumns.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'MISSING_COLUMNS',
+      message: `Missing required column(s): ${parsed.missingColumns.join(', ')}`,
+      unknownColumns: parsed.unknownColumns
+    });
+  }
+  
+  if (parsed.rows.length === 0 || parsed.rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ROW_COUNT',
+      message: parsed.rows.length === 0
+        ? 'The file has no student rows'
+        : `The file has ${parsed.rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time`
+    });
+  }
+  
+  const Student = getStudentModel(stream, sem);
+  const existingIDs = new Set((await Student.find({}, 'studentID').lean()).map(s => s.studentID));
+  const firstRowByID = new Map();
+  const rows = [];
+  const validStudents = [];
+  
+  for (const { row, data } of parsed.rows) {
+    const student = new Student({
+      ...pickStudentFields(data, ['studentID', ...STUDENT_EDITABLE_FIELDS]),
+      stream: programCode,
+      semester,
+      originalSemester: semester
+    });
+    const errors = [];
+    
+    try {
+      await student.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      errors.push(...formatValidationErrors(error));
+    }
+    
+    if (student.studentID) {
+      if (existingIDs.has(student.studentID)) {
+        errors.push(`Student ID ${student.studentID} already exists in ${programCode} Semester ${semester}`);
+      }
+      if (firstRowByID.has(student.studentID)) {
+        errors.push(`Duplicate of row ${firstRowByID.get(student.studentID)} in this file`);
+      } else {
+        firstRowByID.set(student.studentID, row);
+      }
+    }
+    
+    rows.push({
+      row,
+      studentID: student.studentID || data.studentID || null,
+      name: student.name || null,
+      parentPhone: student.parentPhone || null,
+      languageSubject: student.languageSubject || null,
+      section: student.section || null,
+      valid: errors.length === 0,
+      errors
+    });
+    if (errors.length === 0) validStudents.push(student);
+  }
+  
+  const summary = {
+    file: req.file.originalname,
+    totalRows: rows.length,
+    valid: validStudents.length,
+    invalid: rows.length - validStudents.length
+  };
+  
+  // Report only: preview, or a commit that would leave invalid rows behind
+  if (!commit || (summary.invalid > 0 && !skipInvalid) || validStudents.length === 0) {
+    const blocked = commit;
+    return res.status(blocked ? 422 : 200).json({
+      success: !blocked,
+      committed: false,
+      message: blocked
+        ? `Import not committed: ${summary.invalid} invalid row(s). Fix them or pass skipInvalid=true.`
+        : `Validated ${summary.totalRows} rows: ${summary.valid} valid, ${summary.invalid} invalid. Re-submit with commit=true to import.`,
+      summary,
+      unknownColumns: parsed.unknownColumns,
+      rows
+    });
+  }
+  
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await Student.insertMany(validStudents, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  
+  console.log(`📥 Imported ${validStudents.length} students into ${Student.collection.name} from ${req.file.originalname}`);
+  
+  res.status(201).json({
+    success: true,
+    committed: true,
+    message: `Imported ${validStudents.length} students into ${programCode} Semester ${semester}${summary.invalid > 0 ? ` (${summary.invalid} invalid rows skipped)` : ''}`,
+    summary: { ...summary, imported: validStudents.length },
+    unknownColumns: parsed.unknownColumns,
+    rows
+  });
+}));
+
+// ✅ FIXED: GET Subjects Route with Language Fields
+router.get("/subjects/:stream/sem:sem", requirePermission("attendance:read"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem } = req.params;
+  
+  console.log(`📚 Loading subjects for: ${stream} Semester ${sem}`);
+  
+  const Subject = getSubjectModel(stream, sem);
+  const query = req.query.includeInactive === 'true' ? {} : { isActive: { $ne: false } };
+  
+  const subjects = await Subject.find(query)
+    .select('subjectName stream semester isActive subjectType isLanguageSubject languageType credits academicYear')
+    .sort({ subjectName: 1 });
+  
+  // ✅ Separate core and language subjects
+  const coreSubjects = subjects.filter(s => !s.isLanguageSubject);
+  const languageSubjects = subjects.filter(s => s.isLanguageSubject);
+  
+  console.log(`✅ Found ${subjects.length} subjects in collection: ${Subject.collection.name}`);
+  console.log(`   Core: ${coreSubjects.length}, Language: ${languageSubjects.length}`);
+  
+  res.json({
+    success: true,
+    count: subjects.length,
+    stream: stream,
+    semester: parseInt(sem),
+    subjects: subjects,
+    subjectsByType: {
+      core: coreSubjects.map(s => ({
+        name: s.subjectName,
+        type: s.subjectType,
+        credits: s.credits,
+        attendanceType: 'ALL_STUDENTS'
+      })),
+      language: languageSubjects.map(s => ({
+        name: s.subjectName,
+        type: s.subjectType,
+        languageType: s.languageType,
+        credits: s.credits,
+        attendanceType: 'LANGUAGE_FILTERED'
+      }))
+    },
+    attendanceInfo: {
+      coreSubjects: "All students attend together",
+      languageSubjects: "Students filtered by language choice"
+    },
+    collectionUsed: Subject.collection.name
+  });
+}));
+
+// ===== SUBJECT SETUP =====
+
+const LANGUAGE_TYPES = ['KANNADA', 'HINDI', 'SANSKRIT'];
+const SUBJECT_EDITABLE_FIELDS = ['credits', 'subjectType', 'languageType', 'description'];
+
+// ✅ Accepts a plain name (what index.html sends) or a full subject object.
+// A plain name that is itself a language ("HINDI") becomes a LANGUAGE subject.
+function normalizeSubjectInput(input) {
+  if (typeof input === 'string') {
+    const name = input.trim().toUpperCase();
+    return LANGUAGE_TYPES.includes(name)
+      ? { subjectName: name, subjectType: 'LANGUAGE', languageType: name }
+      : { subjectName: name };
+  }
+  
+  const subject = { subjectName: (input?.subjectName || input?.name || '').toString().trim() };
+  SUBJECT_EDITABLE_FIELDS.forEach(field => {
+    if (input?.[field] !== undefined && input[field] !== '') subject[field] = input[field];
+  });
+  if (typeof subject.subjectType === 'string') subject.subjectType = subject.subjectType.toUpperCase();
+  return subject;
+}
+
+// isLanguageSubject always follows subjectType; only LANGUAGE subjects carry a languageType
+function applySubjectTypeRules(subject) {
+  subject.isLanguageSubject = subject.subjectType === 'LANGUAGE';
+  if (!subject.isLanguageSubject) subject.languageType = null;
+  return subject;
+}
+
+// ✅ Create several subjects at once (index.html → saveAllSubjects). All entries are validated
+// first; nothing is written if any entry is invalid.
+router.post("/setup-subjects/:stream/sem:sem", requirePermission("subjects:manage"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem } = req.params;
+  const { stream: programCode, semester } = req.validatedParams;
+  const { subjects, academicYear } = req.body;
+  
+  if (!Array.isArray(subjects) || subjects.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'NO_SUBJECTS',
+      message: 'subjects must be a non-empty array of names or subject objects'
+    });
+  }
+  
+  const Subject = getSubjectModel(stream, sem);
+  const existing = await Subject.find({}, 'subjectName isActive').lean();
+  const existingByName = new Map(existing.map(s => [s.subjectName, s]));
+  const seen = new Set();
+  const results = [];
+  const toCreate = [];
+  
+  for (const input of subjects) {
+    const subject = new Subject(applySubjectTypeRules({
+      subjectType: 'CORE',
+      ...normalizeSubjectInput(input),
+      stream: programCode,
+      semester,
+      ...(academicYear ? { academicYear: academicYear.toString() } : {})
+    }));
+    
+    try {
+      await subject.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      results.push({ subjectName: subject.subjectName || null, status: 'invalid', errors: formatValidationErrors(error) });
+      continue;
+    }
+    
+    if (seen.has(subject.subjectName)) {
+      results.push({ subjectName: subject.subjectName, status: 'invalid', errors: ['Listed more than once'] });
+      continue;
+    }
+    seen.add(subject.subjectName);
+    
+    const current = existingByName.get(subject.subjectName);
+    if (current) {
+      results.push({
+        subjectName: subject.subjectName,
+        status: current.isActive === false ? 'inactive' : 'exists',
+        errors: current.isActive === false
+          ? [`${subject.subjectName} exists but is deactivated. Reactivate it with PUT /api/subject/${stream}/sem${sem}/${encodeURIComponent(subject.subjectName)}`]
+          : []
+      });
+      continue;
+    }
+    
+    results.push({ subjectName: subject.subjectName, status: 'added', errors: [] });
+    toCreate.push(subject);
+  }
+  
+  const invalid = results.filter(r => r.status === 'invalid');
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: `${invalid.length} subject(s) are invalid: ${invalid.map(r => `${r.subjectName || '(blank)'} - ${r.errors.join(', ')}`).join('; ')}`,
+      results
+    });
+  }
+  
+  if (toCreate.length > 0) {
+    await Subject.insertMany(toCreate);
+  }
+  
+  console.log(`📚 Setup subjects for ${programCode} Sem ${semester}: ${toCreate.length} added, ${results.length - toCreate.length} already present`);
+  
+  res.status(toCreate.length > 0 ? 201 : 200).json({
+    success: true,
+    message: `${toCreate.length} subject(s) added to ${programCode} Semester ${semester}`,
+    stream: programCode,
+    semester,
+    added: toCreate.length,
+    total: subjects.length,
+    skipped: results.length - toCreate.length,
+    results
+  });
+}));
+
+// ✅ Update credits, type or language, or reactivate. The subject name is fixed because
+// attendance records are keyed by it.
+router.put("/subject/:stream/sem:sem/:subjectName", requirePermission("subjects:manage"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem, subjectName } = req.params;
+  const Subject = getSubjectModel(stream, sem);
+  
+  const newName = req.body.subjectName || req.body.name;
+  if (newName && newName.toString().trim().toUpperCase() !== subjectName.toUpperCase()) {
+    return res.status(400).json({
+      success: false,
+      error: 'SUBJECT_NAME_IMMUTABLE',
+      message: 'Subject name cannot be changed because attendance records are keyed by it. Deactivate it and create a new subject instead.'
+    });
+  }
+  
+  const subject = await Subject.findOne({ subjectName: subjectName.toUpperCase() });
+  if (!subject) {
+    return res.status(404).json({
+      success: false,
+      error: 'SUBJECT_NOT_FOUND',
+      message: `Subject ${subjectName} not found in ${stream} Semester ${sem}`
+    });
+  }
+  
+  SUBJECT_EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) subject[field] = req.body[field] === '' ? null : req.body[field];
+  });
+  applySubjectTypeRules(subject);
+  if (req.body.isActive !== undefined) {
+    subject.isActive = !!req.body.isActive;
+    if (subject.isActive) {
+      subject.deactivatedAt = null;
+      subject.deactivatedBy = null;
+    }
+  }
+  
+  try {
+    await subject.save();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    const errors = formatValidationErrors(error);
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: errors.join('; '),
+      errors
+    });
+  }
+  
+  res.json({
+    success: true,
+    message: `Subject ${subject.subjectName} updated`,
+    subject
+  });
+}));
+
+// ✅ Deactivate a subject: it leaves the marking lists, but its attendance records are untouched
+// and the register stays readable
+router.delete("/subject/:stream/sem:sem/:subjectName", requirePermission("subjects:manage"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem, subjectName } = req.params;
+  const Subject = getSubjectModel(stream, sem);
+  
+  const subject = await Subject.findOneAndUpdate(
+    { subjectName: subjectName.toUpperCase() },
+    { $set: { isActive: false, deactivatedAt: new Date(), deactivatedBy: req.user.email || null } },
+    { new: true }
+  ).lean();
+  
+  if (!subject) {
+    return res.status(404).json({
+      success: false,
+      error: 'SUBJECT_NOT_FOUND',
+      message: `Subject ${subjectName} not found in ${stream} Semester ${sem}`
+    });
+  }
+  
+  const attendanceRecords = await getAttendanceModel(stream, sem, subject.subjectName).countDocuments();
+  
+  res.json({
+    success: true,
+    message: `Subject ${subject.subjectName} deactivated. ${attendanceRecords} attendance record(s) remain available in the register.`,
+    subject,
+    attendanceRecords
+  });
+}));
+
+// ✅ Copy a previous year's subject list (same or another semester) into this semester.
+// Body: { fromAcademicYear, fromStream?, fromSemester?, toAcademicYear? }
+router.post("/subjects/copy/:stream/sem:sem", requirePermission("subjects:manage"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem } = req.params;
+  const { stream: programCode, semester } = req.validatedParams;
+  const { fromAcademicYear, fromStream, fromSemester } = req.body;
+  const toAcademicYear = (req.body.toAcademicYear || new Date().getFullYear()).toString();
+  
+  const sourceProgram = findProgram(fromStream || programCode, { includeInactive: true });
+  const sourceSemester = parseInt(fromSemester || semester);
+  
+  if (!sourceProgram || !sourceProgram.semesters.includes(sourceSemester)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_SOURCE',
+      message: `Invalid source: ${fromStream || programCode} Semester ${fromSemester || semester}`
+    });
+  }
+  
+  const SourceSubject = getSubjectModel(sourceProgram.code, sourceSemester);
+  const TargetSubject = getSubjectModel(stream, sem);
+  
+  // Without a year, copy the most recent year on record in the source
+  const sourceFilter = fromAcademicYear ? { academicYear: fromAcademicYear.toString() } : {};
+  let sourceSubjects = await SourceSubject.find(sourceFilter).sort({ academicYear: -1, subjectName: 1 }).lean();
+  if (!fromAcademicYear && sourceSubjects.length > 0) {
+    const latestYear = sourceSubjects[0].academicYear;
+    sourceSubjects = sourceSubjects.filter(s => s.academicYear === latestYear);
+  }
+  
+  if (sourceSubjects.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'NO_SOURCE_SUBJECTS',
+      message: `No subjects found in ${sourceProgram.code} Semester ${sourceSemester}${fromAcademicYear ? ` for ${fromAcademicYear}` : ''}`
+    });
+  }
+  
+  const existingNames = new Set((await TargetSubject.find({}, 'subjectName').lean()).map(s => s.subjectName));
+  const copied = [];
+  const skipped = [];
+  
+  for (const source of sourceSubjects) {
+    if (existingNames.has(source.subjectName)) {
+      skipped.push({ subjectName: source.subjectName, reason: 'Already in the target semester' });
+      continue;
+    }
+    
+    copied.push(new TargetSubject(applySubjectTypeRules({
+      subjectName: source.subjectName,
+      credits: source.credits,
+      subjectType: source.subjectType || 'CORE',
+      languageType: source.languageType || null,
+      description: source.description,
+      stream: programCode,
+      semester,
+      academicYear: toAcademicYear,
+      isActive: true,
+      copiedFrom: {
+        stream: sourceProgram.code,
+        semester: sourceSemester,
+        academicYear: source.academicYear || null
+      }
+    })));
+    existingNames.add(source.subjectName);
+  }
+  
+  try {
+    if (copied.length > 0) await TargetSubject.insertMany(copied);
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: formatValidationErrors(error).join('; ')
+    });
+  }
+  
+  res.status(copied.length > 0 ? 201 : 200).json({
+    success: true,
+    message: `Copied ${copied.length} subject(s) from ${sourceProgram.code} Semester ${sourceSemester} into ${programCode} Semester ${semester} (${toAcademicYear})`,
+    copied: copied.map(s => s.subjectName),
+    skipped
+  });
+}));
+
+// ✅ Pre-submit duplicate check: does attendance exist for this subject, date and period (?period=, default 1),
+// and who marked it?
+router.get("/check-attendance/:stream/sem:sem/:subject/:date", requirePermission("attendance:read"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem, subject, date } = req.params;
+  const period = parsePeriod(req.query.period);
   
-  console.log(`📚 Loading subjects for: ${stream} Semester ${sem}`);
+  if (!isDateKey(date)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_DATE',
+      message: 'Date must be in YYYY-MM-DD format'
+    });
+  }
   
-  const Subject = getSubjectModel(stream, sem);
-  const query = { isActive: { $ne: false } };
+  if (period === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_PERIOD',
+      message: 'Period must be a whole number between 1 and 12'
+    });
+  }
   
-  const subjects = await Subject.find(query)
-    .select('subjectName stream semester isActive subjectType isLanguageSubject languageType credits')
-    .sort({ subjectName: 1 });
+  const Attendance = getAttendanceModel(stream, sem, subject);
+  const dayRecords = await Attendance.find(
+    { date: dateFromKey(date) },
+    'period startTime endTime studentsPresent studentStatuses totalStudents totalPossibleStudents markedBy markedAt updatedBy lastUpdated updateMethod createdAt'
+  ).lean();
+  const record = dayRecords.find(r => getRecordPeriod(r) === period);
+  // Periods already marked for this subject on this date, so the UI can suggest the next one
+  const markedPeriods = dayRecords.map(getRecordPeriod).sort((a, b) => a - b);
+  // Working-day status from the academic calendar (configured: false when none covers the date)
+  const calendar = await checkAttendanceDate(req.validatedParams.stream, req.validatedParams.semester, date);
   
-  // ✅ Separate core and language subjects
-  const coreSubjects = subjects.filter(s => !s.isLanguageSubject);
-  const languageSubjects = subjects.filter(s => s.isLanguageSubject);
+  if (!record) {
+    return res.json({
+      success: true,
+      exists: false,
+      stream,
+      semester: sem,
+      subject: subject.toUpperCase(),
+      date,
+      period,
+      markedPeriods,
+      calendar
+    });
+  }
   
-  console.log(`✅ Found ${subjects.length} subjects in collection: ${Subject.collection.name}`);
-  console.log(`   Core: ${coreSubjects.length}, Language: ${languageSubjects.length}`);
+  const totalStudents = record.totalStudents || record.totalPossibleStudents || 0;
+  const presentCount = (record.studentsPresent || []).length;
+  const excusedCount = [...getStatusMap(record).values()].filter(status => LEAVE_TYPES.includes(status)).length;
   
   res.json({
     success: true,
-    count: subjects.length,
-    stream: stream,
-    semester: parseInt(sem),
-    subjects: subjects,
-    subjectsByType: {
-      core: coreSubjects.map(s => ({
-        name: s.subjectName,
-        type: s.subjectType,
-        credits: s.credits,
-        attendanceType: 'ALL_STUDENTS'
-      })),
-      language: languageSubjects.map(s => ({
-        name: s.subjectName,
-        type: s.subjectType,
-        languageType: s.languageType,
-        credits: s.credits,
-        attendanceType: 'LANGUAGE_FILTERED'
-      }))
-    },
-    attendanceInfo: {
-      coreSubjects: "All students attend together",
-      languageSubjects: "Students filtered by language choice"
-    },
-    collectionUsed: Subject.collection.name
+    exists: true,
+    stream,
+    semester: sem,
+    subject: subject.toUpperCase(),
+    date,
+    period,
+    startTime: record.startTime || null,
+    endTime: record.endTime || null,
+    markedPeriods,
+    calendar,
+    recordId: record._id,
+    // Records saved before markedBy existed only know the last bulk editor
+    markedBy: record.markedBy?.uid ? record.markedBy : (record.updatedBy ? { name: record.updatedBy } : null),
+    markedAt: record.markedAt || record.createdAt,
+    lastUpdated: record.lastUpdated || null,
+    updateMethod: record.updateMethod || null,
+    counts: {
+      total: totalStudents,
+      present: presentCount,
+      absent: Math.max(totalStudents - presentCount - excusedCount, 0),
+      excused: excusedCount
+    }
   });
 }));
 
-// ✅ FIXED: POST Mark Attendance with Language Subject Filtering
-router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler(async (req, res) => {
-  const { stream, sem, subject } = req.params;
-  const { date, studentsPresent, forceOverwrite } = req.body;
+// ✅ Marks one class session; shared by POST /attendance and the offline /attendance-sync batch.
+// Returns { status, body } for the caller to send. capturedAt (offline submissions) is when the
+// roll call was taken: the edit lock is judged at that time, and a session someone saved after
+// it is not overwritten.
+// Absentee mode: send studentsAbsent (studentIDs, or roll numbers like "3,7,12-15") instead of
+// studentsPresent. The present list is everyone else the subject covers; the first call returns
+// a summary with a confirmationToken and saves nothing, and the teacher resubmits with
+// confirm: true and that token. preview: true gets the same summary in either mode.
+async function markAttendance({ stream, sem, subject, body, validatedParams, user, capturedAt = null, source = 'POST /attendance' }) {
+  const respond = (status, responseBody) => ({ status, body: responseBody });
+  const { date, forceOverwrite, startTime, endTime, studentsAbsent } = body;
+  let { studentsPresent } = body;
+  const period = parsePeriod(body.period);
+  const absenteeMode = studentsAbsent !== undefined && studentsAbsent !== null;
+
+  const hasAttendanceList = absenteeMode
+    ? Array.isArray(studentsAbsent) || typeof studentsAbsent === 'string'
+    : Array.isArray(studentsPresent);
+  if (!date || !subject || !hasAttendanceList) {
+    return respond(400, { 
+      success: false,
+      message: "Missing required fields: date, subject, and studentsPresent (array) or studentsAbsent (array, or roll numbers like \"3,7,12-15\")" 
+    });
+  }
+
+  if (absenteeMode && studentsPresent !== undefined) {
+    return respond(400, {
+      success: false,
+      message: "Send either studentsPresent or studentsAbsent, not both"
+    });
+  }
+
+  if (period === null) {
+    return respond(400, {
+      success: false,
+      message: "Period must be a whole number between 1 and 12"
+    });
+  }
+
+  const invalidTimes = [startTime, endTime].filter(t => t && !/^([01]\d|2[0-3]):[0-5]\d$/.test(t));
+  if (invalidTimes.length > 0 || (startTime && endTime && startTime >= endTime)) {
+    return respond(400, {
+      success: false,
+      message: "startTime and endTime must be HH:MM, with startTime before endTime"
+    });
+  }
+
+  if (!isDateKey(date)) {
+    return respond(400, {
+      success: false,
+      message: "Date must be in YYYY-MM-DD format"
+    });
+  }
+  const day = dateFromKey(date);
 
-  if (!date || !subject || !Array.isArray(studentsPresent)) {
-    return res.status(400).json({ 
+  // ✅ Holidays, exam blocks, weekly offs and dates outside the term
+  const calendarCheck = await checkCalendarDays(
+    { ...validatedParams, user: user, overrideCalendar: body.overrideCalendar },
+    [date]
+  );
+  if (calendarCheck.rejected.length > 0) {
+    return respond(422, {
       success: false,
-      message: "Missing required fields: date, subject, studentsPresent (array)" 
+      error: 'NON_WORKING_DAY',
+      message: `Attendance cannot be marked: ${calendarCheck.rejected[0].reason}`,
+      calendar: calendarCheck.rejected[0]
     });
   }
 
-  console.log(`📝 Marking attendance for: ${stream} Sem ${sem} - ${subject} on ${date}`);
+  console.log(`📝 Marking attendance for: ${stream} Sem ${sem} - ${subject} on ${date} (period ${period})`);
   
   const Attendance = getAttendanceModel(stream, sem, subject);
   const Student = getStudentModel(stream, sem);
@@ -1111,7 +2501,7 @@ router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler
   });
   
   if (!subjectDoc) {
-    return res.status(404).json({
+    return respond(404, {
       success: false,
       message: `Subject "${subject}" not found in ${stream} Semester ${sem}`
     });
@@ -1155,7 +2545,7 @@ router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler
   const totalRelevantStudents = relevantStudents.length;
 
   if (totalRelevantStudents === 0) {
-    return res.status(404).json({ 
+    return respond(404, { 
       success: false,
       message: subjectDoc.isLanguageSubject ? 
         `No students found who chose ${subjectDoc.languageType}` :
@@ -1166,16 +2556,18 @@ router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler
   // ✅ Check for existing record
   if (!forceOverwrite) {
     const existingRecord = await Attendance.findOne({
-      date: new Date(date),
-      subject: subject
+      date: day,
+      subject: subject,
+      ...periodFilter(period)
     });
 
     if (existingRecord) {
-      return res.status(409).json({
+      return respond(409, {
         success: false,
         exists: true,
-        message: "Attendance already taken for this subject and date",
+        message: `Attendance already taken for this subject, date and period ${period}`,
         date: date,
+        period,
         subject: subject,
         stream: stream,
         semester: sem,
@@ -1183,18 +2575,68 @@ router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler
         existingData: {
           studentsPresent: existingRecord.studentsPresent,
           recordId: existingRecord._id,
-          createdAt: existingRecord.createdAt
+          createdAt: existingRecord.createdAt,
+          markedBy: existingRecord.markedBy || null,
+          markedAt: existingRecord.markedAt || existingRecord.createdAt,
+          version: getRecordVersion(existingRecord)
+        }
+      });
+    }
+  }
+
+  // ✅ An offline roll call never overwrites a session someone saved after it was captured
+  // (offline-marked records carry their capture time as markedAt)
+  if (capturedAt) {
+    const savedRecord = await Attendance.findOne(
+      { date: day, subject: subject, ...periodFilter(period) },
+      'studentsPresent markedAt lastUpdated createdAt markedBy updatedBy version'
+    ).lean();
+    const savedAt = savedRecord && new Date(Math.max(
+      ...[savedRecord.markedAt, savedRecord.lastUpdated, savedRecord.createdAt].filter(Boolean).map(d => new Date(d).getTime())
+    ));
+
+    if (savedRecord && savedAt > capturedAt) {
+      return respond(409, {
+        success: false,
+        exists: true,
+        error: 'SAVED_AFTER_CAPTURE',
+        message: `Attendance for ${date} period ${period} was saved after this roll call was taken`,
+        existingData: {
+          studentsPresent: savedRecord.studentsPresent,
+          recordId: savedRecord._id,
+          savedAt,
+          savedBy: savedRecord.updatedBy || savedRecord.markedBy?.name || null,
+          version: getRecordVersion(savedRecord)
         }
       });
     }
   }
 
+  // ✅ Roll call by exception: present = every relevant student not listed as absent
+  const classList = sortClassList(relevantStudents);
+  if (absenteeMode) {
+    const resolvedAbsent = resolveAbsentees(studentsAbsent, classList);
+    if (resolvedAbsent.errors.length > 0) {
+      return respond(400, {
+        success: false,
+        error: 'INVALID_ABSENTEES',
+        message: `Invalid absentees: ${resolvedAbsent.errors.join('; ')}`,
+        invalidAbsentees: resolvedAbsent.errors,
+        attendanceScope,
+        totalRelevantStudents
+      });
+    }
+
+    const absentSet = new Set(resolvedAbsent.absentIDs);
+    studentsPresent = classList.map(s => s.studentID).filter(id => !absentSet.has(id));
+  }
+
   // ✅ Validate that all present students are in the relevant student list
   const relevantStudentIDs = relevantStudents.map(s => s.studentID);
   const invalidStudents = studentsPresent.filter(id => !relevantStudentIDs.includes(id));
   
   if (invalidStudents.length > 0) {
-    return res.status(400).json({
+    return respond(400, {
       success: false,
       message: `Invalid students for this ${subjectDoc.isLanguageSubject ? 'language ' : ''}subject`,
       invalidStudents,
@@ -1205,59 +2647,153 @@ router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler
     });
   }
   
+  // ✅ Confirmation summary: nothing is saved until the teacher confirms what was resolved.
+  // Absentees carry their roll number (position in the sorted class list) for checking.
+  const presentSet = new Set(studentsPresent);
+  const absentees = classList
+    .map((student, index) => ({ rollNumber: index + 1, studentID: student.studentID, name: student.name }))
+    .filter(student => !presentSet.has(student.studentID));
+  const rollCallSummary = {
+    totalRelevantStudents,
+    presentStudents: studentsPresent.length,
+    absentStudents: absentees.length,
+    absentees
+  };
+  const expectedConfirmation = confirmationToken({ date, period, subject, studentsPresent, absentIDs: absentees.map(s => s.studentID) });
+
+  if (body.preview === true || (absenteeMode && body.confirm !== true)) {
+    return respond(200, {
+      success: true,
+      requiresConfirmation: true,
+      message: `Confirm ${subject.toUpperCase()} on ${date} (period ${period}): ${studentsPresent.length} present, ${absentees.length} absent of ${totalRelevantStudents}`,
+      confirmationToken: expectedConfirmation,
+      date,
+      period,
+      subject,
+      attendanceScope,
+      summary: rollCallSummary,
+      studentsPresent
+    });
+  }
+
+  // Absentee lists are only saved with the token of the summary the teacher confirmed; a stale
+  // confirmation (class list or absentees changed since the summary) is refused
+  const confirmationMissing = absenteeMode && !body.confirmationToken;
+  if (confirmationMissing || (body.confirmationToken !== undefined && body.confirmationToken !== expectedConfirmation)) {
+    return respond(409, {
+      success: false,
+      error: confirmationMissing ? 'CONFIRMATION_REQUIRED' : 'CONFIRMATION_MISMATCH',
+      message: confirmationMissing
+        ? 'Send the confirmationToken of the summary you reviewed to save this absentee list.'
+        : 'The class list changed since the summary was shown. Review the new summary and confirm again.',
+      confirmationToken: expectedConfirmation,
+      summary: rollCallSummary
+    });
+  }
+
+  // ✅ Per-student statuses (late / on duty / medical leave / excused) on top of the present list;
+  // approved leave covers anyone not present and not given a status
+  const { statuses: manualStatuses, errors: statusErrors } = parseStatusInput(
+    body.studentStatuses,
+    new Set(relevantStudentIDs)
+  );
+  if (statusErrors.length > 0) {
+    return respond(400, {
+      success: false,
+      message: `Invalid student statuses: ${statusErrors.join('; ')}`,
+      invalidStatuses: statusErrors
+    });
+  }
+
+  // ✅ Edit lock: past the program's lock window a teacher's marking goes to an admin for approval
+  const editPolicy = resolveAttendancePolicy(validatedParams.program);
+  if (!canEditLocked(user) && getSessionLock(date, editPolicy, capturedAt || new Date()).locked) {
+    const sessionKey = toSessionKey(date, period);
+    const changeRequest = await AttendanceChangeRequest.create({
+      stream: validatedParams.stream,
+      semester: validatedParams.semester,
+      subject: subject.toUpperCase(),
+      attendanceMap: { [sessionKey]: studentsPresent },
+      statusMap: body.studentStatuses ? { [sessionKey]: body.studentStatuses } : null,
+      sessionKeys: [sessionKey],
+      reason: body.reason || null,
+      source,
+      requestedBy: { uid: user.uid, name: user.name || null, email: user.email || null }
+    });
+
+    console.log(`🔒 ${subject.toUpperCase()} ${sessionKey} is locked; filed change request ${changeRequest._id}`);
+
+    return respond(202, {
+      success: true,
+      pendingApproval: true,
+      message: `🔒 Attendance for ${date} is past the ${editPolicy.editLockHours}-hour edit window. Your marking was sent to an admin for approval.`,
+      changeRequest: {
+        id: changeRequest._id,
+        status: changeRequest.status,
+        sessionKeys: changeRequest.sessionKeys
+      }
+    });
+  }
+
+  const approvedLeaves = await LeaveApplication.findApprovedForDate(validatedParams.stream, sem, day);
+  const resolved = resolveStudentStatuses({
+    studentsPresent,
+    manualStatuses,
+    leaves: approvedLeaves.filter(leave => relevantStudentIDs.includes(leave.studentID))
+  });
+
   const existingRecord = await Attendance.findOne({
-    date: new Date(date),
-    subject: subject
+    date: day,
+    subject: subject,
+    ...periodFilter(period)
   });
   const isOverwrite = !!existingRecord;
 
   // ✅ Store attendance in database with language info
   const attendanceData = {
-    date: new Date(date),
+    date: day,
+    period,
+    startTime: startTime || existingRecord?.startTime || null,
+    endTime: endTime || existingRecord?.endTime || null,
     subject: subject,
     stream: stream.toUpperCase(),
     semester: parseInt(sem),
-    studentsPresent: studentsPresent,
+    studentsPresent: resolved.studentsPresent,
+    studentStatuses: resolved.studentStatuses,
     totalStudents: totalRelevantStudents,
     totalPossibleStudents: totalRelevantStudents,
     isLanguageSubject: subjectDoc.isLanguageSubject,
     languageType: subjectDoc.languageType || null,
     languageGroup: subjectDoc.isLanguageSubject ? 
-      `${stream.toUpperCase()}_SEM${sem}_${subjectDoc.languageType}` : null
+      `${stream.toUpperCase()}_SEM${sem}_${subjectDoc.languageType}` : null,
+    markedBy: {
+      uid: user.uid,
+      name: user.name || null,
+      email: user.email || null
+    },
+    markedAt: capturedAt || new Date(),
+    updateMethod: capturedAt ? 'offline_sync' : (isOverwrite ? 'overwrite' : 'mark_attendance')
   };
   
   const record = await Attendance.findOneAndUpdate(
     { 
-      date: new Date(date), 
-      subject: subject 
-    },
-    { $set: attendanceData },
-    { upsert: true, new: true }
-  );
-
-  // ✅ Update base attendance collection
-  await BaseAttendance.findOneAndUpdate(
-    {
-      date: new Date(date).toISOString().slice(0, 10),
-      stream: stream.toUpperCase(),
-      semester: Number(sem),
+      date: day, 
       subject: subject,
+      ...periodFilter(period)
     },
-    {
-      $set: {
-        studentsPresent: studentsPresent,
-        studentsTotal: totalRelevantStudents,
-        isLanguageSubject: subjectDoc.isLanguageSubject,
-        languageType: subjectDoc.languageType || null
-      },
-    },
+    { $set: attendanceData, $inc: { version: 1 } },
     { upsert: true, new: true }
   );
+  await recordAttendanceChange({ before: existingRecord, after: record, source, user: user });
 
-  // ✅ Calculate absent students from relevant student pool
+  // ✅ Calculate absent students from relevant student pool (on duty / on leave / excused are not absent)
+  const statusMap = getStatusMap(record);
   const absentStudents = relevantStudents.filter(
-    student => !studentsPresent.includes(student.studentID)
+    student => getStudentStatus(statusMap, student.studentID) === ATTENDANCE_STATUS.ABSENT
   );
+  const statusCounts = {};
+  statusMap.forEach(status => { statusCounts[status] = (statusCounts[status] || 0) + 1; });
+  statusCounts[ATTENDANCE_STATUS.ABSENT] = absentStudents.length;
 
   const absentWithPhone = absentStudents.filter(s => s.parentPhone).length;
   const absentWithoutPhone = absentStudents.filter(s => !s.parentPhone).length;
@@ -1265,14 +2801,25 @@ router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler
   console.log(`✅ Attendance ${isOverwrite ? 'updated' : 'marked'} for ${stream} Semester ${sem} - ${subject} on ${date}`);
   console.log(`   Attendance Scope: ${attendanceScope.note}`);
   console.log(`   Relevant Students: ${totalRelevantStudents}`);
-  console.log(`   Present: ${studentsPresent.length}, Absent: ${absentStudents.length}`);
+  console.log(`   Present: ${resolved.studentsPresent.length}, Absent: ${absentStudents.length}`);
   console.log(`   Absent with phone: ${absentWithPhone}, Absent without phone: ${absentWithoutPhone}`);
 
-  res.status(200).json({ 
+  let queueItem = null;
+  try {
+    queueItem = await completeQueuedClass(user, validatedParams, subject, record);
+    await logTakenClass({ record, user, source, queueClassId: queueItem ? queueItem.id : null });
+  } catch (error) {
+    // The attendance is saved either way; the class can still be completed from the dashboard
+    console.error(`⚠️ Could not update the queue / teaching log for ${subject.toUpperCase()}:`, error.message);
+  }
+
+  return respond(200, { 
     success: true,
     message: `✅ Attendance ${isOverwrite ? 'updated' : 'marked'} successfully for ${subjectDoc.isLanguageSubject ? 'language ' : ''}subject. Use manual messaging system to send WhatsApp notifications.`, 
     data: record,
     isOverwrite,
+    queueItem,
+    calendarWarning: calendarCheck.warnings[0] || null,
     subject: {
       name: subjectDoc.subjectName,
       type: subjectDoc.subjectType,
@@ -1283,11 +2830,12 @@ router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler
     attendanceScope,
     summary: {
       totalRelevantStudents: totalRelevantStudents,
-      presentStudents: studentsPresent.length,
+      presentStudents: resolved.studentsPresent.length,
       absentStudents: absentStudents.length,
+      statusCounts,
       absentWithPhone: absentWithPhone,
       absentWithoutPhone: absentWithoutPhone,
-      attendancePercentage: ((studentsPresent.length / totalRelevantStudents) * 100).toFixed(1),
+      attendancePercentage: ((resolved.studentsPresent.length / totalRelevantStudents) * 100).toFixed(1),
       absentStudentsList: absentStudents.map(s => ({
         studentID: s.studentID,
         name: s.name,
@@ -1303,14 +2851,354 @@ router.post("/attendance/:stream/sem:sem/:subject", validateParams, asyncHandler
         "Go to Manual Messaging System",
         `Select ${stream} - Semester ${sem}`,
         subjectDoc.isLanguageSubject ? `Filter by ${subjectDoc.languageType} students` : "Include all students",
-        `Set date to ${new Date(date).toLocaleDateString('en-IN')}`,
+        `Set date to ${formatDateKey(date)}`,
         "Click 'Send Messages Now' when ready"
       ]
     }
   });
+}
+
+// ✅ Saving today's attendance completes the marking teacher's queued class for that
+// stream / semester / subject and links it to the record. Returns the completed item, or null.
+async function completeQueuedClass(user, { stream, semester }, subject, record) {
+  const date = toDateKey(record.date);
+  if (date !== todayKey()) return null;
+
+  const teacher = await Teacher.findOne({ firebaseUID: user.uid });
+  const queued = teacher && teacher.findQueuedClass({ stream, semester, subject });
+  if (!queued) return null;
+
+  const completed = teacher.completeClass(queued.id, {
+    recordId: record._id,
+    date,
+    period: getRecordPeriod(record)
+  });
+  await teacher.save();
+
+  console.log(`📋 Completed queued class ${queued.subject} for ${user.name || user.uid}`);
+  return completed;
+}
+
+// Idempotency keys are checked against the class and the roll call itself, so a submission
+// first tried online and later synced from the offline queue is recognised as the same one
+const markingScope = (stream, semester, subject) => `attendance:${stream}:${semester}:${String(subject).toUpperCase()}`;
+const markingPayload = (body) => ({
+  date: body.date,
+  period: parsePeriod(body.period),
+  studentsPresent: Array.isArray(body.studentsPresent) ? [...body.studentsPresent].map(String).sort() : body.studentsPresent,
+  studentsAbsent: Array.isArray(body.studentsAbsent) ? [...body.studentsAbsent].map(String).sort() : (body.studentsAbsent ?? null),
+  confirmationToken: body.confirmationToken || null,
+  studentStatuses: body.studentStatuses || null,
+  startTime: body.startTime || null,
+  endTime: body.endTime || null,
+  forceOverwrite: !!body.forceOverwrite
+});
+
+// Summaries (preview / unconfirmed absentee mode) save nothing, so they are never stored under a key
+const isMarkingPreview = (body) =>
+  body.preview === true || (body.studentsAbsent !== undefined && body.studentsAbsent !== null && body.confirm !== true);
+
+// ✅ FIXED: POST Mark Attendance with Language Subject Filtering
+// Retries with the same Idempotency-Key header (or body.idempotencyKey) get the original result.
+router.post("/attendance/:stream/sem:sem/:subject", requirePermission("attendance:write"), validateParams, requireSubjectAssignment, asyncHandler(async (req, res) => {
+  const { stream, sem, subject } = req.params;
+  const result = await runIdempotent({
+    key: isMarkingPreview(req.body) ? null : (req.get('Idempotency-Key') || req.body.idempotencyKey),
+    user: req.user,
+    scope: markingScope(req.validatedParams.stream, req.validatedParams.semester, subject),
+    payload: markingPayload(req.body)
+  }, () => markAttendance({
+    stream,
+    sem,
+    subject,
+    body: req.body,
+    validatedParams: req.validatedParams,
+    user: req.user
+  }));
+
+  if (result.replayed) res.set('Idempotent-Replayed', 'true');
+  res.status(result.status).json(result.body);
+}));
+
+const MAX_SYNC_ITEMS = 50;
+// Allowed clock drift between a phone and the server
+const CAPTURE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// ✅ Offline sync: a phone's queued roll calls, each { idempotencyKey, capturedAt, stream, sem,
+// subject, date, period, studentsPresent, studentStatuses?, startTime?, endTime?, forceOverwrite? }.
+// Items are marked oldest capture first, each with its own result:
+//   applied   saved
+//   duplicate already synced (the original result is returned)
+//   conflict  the session was already marked, or saved after this capture
+//   locked    past the edit window at capture time; filed as a change request for an admin
+//   error     invalid item (see message)
+router.post("/attendance-sync", requirePermission("attendance:write"), asyncHandler(async (req, res) => {
+  const { items } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_SYNC_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_SYNC_BATCH',
+      message: `items must be an array of 1-${MAX_SYNC_ITEMS} queued submissions`
+    });
+  }
+
+  const ordered = items
+    .map((item, index) => ({ item: item || {}, index }))
+    .sort((a, b) => new Date(a.item.capturedAt) - new Date(b.item.capturedAt) || a.index - b.index);
+  const results = [];
+
+  for (const { item, index } of ordered) {
+    const base = { index, idempotencyKey: item.idempotencyKey || null };
+    const fail = (message) => results.push({ ...base, result: 'error', status: 400, message });
+
+    const capturedAt = new Date(item.capturedAt);
+    if (!item.idempotencyKey) { fail('idempotencyKey is required'); continue; }
+    if (isMarkingPreview(item)) { fail('Queued submissions must be final: no preview, and absentee lists need confirm: true'); continue; }
+    if (!item.capturedAt || isNaN(capturedAt.getTime()) || capturedAt.getTime() > Date.now() + CAPTURE_CLOCK_SKEW_MS) {
+      fail('capturedAt must be a valid timestamp that is not in the future');
+      continue;
+    }
+
+    const semester = parseInt(item.sem ?? item.semester);
+    const program = findProgram(item.stream);
+    if (!program || !program.semesters.includes(semester) || !item.subject) {
+      fail(`Invalid class: ${item.stream} Semester ${item.sem ?? item.semester} ${item.subject || ''}`.trim());
+      continue;
+    }
+
+    if (req.user.role !== 'admin' && !(await SubjectAssignment.isAssigned(req.user.uid, program.code, semester, item.subject))) {
+      results.push({ ...base, result: 'error', status: 403, error: 'SUBJECT_NOT_ASSIGNED', message: `You are not assigned to ${item.subject} in ${program.code} Semester ${semester}` });
+      continue;
+    }
+
+    const outcome = await runIdempotent({
+      key: item.idempotencyKey,
+      user: req.user,
+      scope: markingScope(program.code, semester, item.subject),
+      payload: markingPayload(item)
+    }, () => markAttendance({
+      stream: program.code,
+      sem: String(semester),
+      subject: item.subject,
+      body: item,
+      validatedParams: { stream: program.code, semester, streamCode: program.slug, program },
+      user: req.user,
+      capturedAt,
+      source: 'POST /attendance-sync'
+    }));
+
+    const { status, body } = outcome;
+    let result = 'error';
+    if (outcome.replayed) result = 'duplicate';
+    else if (status === 202 && body.pendingApproval) result = 'locked';
+    else if (status === 409 && body.exists) result = 'conflict';
+    else if (status < 300) result = 'applied';
+
+    results.push({
+      ...base,
+      result,
+      status,
+      message: body.message,
+      recordId: body.data?._id || body.existingData?.recordId || null,
+      changeRequest: body.changeRequest || null,
+      existingData: body.existingData || null,
+      ...(result === 'error' ? { error: body.error || null } : {})
+    });
+  }
+
+  results.sort((a, b) => a.index - b.index);
+  const counts = results.reduce((acc, { result }) => ({ ...acc, [result]: (acc[result] || 0) + 1 }), {});
+
+  console.log(`📶 Offline sync from ${req.user.email}: ${JSON.stringify(counts)}`);
+
+  res.json({
+    success: true,
+    message: `Synced ${items.length} submission(s)`,
+    counts,
+    results
+  });
+}));
+
+// ✅ QR self check-in (review and close). Sessions are opened from a queued class
+// (routes/teacher.js POST /queue/check-in/:classId) and students check in through the public
+// routes/checkIn.js. Only the teacher who opened a session, or an admin, can see or close it.
+const CHECK_IN_OVERRIDES = ['present', 'absent'];
+
+const findCheckInSession = async (id, user, withSecret = false) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const query = CheckInSession.findById(id);
+  const session = await (withSecret ? query.select('+secret') : query);
+  if (!session || (user.role !== 'admin' && session.openedBy.uid !== user.uid)) return null;
+  return session;
+};
+
+const checkInSessionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'CHECK_IN_SESSION_NOT_FOUND',
+  message: 'Check-in session not found'
+});
+
+// ✅ The teacher's open (or recent) check-in sessions, newest first (?status=open|closed|cancelled)
+router.get("/check-in-sessions", requirePermission("attendance:read"), asyncHandler(async (req, res) => {
+  const filter = req.user.role === 'admin' && req.query.all === 'true' ? {} : { 'openedBy.uid': req.user.uid };
+  if (req.query.status) filter.status = req.query.status;
+
+  const sessions = await CheckInSession.find(filter).sort({ createdAt: -1 }).limit(50).lean();
+
+  res.json({
+    success: true,
+    data: sessions.map(describeCheckInSession)
+  });
+}));
+
+// ✅ Review screen and classroom display: who has checked in, plus the current QR token while
+// check-in is open. The display polls this every tokenSeconds to rotate the code.
+router.get("/check-in-sessions/:id", requirePermission("attendance:read"), asyncHandler(async (req, res) => {
+  const session = await findCheckInSession(req.params.id, req.user, true);
+  if (!session) return checkInSessionNotFound(res);
+
+  const summary = describeCheckInSession(session);
+  const checkedIn = new Map(session.checkIns.map(c => [c.studentID, c]));
+
+  res.json({
+    success: true,
+    data: {
+      session: summary,
+      ...(summary.acceptingCheckIns ? issueToken(session) : { token: null }),
+      overrides: session.overrides || {},
+      students: session.roster.map(({ studentID, name }) => ({
+        studentID,
+        name,
+        checkedIn: checkedIn.has(studentID),
+        checkedInAt: checkedIn.get(studentID)?.checkedInAt || null
+      }))
+    }
+  });
+}));
+
+// ✅ Close a session into the attendance record: checked-in students are present, adjusted by
+// the teacher's overrides { studentID: 'present' | 'absent' } (e.g. a student who could not
+// scan, or someone who checked in but is not in the room). Written through markAttendance, so
+// the edit lock, duplicate check (forceOverwrite), audit log and versioning all apply.
+router.post("/check-in-sessions/:id/close", requirePermission("attendance:write"), asyncHandler(async (req, res) => {
+  const session = await findCheckInSession(req.params.id, req.user);
+  if (!session) return checkInSessionNotFound(res);
+
+  const overrides = req.body.overrides || {};
+  const rosterIDs = new Set(session.roster.map(s => s.studentID));
+  const invalidOverrides = Object.entries(overrides)
+    .filter(([studentID, status]) => !rosterIDs.has(studentID) || !CHECK_IN_OVERRIDES.includes(status))
+    .map(([studentID, status]) => ({ studentID, status }));
+
+  if (typeof overrides !== 'object' || Array.isArray(overrides) || invalidOverrides.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_OVERRIDES',
+      message: `overrides must map students on the session roster to ${CHECK_IN_OVERRIDES.join(' or ')}`,
+      invalidOverrides
+    });
+  }
+
+  // Claim the session so a second close (double click, two devices) cannot write twice
+  const claimed = await CheckInSession.findOneAndUpdate(
+    { _id: session._id, status: 'open' },
+    { $set: { status: 'closing' } },
+    { new: true }
+  );
+  if (!claimed) {
+    return res.status(409).json({
+      success: false,
+      error: 'CHECK_IN_SESSION_NOT_OPEN',
+      message: `This check-in session is already ${session.status}`
+    });
+  }
+
+  const present = new Set(claimed.checkIns.map(c => c.studentID));
+  Object.entries(overrides).forEach(([studentID, status]) => {
+    if (status === 'present') present.add(studentID);
+    else present.delete(studentID);
+  });
+
+  const program = findProgram(claimed.stream, { includeInactive: true });
+  let result;
+  try {
+    result = await markAttendance({
+      stream: program.code,
+      sem: String(claimed.semester),
+      subject: claimed.subject,
+      body: {
+        date: toDateKey(claimed.date),
+        period: claimed.period,
+        studentsPresent: claimed.roster.map(s => s.studentID).filter(id => present.has(id)),
+        forceOverwrite: req.body.forceOverwrite === true
+      },
+      validatedParams: { stream: program.code, semester: claimed.semester, streamCode: program.slug, program },
+      user: req.user,
+      source: 'check-in:close'
+    });
+  } catch (error) {
+    await CheckInSession.updateOne({ _id: claimed._id, status: 'closing' }, { $set: { status: 'open' } });
+    throw error;
+  }
+
+  // Nothing was written: reopen so the teacher can fix the problem and close again
+  if (result.status >= 300) {
+    await CheckInSession.updateOne({ _id: claimed._id, status: 'closing' }, { $set: { status: 'open' } });
+    return res.status(result.status).json(result.body);
+  }
+
+  const closed = await CheckInSession.findByIdAndUpdate(
+    claimed._id,
+    {
+      $set: {
+        status: 'closed',
+        overrides: Object.keys(overrides).length > 0 ? overrides : null,
+        closedBy: { uid: req.user.uid, name: req.user.name || null, email: req.user.email || null },
+        closedAt: new Date(),
+        recordId: result.body.data?._id || null,
+        changeRequest: result.body.changeRequest?.id || null
+      }
+    },
+    { new: true }
+  );
+
+  console.log(`📲 Check-in ${closed._id} closed: ${present.size}/${closed.roster.length} present (${closed.checkIns.length} checked in, ${Object.keys(overrides).length} override(s))`);
+
+  res.status(result.status).json({
+    ...result.body,
+    checkInSession: describeCheckInSession(closed)
+  });
+}));
+
+// ✅ Discard a session without writing attendance
+router.delete("/check-in-sessions/:id", requirePermission("attendance:write"), asyncHandler(async (req, res) => {
+  const session = await findCheckInSession(req.params.id, req.user);
+  if (!session) return checkInSessionNotFound(res);
+
+  const cancelled = await CheckInSession.findOneAndUpdate(
+    { _id: session._id, status: 'open' },
+    { $set: { status: 'cancelled', closedBy: { uid: req.user.uid, name: req.user.name || null, email: req.user.email || null }, closedAt: new Date() } },
+    { new: true }
+  );
+  if (!cancelled) {
+    return res.status(409).json({
+      success: false,
+      error: 'CHECK_IN_SESSION_NOT_OPEN',
+      message: `This check-in session is already ${session.status}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Check-in session cancelled; no attendance was recorded',
+    data: describeCheckInSession(cancelled)
+  });
 }));
+
 // ✅ FIXED: Manual Send Consolidated WhatsApp Messages (Updated for WhatsApp Cloud API)
 router.post("/send-absence-messages/:stream/sem:sem/:date", 
+  requirePermission("messages:send"),
   validateParams, 
   asyncHandler(async (req, res) => {
     const { stream, sem, date } = req.params;
@@ -1324,7 +3212,14 @@ router.post("/send-absence-messages/:stream/sem:sem/:date",
     const Subject = getSubjectModel(stream, sem);
     const MessageLog = getMessageLogModel();
     
-    const dateKey = new Date(date).toISOString().slice(0, 10);
+    const dateKey = toDateKey(date);
+    if (!dateKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_DATE',
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
     
     // ✅ Enhanced duplicate prevention check
     if (!forceResend) {
@@ -1335,11 +3230,7 @@ router.post("/send-absence-messages/:stream/sem:sem/:date",
       });
       
       if (existingLog && existingLog.messagesSent > 0) {
-        const formatDate = new Date(date).toLocaleDateString('en-IN', {
-          day: '2-digit',
-          month: '2-digit', 
-          year: 'numeric'
-        });
+        const formatDate = formatDateKey(dateKey);
         
         return res.status(200).json({
           success: true,
@@ -1380,37 +3271,15 @@ router.post("/send-absence-messages/:stream/sem:sem/:date",
       });
     }
     
-    // ✅ Optimized attendance record fetching with language support
-    const attendancePromises = allSubjects.map(async (subject) => {
-      try {
-        const Attendance = getAttendanceModel(stream, sem, subject.subjectName);
-        const record = await Attendance.findOne(
-          { date: new Date(date) },
-          { studentsPresent: 1, isLanguageSubject: 1, languageType: 1 }
-        ).lean();
-        
-        return {
-          subject: subject.subjectName,
-          studentsPresent: record ? record.studentsPresent : [],
-          hasAttendance: !!record,
-          isLanguageSubject: subject.isLanguageSubject || false,
-          languageType: subject.languageType || null,
-          error: null
-        };
-      } catch (error) {
-        console.warn(`⚠️ Error fetching attendance for ${subject.subjectName}:`, error.message);
-        return {
-          subject: subject.subjectName,
-          studentsPresent: [],
-          hasAttendance: false,
-          isLanguageSubject: false,
-          languageType: null,
-          error: error.message
-        };
-      }
-    });
+    // ✅ One query for every subject's records on this date (unified attendance collection);
+    // each period is its own session, so a double period missed counts twice
+    const dayRecords = await findClassAttendance(
+      stream, sem,
+      { date: dateFromKey(dateKey) },
+      { subject: 1, period: 1, studentsPresent: 1, studentStatuses: 1, isLanguageSubject: 1, languageType: 1 }
+    ).lean();
     
-    const allAttendanceRecords = await Promise.all(attendancePromises);
+    const allAttendanceRecords = groupDaySessions(allSubjects, dayRecords);
     const subjectsWithAttendance = allAttendanceRecords.filter(r => r.hasAttendance);
     
     if (subjectsWithAttendance.length === 0) {
@@ -1426,11 +3295,6 @@ router.post("/send-absence-messages/:stream/sem:sem/:date",
     const studentsToNotify = [];
     const presentStudentsSet = new Set();
     
-    // Create attendance map for efficient lookup
-    const attendanceMap = new Map(
-      subjectsWithAttendance.map(record => [record.subject, new Set(record.studentsPresent)])
-    );
-    
     allStudents.forEach(student => {
       const absentSubjects = [];
       let presentSubjectCount = 0;
@@ -1443,8 +3307,14 @@ router.post("/send-absence-messages/:stream/sem:sem/:date",
                             student.languageSubject === record.languageType;
         
         if (shouldAttend) {
+          const status = getStudentStatus(record.statuses, student.studentID);
+          // On duty / medical leave / excused classes never trigger an absence alert
+          if (LEAVE_TYPES.includes(status)) {
+            return;
+          }
+          
           applicableSubjectCount++;
-          if (attendanceMap.get(record.subject).has(student.studentID)) {
+          if (status !== ATTENDANCE_STATUS.ABSENT) {
             presentSubjectCount++;
             presentStudentsSet.add(student.studentID);
           } else {
@@ -1507,11 +3377,7 @@ router.post("/send-absence-messages/:stream/sem:sem/:date",
     
     // ✅ Enhanced message sending with cleaner templates
     const whatsappResults = [];
-    const formatDate = new Date(date).toLocaleDateString('en-IN', {
-      day: '2-digit',
-      month: '2-digit', 
-      year: 'numeric'
-    });
+    const formatDate = formatDateKey(dateKey);
     
     console.log(`📱 Sending messages to ${studentsToNotify.length} students via WhatsApp Cloud API`);
     
@@ -1730,6 +3596,7 @@ MLA Academy of Higher Learning
 
 // ✅ FIXED: GET Daily Absence Summary (Updated for WhatsApp Cloud API)
 router.get("/daily-absence-summary/:stream/sem:sem/:date", 
+  requirePermission("reports:read"),
   validateParams, 
   asyncHandler(async (req, res) => {
     const { stream, sem, date } = req.params;
@@ -1740,7 +3607,14 @@ router.get("/daily-absence-summary/:stream/sem:sem/:date",
     const Subject = getSubjectModel(stream, sem);
     const MessageLog = getMessageLogModel();
     
-    const dateKey = new Date(date).toISOString().slice(0, 10);
+    const dateKey = toDateKey(date);
+    if (!dateKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_DATE',
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
     
     const [messageLog, allStudents, allSubjects] = await Promise.all([
       MessageLog.findOne({
@@ -1763,46 +3637,25 @@ router.get("/daily-absence-summary/:stream/sem:sem/:date",
       });
     }
     
-    const attendancePromises = allSubjects.map(async (subject) => {
-      try {
-        const Attendance = getAttendanceModel(stream, sem, subject.subjectName);
-        const record = await Attendance.findOne(
-          { date: new Date(date) },
-          { studentsPresent: 1, totalStudents: 1, createdAt: 1, isLanguageSubject: 1, languageType: 1 }
-        ).lean();
-        
-        return {
-          subject: subject.subjectName,
-          studentsPresent: record ? record.studentsPresent : [],
-          totalMarked: record ? record.studentsPresent.length : 0,
-          hasAttendance: !!record,
-          markedAt: record ? record.createdAt : null,
-          isLanguageSubject: subject.isLanguageSubject || false,
-          languageType: subject.languageType || null
-        };
-      } catch (error) {
-        return {
-          subject: subject.subjectName,
-          studentsPresent: [],
-          totalMarked: 0,
-          hasAttendance: false,
-          error: error.message,
-          isLanguageSubject: false,
-          languageType: null
-        };
-      }
-    });
+    const dayRecords = await findClassAttendance(
+      stream, sem,
+      { date: dateFromKey(dateKey) },
+      { subject: 1, period: 1, startTime: 1, endTime: 1, studentsPresent: 1, studentStatuses: 1, totalStudents: 1, createdAt: 1, isLanguageSubject: 1, languageType: 1 }
+    ).lean();
     
-    const allAttendanceRecords = await Promise.all(attendancePromises);
+    const allAttendanceRecords = groupDaySessions(allSubjects, dayRecords).map(session => ({
+      ...session,
+      totalMarked: session.studentsPresent.length,
+      markedAt: session.record ? session.record.createdAt : null,
+      startTime: session.record ? session.record.startTime || null : null,
+      endTime: session.record ? session.record.endTime || null : null
+    }));
     const subjectsWithAttendance = allAttendanceRecords.filter(r => r.hasAttendance);
     
-    const attendanceMap = new Map(
-      subjectsWithAttendance.map(record => [record.subject, new Set(record.studentsPresent)])
-    );
-    
     const absenceSummary = allStudents.map(student => {
       const absentSubjects = [];
       const presentSubjects = [];
+      const excusedSubjects = [];
       let applicableSubjectCount = 0;
       
       subjectsWithAttendance.forEach(record => {
@@ -1812,8 +3665,15 @@ router.get("/daily-absence-summary/:stream/sem:sem/:date",
                             student.languageSubject === record.languageType;
         
         if (shouldAttend) {
+          const status = getStudentStatus(record.statuses, student.studentID);
+          // On duty / medical leave / excused classes are listed but never alerted on
+          if (LEAVE_TYPES.includes(status)) {
+            excusedSubjects.push({ subject: record.subject, status });
+            return;
+          }
+          
           applicableSubjectCount++;
-          if (attendanceMap.get(record.subject).has(student.studentID)) {
+          if (status !== ATTENDANCE_STATUS.ABSENT) {
             presentSubjects.push(record.subject);
           } else {
             absentSubjects.push(record.subject);
@@ -1833,6 +3693,7 @@ router.get("/daily-absence-summary/:stream/sem:sem/:date",
         languageSubject: student.languageSubject || null,
         absentSubjects: absentSubjects,
         presentSubjects: presentSubjects,
+        excusedSubjects: excusedSubjects,
         absentSubjectCount: absentSubjects.length,
         presentSubjectCount: presentSubjects.length,
         applicableSubjectCount: applicableSubjectCount,
@@ -1847,11 +3708,7 @@ router.get("/daily-absence-summary/:stream/sem:sem/:date",
     });
     
     const studentsToNotify = absenceSummary.filter(s => s.willReceiveMessage);
-    const formatDate = new Date(date).toLocaleDateString('en-IN', {
-      day: '2-digit',
-      month: '2-digit', 
-      year: 'numeric'
-    });
+    const formatDate = formatDateKey(dateKey);
     
     const response = {
       success: true,
@@ -1880,6 +3737,10 @@ router.get("/daily-absence-summary/:stream/sem:sem/:date",
       })),
       subjectsWithAttendance: subjectsWithAttendance.map(s => ({
         subject: s.subject,
+        subjectName: s.subjectName,
+        period: s.period,
+        startTime: s.startTime,
+        endTime: s.endTime,
         totalMarked: s.totalMarked,
         markedAt: s.markedAt,
         isLanguageSubject: s.isLanguageSubject,
@@ -1929,7 +3790,7 @@ router.get("/daily-absence-summary/:stream/sem:sem/:date",
 );
 
 // ✅ NEW: Get WhatsApp API Status and Configuration
-router.get("/whatsapp-status", asyncHandler(async (req, res) => {
+router.get("/whatsapp-status", requirePermission("messages:send"), asyncHandler(async (req, res) => {
   const hasCredentials = !!(process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID);
   
   res.json({
@@ -1971,7 +3832,7 @@ module.exports = {
   // Schemas
   studentSchema,
   subjectSchema,
-  attendanceSchema,
+  attendanceSchema: AttendanceRecord.schema,
   messageLogSchema,
   
   // Model functions
@@ -1992,12 +3853,14 @@ module.exports = {
   getSubjectsByType,
   sendWhatsAppMessage,
   
-  // Constants
-  STREAM_MAPPINGS
+  // Program registry
+  getStreamMappings
 };
 // ✅ FIXED: GET Attendance Register with Enhanced Validation and Sorting
 router.get("/attendance-register/:stream/sem:sem/:subject", 
+  requirePermission("attendance:read"),
   validateParams, 
+  requireSubjectAssignment,
   asyncHandler(async (req, res) => {
     const { stream, sem, subject } = req.params;
     const startTime = Date.now();
@@ -2009,11 +3872,11 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
       const Subject = getSubjectModel(stream, sem);
       const Attendance = getAttendanceModel(stream, sem, subject);
 
-      // ✅ Enhanced subject validation
+      // ✅ Enhanced subject validation (deactivated subjects stay readable in the register)
       const subjectDoc = await Subject.findOne({ 
         subjectName: subject.toUpperCase(),
         isActive: { $ne: false }
-      });
+      }) || await Subject.findOne({ subjectName: subject.toUpperCase() });
 
       if (!subjectDoc) {
         const availableSubjects = await Subject.find({ isActive: { $ne: false } }, 'subjectName').lean();
@@ -2112,9 +3975,8 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
       // ✅ Fetch attendance records with better error handling
       let attendanceRecords = [];
       try {
-        attendanceRecords = await Attendance.find({
-          subject: { $regex: new RegExp(`^${subject}$`, 'i') }
-        }).sort({ date: 1 }).lean();
+        // Scoped to this stream/semester/subject by the attendance store
+        attendanceRecords = await Attendance.find().sort({ date: 1, period: 1 }).lean();
       } catch (attendanceError) {
         console.warn(`⚠️ Error fetching attendance records: ${attendanceError.message}`);
         // Continue with empty records - don't fail the entire request
@@ -2122,13 +3984,21 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
 
       console.log(`📅 Found ${attendanceRecords.length} attendance records for ${subject}`);
 
-      // ✅ Build attendance map with enhanced filtering
+      // ✅ Build attendance map with enhanced filtering: one column per session
+      // ("YYYY-MM-DD", or "YYYY-MM-DD#P2" for a later period the same day)
       const attendanceMap = {};
+      // Session key → { studentID: status } for late / on duty / leave / excused students
+      const statusMap = {};
+      const sessionStatuses = {};
+      // Session key → record version, sent back with /update-attendance to detect concurrent edits
+      const versions = {};
+      const sessions = [];
       const studentIDs = new Set(students.map(s => s.studentID));
 
       attendanceRecords.forEach(record => {
         try {
-          const dateKey = new Date(record.date).toISOString().split("T")[0];
+          const period = getRecordPeriod(record);
+          const dateKey = toSessionKey(record.date, period);
           
           // Validate and filter present students
           const studentsPresent = Array.isArray(record.studentsPresent) ? record.studentsPresent : [];
@@ -2137,6 +4007,20 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
           );
           
           attendanceMap[dateKey] = filteredPresent;
+          sessionStatuses[dateKey] = getStatusMap(record);
+          versions[dateKey] = getRecordVersion(record);
+          const specialStatuses = (record.studentStatuses || []).filter(s => studentIDs.has(s.studentID));
+          if (specialStatuses.length > 0) {
+            statusMap[dateKey] = Object.fromEntries(specialStatuses.map(s => [s.studentID, s.status]));
+          }
+          sessions.push({
+            key: dateKey,
+            date: dateKey.slice(0, 10),
+            period,
+            startTime: record.startTime || null,
+            endTime: record.endTime || null,
+            version: versions[dateKey]
+          });
           
           // Debug log for first few records
           if (Object.keys(attendanceMap).length <= 3) {
@@ -2147,27 +4031,51 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
         }
       });
 
-      // ✅ Calculate comprehensive statistics
+      // ✅ Calculate comprehensive statistics (every session counts, so a double period counts twice)
       const totalDates = Object.keys(attendanceMap).length;
-      const attendanceDates = Object.keys(attendanceMap).sort();
+      const attendanceDates = [...new Set(Object.keys(attendanceMap).map(key => key.slice(0, 10)))].sort();
       
       let avgAttendance = 0;
       let studentAttendanceStats = [];
+      const attendancePolicy = resolveAttendancePolicy(req.validatedParams.program);
+
+      // ✅ Edit lock per session, so the grid can render locked columns read-only
+      const userCanEditLocked = canEditLocked(req.user);
+      sessions.forEach(session => {
+        const lock = getSessionLock(session.date, attendancePolicy);
+        session.locked = lock.locked;
+        session.locksAt = lock.locksAt;
+        session.editable = !lock.locked || userCanEditLocked;
+      });
+      const pendingChangeRequests = await AttendanceChangeRequest.find({
+        stream: req.validatedParams.stream,
+        semester: req.validatedParams.semester,
+        subject: subject.toUpperCase(),
+        status: 'pending'
+      }, 'sessionKeys reason requestedBy createdAt').sort({ createdAt: -1 }).lean();
 
       if (students.length > 0 && totalDates > 0) {
         studentAttendanceStats = students.map(student => {
-          const attendedCount = Object.values(attendanceMap).filter(datePresent => 
-            datePresent.includes(student.studentID)
-          ).length;
-          const attendancePercentage = (attendedCount / totalDates) * 100;
+          // Late / on duty / leave count as the program policy says; excluded classes leave the total
+          let attendedCount = 0;
+          let countedSessions = 0;
+          Object.values(sessionStatuses).forEach(statuses => {
+            const treatment = getStatusTreatment(getStudentStatus(statuses, student.studentID), attendancePolicy);
+            if (treatment === 'excluded') return;
+            countedSessions++;
+            if (treatment === 'attended') attendedCount++;
+          });
+          const attendancePercentage = countedSessions > 0 ? (attendedCount / countedSessions) * 100 : 0;
           
           return {
             studentID: student.studentID,
             name: student.name,
             attendedDays: attendedCount,
-            totalDays: totalDates,
+            totalDays: countedSessions,
+            excludedDays: totalDates - countedSessions,
             attendancePercentage: parseFloat(attendancePercentage.toFixed(1)),
-            status: attendancePercentage >= 75 ? 'Good' : attendancePercentage >= 60 ? 'Average' : 'Poor'
+            status: getAttendanceStatus(attendancePercentage),
+            eligibility: classifyEligibility(attendancePercentage, attendancePolicy)
           };
         });
 
@@ -2180,6 +4088,7 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
         startDate: attendanceDates[0],
         endDate: attendanceDates[attendanceDates.length - 1],
         totalDays: attendanceDates.length,
+        totalSessions: totalDates,
         span: attendanceDates.length > 1 ? 
           Math.ceil((new Date(attendanceDates[attendanceDates.length - 1]) - new Date(attendanceDates[0])) / (1000 * 60 * 60 * 24)) + 1 
           : 1
@@ -2195,6 +4104,21 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
         message: `Attendance register loaded successfully for ${subject}`,
         students: students, // Already sorted by Student ID
         attendanceMap, 
+        statusMap,
+        versions,
+        sessions: sessions.sort((a, b) => a.key.localeCompare(b.key)),
+        editLock: {
+          editLockHours: attendancePolicy.editLockHours,
+          canEditLocked: userCanEditLocked,
+          lockedSessions: sessions.filter(session => session.locked).map(session => session.key),
+          pendingChangeRequests: pendingChangeRequests.map(request => ({
+            id: request._id,
+            sessionKeys: request.sessionKeys,
+            reason: request.reason,
+            requestedBy: request.requestedBy,
+            requestedAt: request.createdAt
+          }))
+        },
         subject: subject.toUpperCase(), 
         stream: stream.toUpperCase(), 
         semester: parseInt(sem),
@@ -2211,12 +4135,15 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
         summary: {
           totalStudents: students.length,
           totalDates: totalDates,
+          totalSessions: totalDates,
           averageAttendance: parseFloat(avgAttendance),
           attendanceRecords: attendanceRecords.length,
           dateRange,
           sortedBy: 'studentID',
           sortOrder: 'ascending',
-          attendanceQuality: parseFloat(avgAttendance) >= 75 ? 'Good' : parseFloat(avgAttendance) >= 60 ? 'Average' : 'Poor'
+          attendanceQuality: getAttendanceStatus(parseFloat(avgAttendance)),
+          attendancePolicy,
+          belowMinimum: studentAttendanceStats.filter(stat => stat.eligibility !== 'ELIGIBLE').length
         },
         studentStats: studentAttendanceStats.slice(0, 10), // First 10 for preview
         metadata: {
@@ -2263,314 +4190,876 @@ router.get("/attendance-register/:stream/sem:sem/:subject",
     }
   })
 );
-// ✅ FIXED: POST Bulk Attendance Update with Enhanced Validation and Error Handling
-router.post("/update-attendance/:stream/sem:sem/:subject", 
-  validateParams, 
-  asyncHandler(async (req, res) => {
-    const { stream, sem, subject } = req.params;
-    const { attendanceMap } = req.body;
-    const startTime = Date.now();
+// ✅ The bulk attendance update behind /update-attendance, also used to apply approved change
+// requests. Returns { status, body } for the caller to send.
+// Sessions past the edit lock are filed as a change request instead (admins edit them directly).
+async function applyAttendanceUpdate({
+  stream, sem, subject, attendanceMap, statusMap: rawStatusMap, versions = null, validatedParams, user,
+  overrideCalendar = false, reason = null, source, takenBy = user
+}) {
+  const respond = (status, body) => ({ status, body });
+  const startTime = Date.now();
+
+  console.log(`📊 Bulk update request for: ${subject} in ${stream} Sem ${sem}`);
+  console.log(`📊 Attendance data received for ${Object.keys(attendanceMap || {}).length} dates`);
+
+  // ✅ Enhanced input validation
+  if (!attendanceMap || typeof attendanceMap !== "object") {
+    return respond(400, { 
+      success: false,
+      error: 'INVALID_INPUT_FORMAT',
+      message: "Invalid attendance data. Expected object with date keys and student arrays.",
+      expectedFormat: {
+        attendanceMap: {
+          "2025-09-13": ["1001", "1002"],
+          "2025-09-13#P2": ["1001"],
+          "2025-09-14": ["1003", "1004"]
+        }
+      },
+      receivedType: typeof attendanceMap,
+      hint: "Ensure you're sending JSON with proper structure"
+    });
+  }
 
-    console.log(`📊 Bulk update request for: ${subject} in ${stream} Sem ${sem}`);
-    console.log(`📊 Attendance data received for ${Object.keys(attendanceMap || {}).length} dates`);
+  const dates = Object.keys(attendanceMap);
+  if (dates.length === 0) {
+    return respond(400, { 
+      success: false,
+      error: 'EMPTY_ATTENDANCE_DATA',
+      message: "No attendance data provided",
+      hint: "Include at least one date with student attendance data"
+    });
+  }
 
-    // ✅ Enhanced input validation
-    if (!attendanceMap || typeof attendanceMap !== "object") {
-      return res.status(400).json({ 
-        success: false,
-        error: 'INVALID_INPUT_FORMAT',
-        message: "Invalid attendance data. Expected object with date keys and student arrays.",
-        expectedFormat: {
-          attendanceMap: {
-            "2025-09-13": ["1001", "1002"],
-            "2025-09-14": ["1003", "1004"]
-          }
-        },
-        receivedType: typeof attendanceMap,
-        hint: "Ensure you're sending JSON with proper structure"
+  // ✅ Enhanced date validation with better error reporting
+  const dateValidationResults = [];
+  const validDates = [];
+
+  dates.forEach(dateStr => {
+    // Keys are register session keys: "YYYY-MM-DD" (period 1) or "YYYY-MM-DD#P2"
+    const sessionKey = parseSessionKey(dateStr);
+    const validation = sessionKey
+      ? validateSingleDate(sessionKey.date)
+      : { isValid: false, errors: ['Invalid format - use YYYY-MM-DD or YYYY-MM-DD#P<period>'] };
+    if (validation.isValid) {
+      validDates.push(dateStr);
+    } else {
+      dateValidationResults.push({
+        date: dateStr,
+        issues: validation.errors
       });
     }
+  });
+
+  if (dateValidationResults.length > 0) {
+    return respond(400, {
+      success: false,
+      error: 'INVALID_DATE_FORMAT',
+      message: `Found ${dateValidationResults.length} invalid dates`,
+      invalidDates: dateValidationResults,
+      validDates: validDates,
+      hint: "Use YYYY-MM-DD format for dates, with #P<period> for later periods of the same day"
+    });
+  }
+
+  // ✅ Academic calendar: refuse the whole update if any date is a non-working day under 'reject'
+  const calendarCheck = await checkCalendarDays({ ...validatedParams, user, overrideCalendar }, validDates.map(dateStr => parseSessionKey(dateStr).date));
+  if (calendarCheck.rejected.length > 0) {
+    return respond(422, {
+      success: false,
+      error: 'NON_WORKING_DAY',
+      message: `${calendarCheck.rejected.length} date(s) are not working days in the academic calendar`,
+      nonWorkingDays: calendarCheck.rejected,
+      hint: "Remove these dates, or ask an admin to correct the academic calendar"
+    });
+  }
+
+  // ✅ Edit lock: sessions past the program's lock window go to an admin as a change request
+  const editPolicy = resolveAttendancePolicy(validatedParams.program);
+  const lockedDates = canEditLocked(user)
+    ? []
+    : validDates.filter(dateStr => getSessionLock(parseSessionKey(dateStr).date, editPolicy).locked);
+  const applyDates = validDates.filter(dateStr => !lockedDates.includes(dateStr));
 
-    const dates = Object.keys(attendanceMap);
-    if (dates.length === 0) {
-      return res.status(400).json({ 
+  try {
+    const Student = getStudentModel(stream, sem);
+    const Subject = getSubjectModel(stream, sem);
+    const Attendance = getAttendanceModel(stream, sem, subject);
+
+    // ✅ Enhanced subject validation
+    const subjectDoc = await Subject.findOne({ 
+      subjectName: subject.toUpperCase(),
+      isActive: { $ne: false }
+    });
+
+    if (!subjectDoc) {
+      return respond(404, { 
         success: false,
-        error: 'EMPTY_ATTENDANCE_DATA',
-        message: "No attendance data provided",
-        hint: "Include at least one date with student attendance data"
+        error: 'SUBJECT_NOT_FOUND',
+        message: `Subject "${subject}" not found in ${stream} Semester ${sem}`,
+        suggestion: 'Verify the subject name and ensure it exists in the database'
       });
     }
 
-    // ✅ Enhanced date validation with better error reporting
-    const dateValidationResults = [];
-    const validDates = [];
+    // ✅ Enhanced student validation
+    let validStudents;
+    const studentQuery = getActiveStudentQuery();
 
-    dates.forEach(dateStr => {
-      const validation = validateSingleDate(dateStr);
-      if (validation.isValid) {
-        validDates.push(dateStr);
-      } else {
-        dateValidationResults.push({
-          date: dateStr,
-          issues: validation.errors
-        });
-      }
-    });
+    if (subjectDoc.isLanguageSubject && subjectDoc.languageType) {
+      studentQuery.languageSubject = subjectDoc.languageType;
+      validStudents = await Student.find(studentQuery, "studentID name").lean();
+      console.log(`🔤 Language subject: Found ${validStudents.length} ${subjectDoc.languageType} students`);
+    } else {
+      validStudents = await Student.find(studentQuery, "studentID name").lean();
+      console.log(`📚 Core subject: Found ${validStudents.length} students`);
+    }
 
-    if (dateValidationResults.length > 0) {
-      return res.status(400).json({
+    if (validStudents.length === 0) {
+      return respond(404, {
         success: false,
-        error: 'INVALID_DATE_FORMAT',
-        message: `Found ${dateValidationResults.length} invalid dates`,
-        invalidDates: dateValidationResults,
-        validDates: validDates,
-        hint: "Use YYYY-MM-DD format for dates"
+        error: 'NO_STUDENTS_FOUND',
+        message: subjectDoc.isLanguageSubject ? 
+          `No students found who chose ${subjectDoc.languageType} language` :
+          "No active students found for this stream and semester",
+        subjectInfo: {
+          name: subjectDoc.subjectName,
+          type: subjectDoc.isLanguageSubject ? 'Language Subject' : 'Core Subject',
+          languageType: subjectDoc.languageType || null
+        }
       });
     }
 
-    try {
-      const Student = getStudentModel(stream, sem);
-      const Subject = getSubjectModel(stream, sem);
-      const Attendance = getAttendanceModel(stream, sem, subject);
+    const validStudentIDs = validStudents.map(s => s.studentID);
+    const validStudentIDsSet = new Set(validStudentIDs);
 
-      // ✅ Enhanced subject validation
-      const subjectDoc = await Subject.findOne({ 
-        subjectName: subject.toUpperCase(),
-        isActive: { $ne: false }
-      });
+    // ✅ Enhanced student data validation
+    const validationWarnings = [];
+    const processedAttendanceMap = {};
 
-      if (!subjectDoc) {
-        return res.status(404).json({ 
+    for (const [dateStr, studentsPresent] of Object.entries(attendanceMap)) {
+      if (!Array.isArray(studentsPresent)) {
+        return respond(400, {
           success: false,
-          error: 'SUBJECT_NOT_FOUND',
-          message: `Subject "${subject}" not found in ${stream} Semester ${sem}`,
-          suggestion: 'Verify the subject name and ensure it exists in the database'
+          error: 'INVALID_STUDENT_DATA',
+          message: `Invalid data for date ${dateStr}: Expected array of student IDs`,
+          received: typeof studentsPresent
         });
       }
 
-      // ✅ Enhanced student validation
-      let validStudents;
-      const studentQuery = getActiveStudentQuery();
+      const validStudentsForDate = [];
+      const invalidStudentsForDate = [];
 
-      if (subjectDoc.isLanguageSubject && subjectDoc.languageType) {
-        studentQuery.languageSubject = subjectDoc.languageType;
-        validStudents = await Student.find(studentQuery, "studentID name").lean();
-        console.log(`🔤 Language subject: Found ${validStudents.length} ${subjectDoc.languageType} students`);
-      } else {
-        validStudents = await Student.find(studentQuery, "studentID name").lean();
-        console.log(`📚 Core subject: Found ${validStudents.length} students`);
-      }
+      studentsPresent.forEach(studentID => {
+        const normalizedID = String(studentID).trim();
+        
+        if (!normalizedID) {
+          invalidStudentsForDate.push({ id: studentID, issue: 'Empty student ID' });
+        } else if (!validStudentIDsSet.has(normalizedID)) {
+          invalidStudentsForDate.push({ id: studentID, issue: 'Student ID not found' });
+        } else {
+          validStudentsForDate.push(normalizedID);
+        }
+      });
 
-      if (validStudents.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: 'NO_STUDENTS_FOUND',
-          message: subjectDoc.isLanguageSubject ? 
-            `No students found who chose ${subjectDoc.languageType} language` :
-            "No active students found for this stream and semester",
-          subjectInfo: {
-            name: subjectDoc.subjectName,
-            type: subjectDoc.isLanguageSubject ? 'Language Subject' : 'Core Subject',
-            languageType: subjectDoc.languageType || null
-          }
+      processedAttendanceMap[dateStr] = validStudentsForDate;
+
+      if (invalidStudentsForDate.length > 0) {
+        validationWarnings.push({
+          date: dateStr,
+          invalidStudents: invalidStudentsForDate,
+          validCount: validStudentsForDate.length,
+          invalidCount: invalidStudentsForDate.length
         });
       }
+    }
+
+    // ✅ Per-student statuses: an optional statusMap { sessionKey: { studentID: status } } replaces
+    // a session's teacher-set statuses; otherwise the existing ones are kept where they still fit
+    const statusMap = rawStatusMap || {};
+    const explicitStatuses = {};
+    const statusErrors = [];
+    Object.entries(statusMap).forEach(([dateStr, input]) => {
+      if (!validDates.includes(dateStr)) return;
+      const { statuses, errors } = parseStatusInput(input, validStudentIDsSet);
+      explicitStatuses[dateStr] = statuses;
+      errors.forEach(error => statusErrors.push(`${dateStr} ${error}`));
+    });
+
+    if (statusErrors.length > 0) {
+      return respond(400, {
+        success: false,
+        error: 'INVALID_STUDENT_STATUS',
+        message: `Invalid student statuses: ${statusErrors.join('; ')}`,
+        invalidStatuses: statusErrors
+      });
+    }
+
+    // Locked sessions are loaded too: they are compared with what was sent and version-checked
+    const sessionDays = validDates.map(dateStr => dateFromKey(parseSessionKey(dateStr).date));
+    const firstDay = new Date(Math.min(...sessionDays));
+    const lastDay = new Date(Math.max(...sessionDays));
+    const [existingRecords, approvedLeaves] = await Promise.all([
+      Attendance.find(
+        { date: { $in: sessionDays } },
+        'date period studentsPresent studentStatuses version updatedBy lastUpdated markedBy'
+      ).lean(),
+      LeaveApplication.find({
+        stream: validatedParams.stream,
+        semester: validatedParams.semester,
+        status: 'approved',
+        fromDate: { $lte: lastDay },
+        toDate: { $gte: firstDay }
+      }).lean()
+    ]);
+
+    const findExisting = (dateStr) => {
+      const { date: dayKey, period } = parseSessionKey(dateStr);
+      return existingRecords.find(r => toDateKey(r.date) === dayKey && getRecordPeriod(r) === period);
+    };
+
+    // Locked sessions sent back unchanged (the register saves every column) need no approval
+    const requestDates = lockedDates.filter(dateStr => {
+      if (explicitStatuses[dateStr]) return true;
+      const record = findExisting(dateStr);
+      const submitted = new Set(processedAttendanceMap[dateStr]);
+      const stored = (record && record.studentsPresent) || [];
+      return !record || stored.length !== submitted.size || stored.some(id => !submitted.has(id));
+    });
+
+    // ✅ Optimistic concurrency: `versions` { sessionKey: version } comes from /attendance-register.
+    // Sessions someone else saved since then are refused, with their current values.
+    const hasExpectedVersion = (dateStr) =>
+      !!versions && versions[dateStr] !== undefined && versions[dateStr] !== null;
+    // Checked before anything is written, so a stale save files no change request either
+    const conflicts = [...applyDates, ...requestDates]
+      .filter(hasExpectedVersion)
+      .map(dateStr => ({ dateStr, existing: findExisting(dateStr) }))
+      .filter(({ dateStr, existing }) => getRecordVersion(existing) !== Number(versions[dateStr]))
+      .map(({ dateStr, existing }) => ({
+        date: dateStr,
+        expectedVersion: Number(versions[dateStr]),
+        currentVersion: getRecordVersion(existing),
+        current: existing ? {
+          studentsPresent: existing.studentsPresent || [],
+          statuses: Object.fromEntries(getStatusMap(existing)),
+          updatedBy: existing.updatedBy || existing.markedBy?.name || null,
+          lastUpdated: existing.lastUpdated || null
+        } : null
+      }));
 
-      const validStudentIDs = validStudents.map(s => s.studentID);
-      const validStudentIDsSet = new Set(validStudentIDs);
+    if (conflicts.length > 0) {
+      return respond(409, {
+        success: false,
+        error: 'STALE_ATTENDANCE',
+        message: `${conflicts.length} session(s) were changed by someone else after you loaded the register. Reload and re-apply your changes.`,
+        conflicts
+      });
+    }
+
+    const fileChangeRequest = async () => {
+      const changeRequest = await AttendanceChangeRequest.create({
+        stream: validatedParams.stream,
+        semester: validatedParams.semester,
+        subject: subject.toUpperCase(),
+        attendanceMap: Object.fromEntries(requestDates.map(dateStr => [dateStr, processedAttendanceMap[dateStr]])),
+        statusMap: requestDates.some(dateStr => explicitStatuses[dateStr])
+          ? Object.fromEntries(requestDates.filter(dateStr => statusMap[dateStr]).map(dateStr => [dateStr, statusMap[dateStr]]))
+          : null,
+        sessionKeys: requestDates,
+        reason,
+        source,
+        requestedBy: { uid: user.uid, name: user.name || null, email: user.email || null }
+      });
+      console.log(`🔒 ${requestDates.length} locked session(s) of ${subject.toUpperCase()} filed as change request ${changeRequest._id}`);
 
-      // ✅ Enhanced student data validation
-      const validationWarnings = [];
-      const processedAttendanceMap = {};
+      return {
+        id: changeRequest._id,
+        status: changeRequest.status,
+        sessionKeys: changeRequest.sessionKeys,
+        message: `${requestDates.length} session(s) are past the ${editPolicy.editLockHours}-hour edit window and need admin approval`
+      };
+    };
 
-      for (const [dateStr, studentsPresent] of Object.entries(attendanceMap)) {
-        if (!Array.isArray(studentsPresent)) {
-          return res.status(400).json({
+    if (applyDates.length === 0) {
+      return requestDates.length > 0
+        ? respond(202, {
+            success: true,
+            pendingApproval: true,
+            message: `🔒 All ${lockedDates.length} session(s) are locked. Your changes to ${requestDates.length} of them were sent to an admin for approval.`,
+            changeRequest: await fileChangeRequest(),
+            lockedSessions: lockedDates
+          })
+        : respond(409, {
             success: false,
-            error: 'INVALID_STUDENT_DATA',
-            message: `Invalid data for date ${dateStr}: Expected array of student IDs`,
-            received: typeof studentsPresent
+            error: 'SESSIONS_LOCKED',
+            message: `🔒 All ${lockedDates.length} session(s) are locked and none of them were changed`,
+            lockedSessions: lockedDates
           });
-        }
+    }
+
+    console.log(`👥 Processing ${applyDates.length} dates for ${validStudentIDs.length} students`);
+    if (validationWarnings.length > 0) {
+      console.warn(`⚠️ Found validation warnings for ${validationWarnings.length} dates`);
+    }
 
-        const validStudentsForDate = [];
-        const invalidStudentsForDate = [];
+    // ✅ Enhanced database transaction with better error handling
+    const session = await Student.db.startSession();
+    const updateResults = [];
+    let transactionError = null;
 
-        studentsPresent.forEach(studentID => {
-          const normalizedID = String(studentID).trim();
+    try {
+      await session.withTransaction(async () => {
+        const updatePromises = applyDates.map(async (dateStr) => {
+          const { date: dayKey, period } = parseSessionKey(dateStr);
+          const dateObj = dateFromKey(dayKey);
           
-          if (!normalizedID) {
-            invalidStudentsForDate.push({ id: studentID, issue: 'Empty student ID' });
-          } else if (!validStudentIDsSet.has(normalizedID)) {
-            invalidStudentsForDate.push({ id: studentID, issue: 'Student ID not found' });
-          } else {
-            validStudentsForDate.push(normalizedID);
-          }
+          const presentSet = new Set(processedAttendanceMap[dateStr] || []);
+          const existing = findExisting(dateStr);
+          // Kept statuses must still fit the checkbox: late only if ticked, leave statuses only if not
+          const manualStatuses = explicitStatuses[dateStr] || new Map(
+            [...getManualStatuses(existing)].filter(([id, status]) =>
+              (status === ATTENDANCE_STATUS.LATE) === presentSet.has(id)
+            )
+          );
+          const { studentsPresent, studentStatuses } = resolveStudentStatuses({
+            studentsPresent: [...presentSet],
+            manualStatuses,
+            leaves: approvedLeaves.filter(leave =>
+              validStudentIDsSet.has(leave.studentID) && leave.fromDate <= dateObj && leave.toDate >= dateObj
+            )
+          });
+          
+          console.log(`📅 Updating ${dateStr}: ${studentsPresent.length}/${validStudentIDs.length} present`);
+
+          // The version guard makes a save that raced past the check above fail instead of overwriting
+          const versionGuard = hasExpectedVersion(dateStr)
+            ? { version: Number(versions[dateStr]) === 0 ? { $in: [0, null] } : Number(versions[dateStr]) }
+            : {};
+          const result = await Attendance.findOneAndUpdate(
+            { 
+              date: dateObj, 
+              subject: subject.toUpperCase(),
+              ...periodFilter(period),
+              ...versionGuard
+            },
+            { 
+              $set: { 
+                period,
+                studentsPresent: studentsPresent,
+                studentStatuses: studentStatuses,
+                totalStudents: validStudentIDs.length,
+                presentCount: studentsPresent.length,
+                absentCount: validStudentIDs.length - studentsPresent.length,
+                stream: stream.toUpperCase(),
+                semester: parseInt(sem),
+                isLanguageSubject: subjectDoc.isLanguageSubject || false,
+                languageType: subjectDoc.languageType || null,
+                lastUpdated: new Date(),
+                updatedBy: user.name || user.email,
+                updateMethod: 'bulk_attendance_update'
+              },
+              $setOnInsert: {
+                markedBy: { uid: takenBy.uid, name: takenBy.name || null, email: takenBy.email || null },
+                markedAt: new Date()
+              },
+              $inc: { version: 1 }
+            },
+            { 
+              upsert: true, 
+              new: true,
+              session
+            }
+          );
+          await recordAttendanceChange({
+            before: existing || null,
+            after: result,
+            source,
+            user,
+            session
+          });
+
+          return {
+            date: dateStr,
+            period,
+            dateFormatted: formatDateKey(dayKey),
+            totalStudents: validStudentIDs.length,
+            presentStudents: studentsPresent.length,
+            absentStudents: validStudentIDs.length - studentsPresent.length,
+            attendanceRate: ((studentsPresent.length / validStudentIDs.length) * 100).toFixed(1),
+            attendanceId: result._id,
+            version: getRecordVersion(result),
+            wasCreated: !result.lastUpdated || result.createdAt === result.updatedAt
+          };
         });
 
-        processedAttendanceMap[dateStr] = validStudentsForDate;
+        const results = await Promise.all(updatePromises);
+        updateResults.push(...results);
+      });
+
+      console.log(`✅ Transaction completed successfully for ${applyDates.length} dates`);
+
+    } catch (error) {
+      transactionError = error;
+      console.error(`❌ Transaction failed: ${error.message}`);
+    } finally {
+      await session.endSession();
+    }
+
+    // A version guard that matched nothing tries to insert a second record for the session
+    if (transactionError && transactionError.code === 11000) {
+      return respond(409, {
+        success: false,
+        error: 'STALE_ATTENDANCE',
+        message: 'Attendance was changed by someone else while saving. Reload the register and re-apply your changes.',
+        conflicts: []
+      });
+    }
+
+    // Handle transaction failure
+    if (transactionError) {
+      return respond(500, {
+        success: false,
+        error: 'TRANSACTION_FAILED',
+        message: 'Failed to update attendance due to database transaction error',
+        details: process.env.NODE_ENV !== 'production' ? transactionError.message : 'Database error occurred',
+        partialResults: updateResults.length > 0 ? updateResults : null
+      });
+    }
+
+    // Locked sessions go to an admin only once the unlocked ones are saved
+    const changeRequestInfo = requestDates.length > 0 ? await fileChangeRequest() : null;
+
+    // ✅ Calculate comprehensive summary
+    const totalPresent = updateResults.reduce((sum, result) => sum + result.presentStudents, 0);
+    const totalPossible = updateResults.length * validStudentIDs.length;
+    const avgAttendance = totalPossible > 0 ? 
+      (totalPresent / totalPossible * 100).toFixed(1) : '0.0';
+
+    const processingTime = Date.now() - startTime;
+
+    console.log(`✅ Bulk update completed: ${applyDates.length} dates, ${avgAttendance}% avg attendance`);
+
+    // Sessions created here are classes taken by takenBy. Edited sessions stay with the teacher who
+    // marked them (only their counts are refreshed when the marker is unknown), so an admin fixing
+    // the register is never logged as having taken the class.
+    try {
+      const createdIds = new Set(updateResults.filter(r => !findExisting(r.date)).map(r => String(r.attendanceId)));
+      const savedRecords = await AttendanceRecord.find({ _id: { $in: updateResults.map(r => r.attendanceId) } }).lean();
+      await Promise.all(savedRecords.map(record => logTakenClass({
+        record,
+        user: createdIds.has(String(record._id)) ? takenBy : (record.markedBy?.uid ? record.markedBy : null),
+        source
+      })));
+    } catch (error) {
+      console.error(`⚠️ Could not update the teaching log for ${subject.toUpperCase()}:`, error.message);
+    }
+
+    // ✅ Enhanced success response
+    return respond(200, { 
+      success: true,
+      message: `✅ Attendance updated successfully for ${applyDates.length} dates`,
+      updatedDates: applyDates.length,
+      summary: {
+        totalDates: applyDates.length,
+        totalStudents: validStudentIDs.length,
+        averageAttendance: parseFloat(avgAttendance),
+        totalPresentMarks: totalPresent,
+        totalPossibleMarks: totalPossible,
+        processingTimeMs: processingTime,
+        successRate: '100%'
+      },
+      subjectInfo: {
+        name: subjectDoc.subjectName,
+        type: subjectDoc.subjectType || (subjectDoc.isLanguageSubject ? 'Language' : 'Core'),
+        isLanguageSubject: subjectDoc.isLanguageSubject || false,
+        languageType: subjectDoc.languageType || null
+      },
+      updateResults: updateResults,
+      calendarWarnings: calendarCheck.warnings.length > 0 ? calendarCheck.warnings : null,
+      validationWarnings: validationWarnings.length > 0 ? {
+        count: validationWarnings.length,
+        details: validationWarnings,
+        message: 'Some invalid student IDs were filtered out during processing'
+      } : null,
+      changeRequest: changeRequestInfo,
+      lockedSessions: lockedDates,
+      metadata: {
+        requestedDates: dates.length,
+        processedDates: applyDates.length,
+        skippedDates: dates.length - validDates.length,
+        timestamp: new Date().toISOString(),
+        stream: stream.toUpperCase(),
+        semester: parseInt(sem),
+        subject: subject.toUpperCase()
+      }
+    });
+
+  } catch (error) {
+    console.error("❌ Server error while updating attendance:", error);
+    
+    return respond(500, { 
+      success: false,
+      error: 'SERVER_ERROR',
+      message: "Server error while updating attendance",
+      details: process.env.NODE_ENV !== 'production' ? error.message : 'Internal server error',
+      context: {
+        subject: subject,
+        stream: stream,
+        semester: sem,
+        requestedDates: dates.length,
+        timestamp: new Date().toISOString()
+      },
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
+    });
+  }
+}
+
+// ✅ FIXED: POST Bulk Attendance Update with Enhanced Validation and Error Handling
+router.post("/update-attendance/:stream/sem:sem/:subject", 
+  requirePermission("attendance:write"),
+  validateParams, 
+  requireSubjectAssignment,
+  asyncHandler(async (req, res) => {
+    const { stream, sem, subject } = req.params;
+    const { status, body } = await applyAttendanceUpdate({
+      stream,
+      sem,
+      subject,
+      attendanceMap: req.body.attendanceMap,
+      statusMap: req.body.statusMap,
+      versions: req.body.versions || null,
+      validatedParams: req.validatedParams,
+      user: req.user,
+      overrideCalendar: req.body.overrideCalendar === true,
+      reason: req.body.reason || null,
+      source: 'POST /update-attendance'
+    });
+
+    res.status(status).json(body);
+  })
+);
+
+// ===== LOCKED-SESSION CHANGE REQUESTS =====
+
+const changeRequestUser = (user) => ({ uid: user.uid, name: user.name || null, email: user.email || null });
+
+// ✅ List change requests (?status=pending by default, ?stream, ?semester, ?subject).
+// Teachers see their own requests; admins see everyone's.
+router.get("/attendance-change-requests", requirePermission("attendance:read"), asyncHandler(async (req, res) => {
+  const { stream, semester, subject } = req.query;
+  const filter = { status: req.query.status || 'pending' };
+
+  if (stream) {
+    const program = findProgram(stream, { includeInactive: true });
+    filter.stream = program ? program.code : stream;
+  }
+  if (semester) filter.semester = parseInt(semester);
+  if (subject) filter.subject = subject.toUpperCase();
+  if (!hasPermission(req.user.role, 'attendance:approve')) filter['requestedBy.uid'] = req.user.uid;
+
+  const requests = await AttendanceChangeRequest.find(filter).sort({ createdAt: -1 }).limit(500).lean();
+
+  res.json({
+    success: true,
+    data: requests,
+    count: requests.length
+  });
+}));
+
+// ✅ Approve a pending request: its changes are applied through the normal /update-attendance path
+router.post("/attendance-change-requests/:id/approve", requirePermission("attendance:approve"), asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_REQUEST_ID',
+      message: 'Invalid change request id'
+    });
+  }
+
+  // Claim the request first so two admins cannot apply it twice
+  const request = await AttendanceChangeRequest.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    {
+      $set: {
+        status: 'approved',
+        reviewedBy: changeRequestUser(req.user),
+        reviewedAt: new Date(),
+        reviewNote: (req.body.reviewNote || '').trim() || null
+      }
+    },
+    { new: true }
+  );
+
+  if (!request) {
+    return res.status(404).json({
+      success: false,
+      error: 'CHANGE_REQUEST_NOT_FOUND',
+      message: 'Pending change request not found'
+    });
+  }
+
+  const program = findProgram(request.stream, { includeInactive: true });
+  const { status, body } = program
+    ? await applyAttendanceUpdate({
+        stream: program.code,
+        sem: String(request.semester),
+        subject: request.subject,
+        attendanceMap: request.attendanceMap,
+        statusMap: request.statusMap,
+        validatedParams: { stream: program.code, semester: request.semester, streamCode: program.slug, program },
+        user: req.user,
+        overrideCalendar: req.body.overrideCalendar === true,
+        source: 'change-request:approve',
+        // The requesting teacher took these classes; the approval only unlocked the marking
+        takenBy: request.requestedBy
+      })
+    : { status: 404, body: { success: false, error: 'PROGRAM_NOT_FOUND', message: `Program not found: ${request.stream}` } };
+
+  if (status >= 400) {
+    // Nothing was written; put the request back so it can be approved once the problem is fixed
+    await AttendanceChangeRequest.updateOne(
+      { _id: request._id },
+      { $set: { status: 'pending', reviewedBy: null, reviewedAt: null, reviewNote: null } }
+    );
+    return res.status(status).json({
+      ...body,
+      message: `Change request could not be applied: ${body.message}`
+    });
+  }
+
+  request.appliedResult = {
+    updatedDates: body.updatedDates,
+    updateResults: body.updateResults,
+    appliedAt: new Date()
+  };
+  await request.save();
+
+  console.log(`✅ Change request ${request._id} approved by ${req.user.email}; ${body.updatedDates} session(s) updated`);
+
+  res.json({
+    success: true,
+    message: `Change request approved and applied to ${body.updatedDates} session(s)`,
+    data: request,
+    update: body
+  });
+}));
+
+// ✅ Reject a pending request; body { reviewNote } explaining why is required
+router.post("/attendance-change-requests/:id/reject", requirePermission("attendance:approve"), asyncHandler(async (req, res) => {
+  const reviewNote = (req.body.reviewNote || '').trim();
+  if (!reviewNote) {
+    return res.status(400).json({
+      success: false,
+      error: 'REVIEW_NOTE_REQUIRED',
+      message: 'A reviewNote explaining the rejection is required'
+    });
+  }
+
+  const request = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await AttendanceChangeRequest.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending' },
+        { $set: { status: 'rejected', reviewedBy: changeRequestUser(req.user), reviewedAt: new Date(), reviewNote } },
+        { new: true }
+      )
+    : null;
+
+  if (!request) {
+    return res.status(404).json({
+      success: false,
+      error: 'CHANGE_REQUEST_NOT_FOUND',
+      message: 'Pending change request not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Change request rejected',
+    data: request
+  });
+}));
+
+// ✅ Withdraw your own pending request
+router.delete("/attendance-change-requests/:id", requirePermission("attendance:write"), asyncHandler(async (req, res) => {
+  const request = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await AttendanceChangeRequest.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending', 'requestedBy.uid': req.user.uid },
+        { $set: { status: 'cancelled', reviewedAt: new Date() } },
+        { new: true }
+      )
+    : null;
+
+  if (!request) {
+    return res.status(404).json({
+      success: false,
+      error: 'CHANGE_REQUEST_NOT_FOUND',
+      message: 'No pending change request of yours with this id'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Change request withdrawn',
+    data: request
+  });
+}));
+
+// ✅ Audit history of one session (subject / date / ?period=, default 1), newest change first
+router.get("/attendance-history/:stream/sem:sem/:subject/:date", requirePermission("attendance:read"), validateParams, asyncHandler(async (req, res) => {
+  const { stream, sem, subject, date } = req.params;
+  const period = parsePeriod(req.query.period);
 
-        if (invalidStudentsForDate.length > 0) {
-          validationWarnings.push({
-            date: dateStr,
-            invalidStudents: invalidStudentsForDate,
-            validCount: validStudentsForDate.length,
-            invalidCount: invalidStudentsForDate.length
-          });
-        }
-      }
+  if (!isDateKey(date) || period === null) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_SESSION',
+      message: 'Date must be YYYY-MM-DD and period a whole number between 1 and 12'
+    });
+  }
 
-      console.log(`👥 Processing ${validDates.length} dates for ${validStudentIDs.length} students`);
-      if (validationWarnings.length > 0) {
-        console.warn(`⚠️ Found validation warnings for ${validationWarnings.length} dates`);
-      }
+  const Attendance = getAttendanceModel(stream, sem, subject);
+  const dateObj = dateFromKey(date);
+  const record = await Attendance.findOne(
+    { date: dateObj, ...periodFilter(period) },
+    'studentsPresent studentStatuses markedBy markedAt lastUpdated updatedBy updateMethod'
+  ).lean();
 
-      // ✅ Enhanced database transaction with better error handling
-      const session = await Student.db.startSession();
-      const updateResults = [];
-      let transactionError = null;
+  // Entries are kept by record id, so history stays attached if the record's fields change
+  const history = record
+    ? await AttendanceAudit.find({ recordId: record._id }).sort({ changedAt: -1 }).lean()
+    : [];
 
-      try {
-        await session.withTransaction(async () => {
-          const updatePromises = validDates.map(async (dateStr) => {
-            const studentsPresent = processedAttendanceMap[dateStr] || [];
-            const dateObj = new Date(dateStr + 'T00:00:00.000Z'); // Force UTC
-            
-            console.log(`📅 Updating ${dateStr}: ${studentsPresent.length}/${validStudentIDs.length} present`);
+  res.json({
+    success: true,
+    stream: req.validatedParams.stream,
+    semester: req.validatedParams.semester,
+    subject: subject.toUpperCase(),
+    date,
+    period,
+    current: record ? {
+      recordId: record._id,
+      studentsPresent: record.studentsPresent || [],
+      studentStatuses: record.studentStatuses || [],
+      markedBy: record.markedBy || null,
+      markedAt: record.markedAt || null,
+      lastUpdated: record.lastUpdated || null,
+      updatedBy: record.updatedBy || null,
+      updateMethod: record.updateMethod || null
+    } : null,
+    versions: history.length,
+    history: history.map(entry => ({
+      auditId: entry._id,
+      action: entry.action,
+      source: entry.source,
+      changedBy: entry.changedBy || null,
+      changedAt: entry.changedAt,
+      added: entry.added,
+      removed: entry.removed,
+      statusChanges: entry.statusChanges,
+      presentCount: entry.after.studentsPresent.length,
+      restoredFrom: entry.restoredFrom || null,
+      before: entry.before,
+      after: entry.after
+    }))
+  });
+}));
 
-            const result = await Attendance.findOneAndUpdate(
-              { 
-                date: dateObj, 
-                subject: subject.toUpperCase()
-              },
-              { 
-                $set: { 
-                  studentsPresent: studentsPresent,
-                  totalStudents: validStudentIDs.length,
-                  presentCount: studentsPresent.length,
-                  absentCount: validStudentIDs.length - studentsPresent.length,
-                  stream: stream.toUpperCase(),
-                  semester: parseInt(sem),
-                  isLanguageSubject: subjectDoc.isLanguageSubject || false,
-                  languageType: subjectDoc.languageType || null,
-                  lastUpdated: new Date(),
-                  updatedBy: req.user?.name || 'bulk_update',
-                  updateMethod: 'bulk_attendance_update'
-                }
-              },
-              { 
-                upsert: true, 
-                new: true,
-                session
-              }
-            );
-
-            return {
-              date: dateStr,
-              dateFormatted: new Date(dateStr).toLocaleDateString('en-IN'),
-              totalStudents: validStudentIDs.length,
-              presentStudents: studentsPresent.length,
-              absentStudents: validStudentIDs.length - studentsPresent.length,
-              attendanceRate: ((studentsPresent.length / validStudentIDs.length) * 100).toFixed(1),
-              attendanceId: result._id,
-              wasCreated: !result.lastUpdated || result.createdAt === result.updatedAt
-            };
-          });
+// ✅ Restore a session to an earlier version from its audit history.
+// body { version: 'after' | 'before' } picks the state after (default) or before that change.
+router.post("/attendance-history/:stream/sem:sem/:subject/restore/:auditId", requirePermission("attendance:write"), validateParams, requireSubjectAssignment, asyncHandler(async (req, res) => {
+  const { stream, sem, subject, auditId } = req.params;
+  const version = req.body.version || 'after';
 
-          const results = await Promise.all(updatePromises);
-          updateResults.push(...results);
-        });
+  if (!['after', 'before'].includes(version)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_VERSION',
+      message: "version must be 'after' or 'before'"
+    });
+  }
 
-        console.log(`✅ Transaction completed successfully for ${validDates.length} dates`);
+  if (!mongoose.Types.ObjectId.isValid(auditId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_AUDIT_ID',
+      message: 'Invalid audit entry id'
+    });
+  }
 
-      } catch (error) {
-        transactionError = error;
-        console.error(`❌ Transaction failed: ${error.message}`);
-      } finally {
-        await session.endSession();
-      }
+  const Attendance = getAttendanceModel(stream, sem, subject);
+  const entry = await AttendanceAudit.findById(auditId).lean();
+  // Scoped lookup: the entry must belong to this class and subject
+  const current = entry ? await Attendance.findOne({ _id: entry.recordId }) : null;
 
-      // Handle transaction failure
-      if (transactionError) {
-        return res.status(500).json({
-          success: false,
-          error: 'TRANSACTION_FAILED',
-          message: 'Failed to update attendance due to database transaction error',
-          details: process.env.NODE_ENV !== 'production' ? transactionError.message : 'Database error occurred',
-          partialResults: updateResults.length > 0 ? updateResults : null
-        });
-      }
+  if (!entry || !current) {
+    return res.status(404).json({
+      success: false,
+      error: 'AUDIT_ENTRY_NOT_FOUND',
+      message: `No audit entry ${auditId} for ${subject.toUpperCase()} in ${req.validatedParams.stream} Semester ${sem}`
+    });
+  }
 
-      // ✅ Calculate comprehensive summary
-      const totalPresent = updateResults.reduce((sum, result) => sum + result.presentStudents, 0);
-      const totalPossible = updateResults.length * validStudentIDs.length;
-      const avgAttendance = totalPossible > 0 ? 
-        (totalPresent / totalPossible * 100).toFixed(1) : '0.0';
+  const lock = getSessionLock(current.date, resolveAttendancePolicy(req.validatedParams.program));
+  if (lock.locked && !canEditLocked(req.user)) {
+    return res.status(409).json({
+      success: false,
+      error: 'SESSION_LOCKED',
+      message: `This session locked on ${lock.locksAt.toLocaleString('en-IN')}. Only an admin can restore it.`
+    });
+  }
 
-      const processingTime = Date.now() - startTime;
+  const snapshot = entry[version];
+  if (!snapshot) {
+    return res.status(400).json({
+      success: false,
+      error: 'NO_PRIOR_VERSION',
+      message: 'This entry created the record, so there is no earlier version to restore'
+    });
+  }
 
-      console.log(`✅ Bulk update completed: ${validDates.length} dates, ${avgAttendance}% avg attendance`);
+  const totalStudents = current.totalStudents || current.totalPossibleStudents || 0;
+  const restored = await Attendance.findOneAndUpdate(
+    { _id: current._id },
+    {
+      $set: {
+        studentsPresent: snapshot.studentsPresent,
+        studentStatuses: snapshot.studentStatuses,
+        presentCount: snapshot.studentsPresent.length,
+        absentCount: Math.max(totalStudents - snapshot.studentsPresent.length, 0),
+        lastUpdated: new Date(),
+        updatedBy: req.user.name || req.user.email,
+        updateMethod: 'restore'
+      },
+      $inc: { version: 1 }
+    },
+    { new: true }
+  );
 
-      // ✅ Enhanced success response
-      res.status(200).json({ 
-        success: true,
-        message: `✅ Attendance updated successfully for ${validDates.length} dates`,
-        updatedDates: validDates.length,
-        summary: {
-          totalDates: validDates.length,
-          totalStudents: validStudentIDs.length,
-          averageAttendance: parseFloat(avgAttendance),
-          totalPresentMarks: totalPresent,
-          totalPossibleMarks: totalPossible,
-          processingTimeMs: processingTime,
-          successRate: '100%'
-        },
-        subjectInfo: {
-          name: subjectDoc.subjectName,
-          type: subjectDoc.subjectType || (subjectDoc.isLanguageSubject ? 'Language' : 'Core'),
-          isLanguageSubject: subjectDoc.isLanguageSubject || false,
-          languageType: subjectDoc.languageType || null
-        },
-        updateResults: updateResults,
-        validationWarnings: validationWarnings.length > 0 ? {
-          count: validationWarnings.length,
-          details: validationWarnings,
-          message: 'Some invalid student IDs were filtered out during processing'
-        } : null,
-        metadata: {
-          requestedDates: dates.length,
-          processedDates: validDates.length,
-          skippedDates: dates.length - validDates.length,
-          timestamp: new Date().toISOString(),
-          stream: stream.toUpperCase(),
-          semester: parseInt(sem),
-          subject: subject.toUpperCase()
-        }
-      });
+  const auditEntry = await recordAttendanceChange({
+    before: current,
+    after: restored,
+    source: 'POST /attendance-history/restore',
+    user: req.user,
+    action: 'restore',
+    restoredFrom: entry._id
+  });
 
-    } catch (error) {
-      console.error("❌ Server error while updating attendance:", error);
-      
-      res.status(500).json({ 
-        success: false,
-        error: 'SERVER_ERROR',
-        message: "Server error while updating attendance",
-        details: process.env.NODE_ENV !== 'production' ? error.message : 'Internal server error',
-        context: {
-          subject: subject,
-          stream: stream,
-          semester: sem,
-          requestedDates: dates.length,
-          timestamp: new Date().toISOString()
-        },
-        stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
-      });
-    }
-  })
-);
+  console.log(`↩️ Restored ${subject.toUpperCase()} ${toDateKey(restored.date)} (period ${getRecordPeriod(restored)}) to the version ${version} audit entry ${entry._id}`);
+
+  res.json({
+    success: true,
+    message: `Attendance restored to the version ${version === 'after' ? 'saved' : 'replaced'} by ${entry.changedBy?.name || entry.changedBy?.email || entry.source} on ${new Date(entry.changedAt).toLocaleString('en-IN')}`,
+    data: restored,
+    changes: {
+      added: auditEntry.added,
+      removed: auditEntry.removed,
+      statusChanges: auditEntry.statusChanges
+    },
+    auditId: auditEntry._id
+  });
+}));
 
 // ✅ FIXED: Debug route with consistent format
-router.get("/debug/test-bcom-mapping", asyncHandler(async (req, res) => {
+router.get("/debug/test-bcom-mapping", requirePermission("system:debug"), asyncHandler(async (req, res) => {
   const stream = "BCom A and F";
   const semester = "5";
   
@@ -2616,88 +5105,11 @@ router.get("/debug/test-bcom-mapping", asyncHandler(async (req, res) => {
   }
 }));
 
-// ✅ FIXED: Reports route with consistent format
-router.get("/reports/student-subject-report/:stream/sem:sem", validateParams, asyncHandler(async (req, res) => {
-  const { stream, sem } = req.params;
-  
-  try {
-    console.log(`📊 Generating report for: ${stream} Semester ${sem}`);
-    
-    let studentCollectionName, subjectCollectionName;
-    
-    // Handle BCom A and F specifically
-    if (stream === "BCom A and F" && sem === "5") {
-      studentCollectionName = "bcom_a_and_f_sem5_students";
-      subjectCollectionName = "bcom_a_and_f_sem5_subjects";
-      console.log(`🎯 Using exact collection names for BCom A and F`);
-    } else {
-      // Use mapping function for other streams
-      studentCollectionName = getCollectionName(stream, sem, "students");
-      subjectCollectionName = getCollectionName(stream, sem, "subjects");
-    }
-    
-    console.log(`🗂️ Collections: ${studentCollectionName}, ${subjectCollectionName}`);
-    
-    // Create models with exact collection names
-    const StudentModel = mongoose.models[studentCollectionName] || 
-      mongoose.model(studentCollectionName, studentSchema, studentCollectionName);
-    const SubjectModel = mongoose.models[subjectCollectionName] || 
-      mongoose.model(subjectCollectionName, subjectSchema, subjectCollectionName);
-    
-    // Fetch data
-    const students = await StudentModel.find({ isActive: true }).lean();
-    const subjects = await SubjectModel.find().lean();
-    
-    console.log(`✅ Found ${students.length} students and ${subjects.length} subjects`);
-    
-    if (students.length === 0) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'NO_STUDENTS_FOUND',
-        message: `No students found in collection: ${studentCollectionName}` 
-      });
-    }
-    
-    // Build report data
-    const reportData = {
-      success: true,
-      message: "Report generated successfully",
-      stream: stream.toUpperCase(),
-      semester: parseInt(sem),
-      reportDate: new Date().toLocaleDateString('en-IN'),
-      totalStudents: students.length,
-      totalSubjects: subjects.length,
-      subjects: subjects.map(s => s.subjectName),
-      students: students.map(student => ({
-        studentID: student.studentID,
-        name: student.name,
-        subjects: subjects.reduce((acc, subject) => {
-          // Mock percentage for now - replace with actual attendance calculation
-          acc[subject.subjectName] = {
-            attended: Math.floor(Math.random() * 20) + 15,
-            total: 30,
-            percentage: Math.floor(Math.random() * 25) + 75 // 75-100%
-          };
-          return acc;
-        }, {})
-      }))
-    };
-    
-    console.log(`🎉 Report generated successfully!`);
-    res.json(reportData);
-    
-  } catch (error) {
-    console.error(`❌ Report error:`, error);
-    res.status(500).json({ 
-      success: false,
-      error: 'REPORT_ERROR',
-      message: "Failed to generate report",
-      details: error.message 
-    });
-  }
-}));
+// ✅ Student-subject report lives in routes/reports.js (mounted at /api/reports)
+
 // ✅ FIXED: Get Students for Selected Subject (Sorted by Student ID)
 router.get("/attendance-students/:stream/sem:sem/:subject", 
+  requirePermission("attendance:read"),
   validateParams, 
   asyncHandler(async (req, res) => {
     const { stream, sem, subject } = req.params;
@@ -2821,5 +5233,309 @@ router.get("/attendance-students/:stream/sem:sem/:subject",
   })
 );
 
+// ✅ Teacher-to-subject assignment helpers
+async function resolveAssignmentInput(body) {
+  const { teacherUID, teacherEmail, stream, semester, subject } = body;
+  const errors = [];
+
+  if (!teacherUID && !teacherEmail) errors.push('teacherUID or teacherEmail is required');
+  if (!stream) errors.push('stream is required');
+  if (!semester) errors.push('semester is required');
+  if (!subject || !subject.toString().trim()) errors.push('subject is required');
+
+  const program = stream ? findProgram(stream) : null;
+  if (stream && !program) {
+    errors.push(`Invalid stream: ${stream}. Valid streams are: ${getProgramCodes().join(', ')}`);
+  }
+
+  const sem = parseInt(semester);
+  if (semester && (isNaN(sem) || sem < 1 || sem > 8)) {
+    errors.push(`Invalid semester: ${semester}. Must be between 1-8`);
+  } else if (semester && program && !program.semesters.includes(sem)) {
+    errors.push(`${program.code} does not run Semester ${sem}. Allowed semesters: ${program.semesters.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const teacher = teacherUID
+    ? await Teacher.findOne({ firebaseUID: teacherUID })
+    : await Teacher.findOne({ email: teacherEmail.toLowerCase().trim() });
+
+  if (!teacher) {
+    return { errors: [`Teacher not found: ${teacherUID || teacherEmail}. The teacher must sign in once before subjects can be assigned.`] };
+  }
+
+  const subjectName = subject.toString().trim().toUpperCase();
+  const Subject = getSubjectModel(stream, sem);
+  const subjectDoc = await Subject.findOne({ subjectName, isActive: { $ne: false } }).lean();
+
+  if (!subjectDoc) {
+    return { errors: [`Subject "${subjectName}" not found in ${stream} Semester ${sem}`] };
+  }
+
+  return {
+    errors: [],
+    data: {
+      teacherUID: teacher.firebaseUID,
+      teacherEmail: teacher.email,
+      teacherName: teacher.name,
+      stream: program.code,
+      semester: sem,
+      subject: subjectName
+    }
+  };
+}
+
+// ✅ GET all subject assignments (admin) with optional filters
+router.get("/assignments", requirePermission("assignments:manage"), asyncHandler(async (req, res) => {
+  const { teacherUID, stream, semester, subject, academicYear, includeInactive } = req.query;
+
+  const query = {};
+  if (teacherUID) query.teacherUID = teacherUID;
+  if (stream) query.stream = stream;
+  if (semester) query.semester = parseInt(semester);
+  if (subject) query.subject = subject.toUpperCase();
+  if (academicYear) query.academicYear = academicYear;
+  if (includeInactive !== 'true') query.isActive = true;
+
+  const assignments = await SubjectAssignment.find(query)
+    .sort({ stream: 1, semester: 1, subject: 1, teacherName: 1 })
+    .lean();
+
+  res.json({
+    success: true,
+    count: assignments.length,
+    filters: query,
+    assignments
+  });
+}));
+
+// ✅ GET the signed-in teacher's own assignments
+router.get("/assignments/mine", requirePermission("attendance:read"), asyncHandler(async (req, res) => {
+  const assignments = await SubjectAssignment.findForTeacher(req.user.uid);
+
+  res.json({
+    success: true,
+    count: assignments.length,
+    isAdmin: req.user.role === 'admin',
+    note: req.user.role === 'admin' ? 'Admins can mark attendance for every subject' : undefined,
+    assignments
+  });
+}));
+
+// ✅ POST create a subject assignment (admin)
+router.post("/assignments", requirePermission("assignments:manage"), asyncHandler(async (req, res) => {
+  const { errors, data } = await resolveAssignmentInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ASSIGNMENT',
+      message: 'Assignment validation failed',
+      errors
+    });
+  }
+
+  const academicYear = req.body.academicYear || SubjectAssignment.currentAcademicYear();
+
+  const existing = await SubjectAssignment.findOne({
+    teacherUID: data.teacherUID,
+    stream: data.stream,
+    semester: data.semester,
+    subject: data.subject,
+    academicYear
+  });
+
+  if (existing && existing.isActive) {
+    return res.status(409).json({
+      success: false,
+      error: 'ASSIGNMENT_EXISTS',
+      message: `${data.teacherName} is already assigned to ${data.subject} in ${data.stream} Semester ${data.semester} for ${academicYear}`,
+      assignment: existing
+    });
+  }
+
+  let assignment;
+  if (existing) {
+    // Reactivate a previously removed assignment instead of duplicating it
+    existing.isActive = true;
+    existing.assignedBy = req.user.email;
+    assignment = await existing.save();
+  } else {
+    assignment = await SubjectAssignment.create({
+      ...data,
+      academicYear,
+      assignedBy: req.user.email
+    });
+  }
+
+  console.log(`📌 Assigned ${data.subject} (${data.stream} Sem ${data.semester}) to ${data.teacherEmail}`);
+
+  res.status(201).json({
+    success: true,
+    message: `${data.subject} assigned to ${data.teacherName}`,
+    assignment
+  });
+}));
+
+// ✅ POST copy one academic year's assignments into the next term (admin). The source term's
+// assignments are deactivated, so only the new term's authorize attendance and queueing.
+router.post("/assignments/copy-term", requirePermission("assignments:manage"), asyncHandler(async (req, res) => {
+  const { fromYear, toYear } = req.body;
+
+  if (!fromYear || !toYear || fromYear === toYear) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_INPUT',
+      message: 'fromYear and toYear are required and must differ'
+    });
+  }
+
+  const source = await SubjectAssignment.find({ academicYear: fromYear, isActive: true }).lean();
+  let copied = 0;
+  let reactivated = 0;
+  let skipped = 0;
+
+  for (const assignment of source) {
+    const result = await SubjectAssignment.updateOne(
+      {
+        teacherUID: assignment.teacherUID,
+        stream: assignment.stream,
+        semester: assignment.semester,
+        subject: assignment.subject,
+        academicYear: toYear
+      },
+      {
+        // A target removed earlier is reactivated, so the teacher keeps the subject in the new term
+        $set: { isActive: true },
+        $setOnInsert: {
+          teacherEmail: assignment.teacherEmail,
+          teacherName: assignment.teacherName,
+          assignedBy: req.user.email
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) copied++;
+    else if (result.modifiedCount > 0) reactivated++;
+    else skipped++;
+  }
+
+  const deactivated = await SubjectAssignment.updateMany(
+    { academicYear: fromYear, isActive: true },
+    { $set: { isActive: false } }
+  );
+
+  res.json({
+    success: true,
+    message: `Copied ${copied} assignments from ${fromYear} to ${toYear}; ${fromYear} assignments deactivated`,
+    summary: {
+      sourceAssignments: source.length,
+      copied,
+      reactivated,
+      skippedExisting: skipped,
+      deactivated: deactivated.modifiedCount
+    }
+  });
+}));
+
+// ✅ PUT update a subject assignment (admin)
+router.put("/assignments/:id", requirePermission("assignments:manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ASSIGNMENT_ID',
+      message: 'Invalid assignment id'
+    });
+  }
+
+  const assignment = await SubjectAssignment.findById(req.params.id);
+
+  if (!assignment) {
+    return res.status(404).json({
+      success: false,
+      error: 'ASSIGNMENT_NOT_FOUND',
+      message: `Assignment ${req.params.id} not found`
+    });
+  }
+
+  const { errors, data } = await resolveAssignmentInput({
+    teacherUID: req.body.teacherUID || (req.body.teacherEmail ? undefined : assignment.teacherUID),
+    teacherEmail: req.body.teacherEmail,
+    stream: req.body.stream || assignment.stream,
+    semester: req.body.semester || assignment.semester,
+    subject: req.body.subject || assignment.subject
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ASSIGNMENT',
+      message: 'Assignment validation failed',
+      errors
+    });
+  }
+
+  Object.assign(assignment, data);
+  if (req.body.academicYear) assignment.academicYear = req.body.academicYear;
+  if (req.body.isActive !== undefined) assignment.isActive = !!req.body.isActive;
+  assignment.assignedBy = req.user.email;
+
+  try {
+    await assignment.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'ASSIGNMENT_EXISTS',
+        message: 'An identical assignment already exists for this term'
+      });
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Assignment updated successfully',
+    assignment
+  });
+}));
+
+// ✅ DELETE remove a subject assignment (admin). The assignment is deactivated, not deleted, so the
+// registry keeps its term history (POST /assignments reactivates it).
+router.delete("/assignments/:id", requirePermission("assignments:manage"), asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_ASSIGNMENT_ID',
+      message: 'Invalid assignment id'
+    });
+  }
+
+  const assignment = await SubjectAssignment.findByIdAndUpdate(
+    req.params.id,
+    { $set: { isActive: false } },
+    { new: true }
+  );
+
+  if (!assignment) {
+    return res.status(404).json({
+      success: false,
+      error: 'ASSIGNMENT_NOT_FOUND',
+      message: `Assignment ${req.params.id} not found`
+    });
+  }
+
+  console.log(`🗑️ Removed assignment ${assignment.subject} (${assignment.stream} Sem ${assignment.semester}) from ${assignment.teacherEmail}`);
+
+  res.json({
+    success: true,
+    message: 'Assignment removed successfully',
+    assignment
+  });
+}));
 
 module.exports = router;
@@ -0,0 +1,69 @@
+// scripts/add-attendance-periods.js
+// ✅ One-off migration for multi-period attendance: marks every existing record as
+// period 1 and swaps the old date-only unique index for the date + period one, so a
+// subject can have several records on the same day.
+//
+// Usage:
+//   node scripts/add-attendance-periods.js            # backfill + rebuild indexes
+//   node scripts/add-attendance-periods.js --dry-run  # report what would change, no writes
+//
+// Safe to re-run: records that already have a period are left alone.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const AttendanceRecord = require("../models/Attendance");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const LEGACY_INDEX_KEY = { stream: 1, semester: 1, subject: 1, date: 1 };
+
+const sameKey = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+async function migrate() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(uri);
+  console.log(`✅ MongoDB connected${DRY_RUN ? " (dry run - no writes)" : ""}`);
+
+  const missingPeriod = { period: { $in: [null] } };
+  const toBackfill = await AttendanceRecord.countDocuments(missingPeriod);
+
+  const indexes = await AttendanceRecord.collection.indexes();
+  const legacyIndex = indexes.find(index => sameKey(index.key, LEGACY_INDEX_KEY));
+
+  console.log(`📦 ${toBackfill} record(s) without a period`);
+  console.log(legacyIndex
+    ? `📦 Legacy unique index "${legacyIndex.name}" present`
+    : "📦 Legacy unique index already removed");
+
+  if (DRY_RUN) {
+    return { backfilled: 0, toBackfill, droppedIndex: null };
+  }
+
+  const result = await AttendanceRecord.collection.updateMany(missingPeriod, { $set: { period: 1 } });
+  console.log(`✅ Backfilled period 1 on ${result.modifiedCount} record(s)`);
+
+  if (legacyIndex) {
+    await AttendanceRecord.collection.dropIndex(legacyIndex.name);
+    console.log(`✅ Dropped legacy index "${legacyIndex.name}"`);
+  }
+
+  await AttendanceRecord.syncIndexes();
+  console.log("✅ Indexes in sync with models/Attendance.js");
+
+  return { backfilled: result.modifiedCount, toBackfill, droppedIndex: legacyIndex ? legacyIndex.name : null };
+}
+
+migrate()
+  .then(async (report) => {
+    await mongoose.disconnect();
+    console.log("Report:", report);
+    console.log(DRY_RUN ? "✅ Dry run complete" : "✅ Period migration complete");
+  })
+  .catch(async (error) => {
+    console.error("❌ Period migration failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
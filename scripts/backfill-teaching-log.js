@@ -0,0 +1,69 @@
+// scripts/backfill-teaching-log.js
+// ✅ One-off backfill of the teaching log (models/TeachingLog.js) from attendance saved before it
+// existed: every attendance record becomes a taken class of the teacher who marked it.
+//
+// Usage:
+//   node scripts/backfill-teaching-log.js            # create the missing log entries
+//   node scripts/backfill-teaching-log.js --dry-run  # report what would be created, no writes
+//
+// Safe to re-run: records that already have a log entry are left alone. Records whose marker has
+// no firebase uid (very old or scripted imports) cannot be attributed and are only counted.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const AttendanceRecord = require("../models/Attendance");
+const TeachingLog = require("../models/TeachingLog");
+const { loadPrograms } = require("../utils/programRegistry");
+const { logTakenClass } = require("../utils/teachingLog");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function backfill() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(uri);
+  await loadPrograms();
+  console.log(`✅ MongoDB connected${DRY_RUN ? " (dry run - no writes)" : ""}`);
+
+  if (!DRY_RUN) await TeachingLog.syncIndexes();
+
+  const logged = new Set((await TeachingLog.distinct("recordId", { recordId: { $ne: null } })).map(String));
+  const report = { records: 0, alreadyLogged: 0, created: 0, unattributed: 0 };
+
+  const cursor = AttendanceRecord.find({}).lean().cursor();
+  for await (const record of cursor) {
+    report.records++;
+
+    if (logged.has(String(record._id))) {
+      report.alreadyLogged++;
+      continue;
+    }
+
+    if (!record.markedBy || !record.markedBy.uid) {
+      report.unattributed++;
+      continue;
+    }
+
+    if (!DRY_RUN) {
+      await logTakenClass({ record, user: record.markedBy, source: "backfill" });
+    }
+    report.created++;
+  }
+
+  return report;
+}
+
+backfill()
+  .then(async (report) => {
+    await mongoose.disconnect();
+    console.log("Report:", report);
+    console.log(DRY_RUN ? "✅ Dry run complete" : "✅ Teaching log backfill complete");
+  })
+  .catch(async (error) => {
+    console.error("❌ Teaching log backfill failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,256 @@
+// scripts/migrate-attendance.js
+// ✅ One-off migration: merges the legacy per-subject attendance collections
+// ("<stream>_sem<N>_<subject>_attendance") and the BaseAttendance copy into the
+// unified "attendance_records" collection, then verifies every legacy record landed.
+//
+// Usage:
+//   node scripts/migrate-attendance.js            # migrate + verify
+//   node scripts/migrate-attendance.js --dry-run  # report what would be migrated, no writes
+//
+// Legacy collections are left untouched so the migration can be re-run safely.
+// Records already present in attendance_records (e.g. marked after deployment) always win.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const AttendanceRecord = require("../models/Attendance");
+const { toStoredDate } = require("../utils/dateKeys");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const LEGACY_COLLECTION_PATTERN = /^(.+)_sem(\d+)_(.+)_attendance$/;
+const BASE_ATTENDANCE_COLLECTION = "baseattendances";
+
+// Collection slugs used by the old routes (reports.js used "bcom_bda", teacherRoutes.js "bcom-bda")
+const LEGACY_STREAM_SLUGS = {
+  "bca": "BCA",
+  "bba": "BBA",
+  "bcom": "BCom",
+  "bcomsectionb": "BCom Section B",
+  "bcom-bda": "BCom-BDA",
+  "bcom_bda": "BCom-BDA",
+  "bcom_a_and_f": "BCom A and F"
+};
+
+// "YYYY-MM-DD" strings, stored days and timestamps all map to the stored day (utils/dateKeys.js)
+const normalizeDate = (value) => toStoredDate(value);
+
+const recordKey = (r) => `${r.stream}|${r.semester}|${r.subject}|${r.date.toISOString()}`;
+
+// Legacy collections held one record per date, i.e. period 1 (older unified records may lack the field)
+const recordFilter = (r) => ({
+  stream: r.stream, semester: r.semester, subject: r.subject, date: r.date, period: { $in: [1, null] }
+});
+
+function toUnifiedRecord(doc, { stream, semester, subject, source }) {
+  const date = normalizeDate(doc.date);
+  if (!date) return null;
+
+  const studentsPresent = Array.isArray(doc.studentsPresent) ? doc.studentsPresent.map(String) : [];
+  const totalStudents = doc.totalStudents ?? doc.studentsTotal ?? doc.totalPossibleStudents ?? 0;
+
+  return {
+    date,
+    period: 1,
+    stream: stream.toUpperCase(),
+    semester: parseInt(semester),
+    subject: subject.toString().trim().toUpperCase(),
+    isLanguageSubject: !!doc.isLanguageSubject,
+    languageType: doc.languageType || null,
+    languageGroup: doc.languageGroup || null,
+    studentsPresent,
+    totalStudents,
+    totalPossibleStudents: doc.totalPossibleStudents ?? totalStudents,
+    presentCount: studentsPresent.length,
+    absentCount: Math.max(totalStudents - studentsPresent.length, 0),
+    attendancePercentage: totalStudents > 0
+      ? parseFloat(((studentsPresent.length / totalStudents) * 100).toFixed(2))
+      : 0,
+    lastUpdated: doc.lastUpdated || doc.updatedAt || null,
+    updatedBy: doc.updatedBy || null,
+    updateMethod: doc.updateMethod || null,
+    migratedFrom: source,
+    createdAt: doc.createdAt || new Date(),
+    updatedAt: doc.updatedAt || new Date()
+  };
+}
+
+// Inserts records that are not yet in the unified collection; returns per-source counts
+async function mergeRecords(records, source) {
+  const stats = { source, sourceDocs: records.length, skippedInvalid: 0, inserted: 0, alreadyPresent: 0 };
+  const valid = records.filter(Boolean);
+  stats.skippedInvalid = records.length - valid.length;
+
+  if (valid.length === 0) return stats;
+
+  if (DRY_RUN) {
+    for (const record of valid) {
+      const exists = await AttendanceRecord.exists(recordFilter(record));
+      if (exists) stats.alreadyPresent++;
+      else stats.inserted++;
+    }
+    return stats;
+  }
+
+  const operations = valid.map(record => ({
+    updateOne: {
+      filter: recordFilter(record),
+      update: { $setOnInsert: record },
+      upsert: true
+    }
+  }));
+
+  const result = await AttendanceRecord.collection.bulkWrite(operations, { ordered: false });
+  stats.inserted = result.upsertedCount;
+  stats.alreadyPresent = valid.length - result.upsertedCount;
+  return stats;
+}
+
+// Confirms every legacy key exists in the unified collection and flags differing present lists
+async function verifyRecords(records, stats) {
+  const valid = records.filter(Boolean);
+  const missing = [];
+  let mismatched = 0;
+
+  for (const record of valid) {
+    const unified = await AttendanceRecord.findOne(
+      recordFilter(record),
+      { studentsPresent: 1 }
+    ).lean();
+
+    if (!unified) {
+      missing.push(recordKey(record));
+      continue;
+    }
+
+    const legacyPresent = [...record.studentsPresent].sort().join(",");
+    const unifiedPresent = [...(unified.studentsPresent || [])].sort().join(",");
+    if (legacyPresent !== unifiedPresent) mismatched++;
+  }
+
+  stats.verifiedPresent = valid.length - missing.length;
+  stats.missing = missing.length;
+  stats.presentListMismatches = mismatched;
+  if (missing.length > 0) {
+    stats.missingKeys = missing.slice(0, 10);
+  }
+  return stats;
+}
+
+async function migrate() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(uri);
+  console.log(`✅ MongoDB connected${DRY_RUN ? " (dry run - no writes)" : ""}`);
+
+  if (!DRY_RUN) {
+    await AttendanceRecord.init(); // make sure the unique key index exists before merging
+  }
+
+  const db = mongoose.connection.db;
+  const collections = (await db.listCollections({}, { nameOnly: true }).toArray())
+    .map(c => c.name)
+    .filter(name => name !== AttendanceRecord.collection.name)
+    .sort();
+
+  const report = [];
+
+  // Step 1: per-subject collections (authoritative legacy source)
+  for (const name of collections) {
+    const match = name.match(LEGACY_COLLECTION_PATTERN);
+    if (!match) continue;
+
+    const [, slug, semester, subjectSlug] = match;
+    const stream = LEGACY_STREAM_SLUGS[slug];
+
+    if (!stream) {
+      console.warn(`⚠️ Skipping ${name}: unknown stream slug "${slug}"`);
+      report.push({ source: name, skipped: `unknown stream slug "${slug}"` });
+      continue;
+    }
+
+    // Newest first, so the most recent copy wins when a collection holds duplicate keys
+    const docs = await db.collection(name).find({}).sort({ updatedAt: -1 }).toArray();
+    const records = docs.map(doc => toUnifiedRecord(doc, {
+      stream,
+      semester,
+      subject: doc.subject || subjectSlug.replace(/_/g, " "),
+      source: name
+    }));
+
+    const stats = await mergeRecords(records, name);
+    if (!DRY_RUN) await verifyRecords(records, stats);
+    report.push(stats);
+    console.log(`📦 ${name}: ${stats.sourceDocs} docs, ${stats.inserted} ${DRY_RUN ? "to insert" : "inserted"}, ${stats.alreadyPresent} already present`);
+  }
+
+  // Step 2: BaseAttendance copy (only fills gaps left by the per-subject collections)
+  if (collections.includes(BASE_ATTENDANCE_COLLECTION)) {
+    const docs = await db.collection(BASE_ATTENDANCE_COLLECTION).find({}).toArray();
+    const records = docs.map(doc => doc.stream && doc.semester && doc.subject
+      ? toUnifiedRecord(doc, {
+          stream: doc.stream,
+          semester: doc.semester,
+          subject: doc.subject,
+          source: BASE_ATTENDANCE_COLLECTION
+        })
+      : null);
+
+    const stats = await mergeRecords(records, BASE_ATTENDANCE_COLLECTION);
+    if (!DRY_RUN) await verifyRecords(records, stats);
+    report.push(stats);
+    console.log(`📦 ${BASE_ATTENDANCE_COLLECTION}: ${stats.sourceDocs} docs, ${stats.inserted} ${DRY_RUN ? "to insert" : "inserted"}, ${stats.alreadyPresent} already present`);
+  }
+
+  // Step 3: verification summary
+  const totals = report.reduce((acc, r) => {
+    acc.sourceDocs += r.sourceDocs || 0;
+    acc.inserted += r.inserted || 0;
+    acc.alreadyPresent += r.alreadyPresent || 0;
+    acc.skippedInvalid += r.skippedInvalid || 0;
+    acc.missing += r.missing || 0;
+    acc.presentListMismatches += r.presentListMismatches || 0;
+    return acc;
+  }, { sourceDocs: 0, inserted: 0, alreadyPresent: 0, skippedInvalid: 0, missing: 0, presentListMismatches: 0 });
+
+  totals.unifiedRecords = await AttendanceRecord.countDocuments();
+
+  console.log("\n📊 Migration report");
+  console.table(report.map(r => ({
+    source: r.source,
+    sourceDocs: r.sourceDocs,
+    inserted: r.inserted,
+    alreadyPresent: r.alreadyPresent,
+    invalid: r.skippedInvalid,
+    missing: r.missing,
+    mismatched: r.presentListMismatches,
+    skipped: r.skipped
+  })));
+  console.log("Totals:", totals);
+
+  report.filter(r => r.missingKeys).forEach(r => {
+    console.error(`❌ ${r.source} missing keys (first 10):`, r.missingKeys);
+  });
+
+  if (totals.presentListMismatches > 0) {
+    console.warn("⚠️ Some legacy records differ from the unified copy (a newer duplicate or a live record won). Review before dropping legacy collections.");
+  }
+
+  return totals;
+}
+
+migrate()
+  .then(async (totals) => {
+    await mongoose.disconnect();
+    if (!DRY_RUN && totals.missing > 0) {
+      console.error(`❌ Verification failed: ${totals.missing} legacy records are missing from attendance_records`);
+      process.exit(1);
+    }
+    console.log(DRY_RUN ? "✅ Dry run complete" : "✅ Migration complete and verified");
+  })
+  .catch(async (error) => {
+    console.error("❌ Migration failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,217 @@
+// scripts/repair-date-keys.js
+// ✅ One-off repair for dates shifted by UTC conversion. Class days are stored as UTC midnight
+// of their college-timezone date (utils/dateKeys.js); older code sometimes stored the instant
+// a day started in the browser (e.g. 2024-07-01T18:30:00Z for 2 July IST) or a full timestamp,
+// so those records fell on the wrong day or went unmatched by day lookups.
+//
+// Re-keys every such date to the college day it falls on, in:
+//   attendance_records          date (version is bumped so open registers reload)
+//   leaveapplications           fromDate / toDate
+//   academiccalendars           terms, events, startDate / endDate
+//
+// Also reports "suspect" attendance records: stored on day D but marked between 00:00 and
+// 05:30 IST on D + 1, the window in which the old UTC "today" default picked the previous
+// day. A teacher may also have marked yesterday's class after midnight, so these are only
+// moved with --fix-suspects after checking the list.
+//
+// Usage:
+//   node scripts/repair-date-keys.js                 # re-key shifted dates
+//   node scripts/repair-date-keys.js --dry-run       # report what would change, no writes
+//   node scripts/repair-date-keys.js --fix-suspects  # also move the suspect records
+//
+// A record whose corrected date is already taken by another record of the same session
+// (stream, semester, subject, date, period) is left alone and listed as a conflict.
+// Audit entries (attendance_audit) are append-only and keep the date they were written with;
+// history stays attached through the record id. Safe to re-run.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const AttendanceRecord = require("../models/Attendance");
+const LeaveApplication = require("../models/LeaveApplication");
+const AcademicCalendar = require("../models/AcademicCalendar");
+const { COLLEGE_TIMEZONE, toDateKey, toStoredDate, dateFromKey, collegeDateKey, addDays } = require("../utils/dateKeys");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const FIX_SUSPECTS = process.argv.includes("--fix-suspects");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A stored day is exactly UTC midnight; anything else was shifted
+const isShifted = (date) => date instanceof Date && date.getTime() % DAY_MS !== 0;
+
+const markedTime = (record) => record.markedAt || record.createdAt || null;
+
+// Stored on day D and marked while it was still D in UTC but already D + 1 in the college
+// timezone (00:00-05:30 IST), i.e. exactly when a UTC "today" picked the previous day
+function isSuspect(record) {
+  const marked = markedTime(record);
+  if (!marked || isShifted(record.date)) return false;
+
+  const dayKey = toDateKey(record.date);
+  const markedAt = new Date(marked);
+  return markedAt.toISOString().slice(0, 10) === dayKey && collegeDateKey(markedAt) === addDays(dayKey, 1);
+}
+
+const sessionFilter = (record, date) => ({
+  _id: { $ne: record._id },
+  stream: record.stream,
+  semester: record.semester,
+  subject: record.subject,
+  date,
+  period: (record.period || 1) === 1 ? { $in: [1, null] } : record.period
+});
+
+async function rekeyAttendance(record, date, report, bucket) {
+  const entry = {
+    id: String(record._id),
+    session: `${record.stream} Sem ${record.semester} ${record.subject} P${record.period || 1}`,
+    from: record.date.toISOString(),
+    to: toDateKey(date)
+  };
+
+  const taken = await AttendanceRecord.exists(sessionFilter(record, date));
+  if (taken) {
+    report.conflicts.push({ ...entry, existingId: String(taken._id) });
+    console.log(`⚠️ ${entry.session}: ${entry.from} → ${entry.to} already has a record (${taken._id}), left alone`);
+    return;
+  }
+
+  report[bucket].push(entry);
+  console.log(`📅 ${entry.session}: ${entry.from} → ${entry.to}`);
+
+  if (!DRY_RUN) {
+    await AttendanceRecord.updateOne(
+      { _id: record._id },
+      { $set: { date, lastUpdated: new Date(), updateMethod: "date_key_repair" }, $inc: { version: 1 } }
+    );
+  }
+}
+
+async function repairAttendance(report) {
+  const records = await AttendanceRecord.find(
+    {},
+    "stream semester subject period date markedAt createdAt"
+  ).lean();
+
+  for (const record of records) {
+    if (isShifted(record.date)) {
+      await rekeyAttendance(record, toStoredDate(record.date), report, "attendanceRekeyed");
+    } else if (isSuspect(record)) {
+      if (FIX_SUSPECTS) {
+        await rekeyAttendance(record, dateFromKey(addDays(toDateKey(record.date), 1)), report, "suspectsMoved");
+      } else {
+        report.suspects.push({
+          id: String(record._id),
+          session: `${record.stream} Sem ${record.semester} ${record.subject} P${record.period || 1}`,
+          date: toDateKey(record.date),
+          markedAt: new Date(markedTime(record)).toISOString()
+        });
+      }
+    }
+  }
+}
+
+async function repairLeaves(report) {
+  const leaves = await LeaveApplication.find({}, "studentID fromDate toDate").lean();
+
+  for (const leave of leaves) {
+    if (!isShifted(leave.fromDate) && !isShifted(leave.toDate)) continue;
+
+    const fromDate = toStoredDate(leave.fromDate);
+    const toDate = toStoredDate(leave.toDate);
+    report.leavesRekeyed.push({ id: String(leave._id), studentID: leave.studentID, fromDate: toDateKey(fromDate), toDate: toDateKey(toDate) });
+    console.log(`📅 Leave ${leave._id} (${leave.studentID}): ${toDateKey(fromDate)} → ${toDateKey(toDate)}`);
+
+    if (!DRY_RUN) {
+      await LeaveApplication.collection.updateOne({ _id: leave._id }, { $set: { fromDate, toDate } });
+    }
+  }
+}
+
+// Re-keys the startDate / endDate of each entry; returns whether anything changed
+function rekeyRanges(entries = []) {
+  let changed = false;
+  entries.forEach(entry => {
+    ["startDate", "endDate"].forEach(field => {
+      if (isShifted(entry[field])) {
+        entry[field] = toStoredDate(entry[field]);
+        changed = true;
+      }
+    });
+  });
+  return changed;
+}
+
+async function repairCalendars(report) {
+  const calendars = await AcademicCalendar.find({}).lean();
+
+  for (const calendar of calendars) {
+    const termsChanged = rekeyRanges(calendar.terms);
+    const eventsChanged = rekeyRanges(calendar.events);
+    const boundsChanged = rekeyRanges([calendar]);
+    if (!termsChanged && !eventsChanged && !boundsChanged) continue;
+
+    report.calendarsRekeyed.push({ id: String(calendar._id), stream: calendar.stream || null, academicYear: calendar.academicYear });
+    console.log(`📅 Calendar ${calendar._id} (${calendar.stream || "college-wide"} ${calendar.academicYear})`);
+
+    if (!DRY_RUN) {
+      await AcademicCalendar.collection.updateOne(
+        { _id: calendar._id },
+        { $set: {
+          terms: calendar.terms || [],
+          events: calendar.events || [],
+          ...(calendar.startDate ? { startDate: calendar.startDate } : {}),
+          ...(calendar.endDate ? { endDate: calendar.endDate } : {})
+        } }
+      );
+    }
+  }
+}
+
+async function repair() {
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(uri);
+  console.log(`✅ MongoDB connected${DRY_RUN ? " (dry run - no writes)" : ""} - college timezone ${COLLEGE_TIMEZONE}`);
+
+  const report = {
+    attendanceRekeyed: [],
+    suspectsMoved: [],
+    suspects: [],
+    conflicts: [],
+    leavesRekeyed: [],
+    calendarsRekeyed: []
+  };
+
+  await repairAttendance(report);
+  await repairLeaves(report);
+  await repairCalendars(report);
+
+  if (report.suspects.length > 0) {
+    console.log(`⚠️ ${report.suspects.length} record(s) marked after midnight may belong to the next day; check them and re-run with --fix-suspects`);
+  }
+
+  return {
+    attendanceRekeyed: report.attendanceRekeyed.length,
+    suspectsMoved: report.suspectsMoved.length,
+    suspects: report.suspects,
+    conflicts: report.conflicts,
+    leavesRekeyed: report.leavesRekeyed.length,
+    calendarsRekeyed: report.calendarsRekeyed.length
+  };
+}
+
+repair()
+  .then(async (report) => {
+    await mongoose.disconnect();
+    console.log("Report:", JSON.stringify(report, null, 2));
+    console.log(DRY_RUN ? "✅ Dry run complete" : "✅ Date key repair complete");
+  })
+  .catch(async (error) => {
+    console.error("❌ Date key repair failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
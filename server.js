@@ -4,13 +4,11 @@ const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const path = require("path");
+const { loadPrograms } = require("./utils/programRegistry");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI;
-// Add reports routes
-const reportsRoutes = require('./routes/reports');
-app.use('/api/reports', reportsRoutes);
 
 // Middleware
 app.use(cors());
@@ -22,14 +20,36 @@ mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    return loadPrograms();
+  })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
+// ✅ QR self check-in for students (no account; the rotating token authorizes the request)
+const checkInRoutes = require("./routes/checkIn");
+app.use("/api", checkInRoutes);
+
+// ✅ Every other API route requires a verified Firebase token and an active teacher account
+const verifyToken = require("./middleware/verifyToken");
+const { loadTeacher } = require("./middleware/authorize");
+app.use("/api", verifyToken, loadTeacher);
+
 // Routes
+const reportsRoutes = require('./routes/reports');
+app.use('/api/reports', reportsRoutes);
 const teacherRoutes = require("./routes/teacherRoutes");
 app.use("/api", teacherRoutes);
 const teacher = require("./routes/teacher");
 app.use("/api", teacher);
+const programRoutes = require("./routes/programs");
+app.use("/api", programRoutes);
+const alumniRoutes = require("./routes/alumni");
+app.use("/api", alumniRoutes);
+const leaveRoutes = require("./routes/leave");
+app.use("/api", leaveRoutes);
+const calendarRoutes = require("./routes/calendar");
+app.use("/api", calendarRoutes);
 // ✅ Backend route to handle attendance page
 app.get('/attendance/:stream/:semester/:subject', async (req, res) => {
   try {
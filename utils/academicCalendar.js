@@ -0,0 +1,151 @@
+// utils/academicCalendar.js
+// ✅ Working-day rules from the academic calendar (models/AcademicCalendar.js): is a date a
+// class day for a program and semester, and which days in a range are working days.
+// Programs without a calendar for the date are not restricted.
+
+const AcademicCalendar = require('../models/AcademicCalendar');
+const { toDateKey, toStoredDate } = require('./dateKeys');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_STATUS = {
+  WORKING: 'WORKING',
+  SPECIAL_WORKING_DAY: 'SPECIAL_WORKING_DAY',
+  OUTSIDE_TERM: 'OUTSIDE_TERM',
+  HOLIDAY: 'HOLIDAY',
+  EXAM: 'EXAM',
+  WEEKLY_OFF: 'WEEKLY_OFF'
+};
+
+// "YYYY-MM-DD" or Date → the stored day (midnight UTC of its college-timezone date, utils/dateKeys.js)
+const toDay = (value) => toStoredDate(value);
+
+const appliesToSemester = (entry, semester) =>
+  !entry.semesters || entry.semesters.length === 0 || entry.semesters.includes(parseInt(semester));
+
+const covers = (entry, day) => toDay(entry.startDate) <= day && day <= toDay(entry.endDate);
+
+/**
+ * Classifies one day against a calendar.
+ * Special working days win over weekly offs; holidays and exam blocks win over both.
+ * @returns {{ date: string, working: boolean, status: string, reason: string|null, term: string|null, event: string|null }}
+ */
+function classifyDay(calendar, date, semester) {
+  const day = toDay(date);
+  const result = { date: toDateKey(day), working: false, status: null, reason: null, term: null, event: null };
+
+  const term = calendar.terms.find(t => appliesToSemester(t, semester) && covers(t, day));
+  if (!term) {
+    return { ...result, status: DAY_STATUS.OUTSIDE_TERM, reason: `${result.date} is outside the Semester ${semester} term dates` };
+  }
+  result.term = term.name;
+
+  const events = (calendar.events || []).filter(e => appliesToSemester(e, semester) && covers(e, day));
+  const closure = events.find(e => e.type === 'holiday') || events.find(e => e.type === 'exam');
+  if (closure) {
+    return {
+      ...result,
+      status: closure.type === 'holiday' ? DAY_STATUS.HOLIDAY : DAY_STATUS.EXAM,
+      reason: `${result.date} is ${closure.type === 'holiday' ? 'a holiday' : 'in an exam block'}: ${closure.title}`,
+      event: closure.title
+    };
+  }
+
+  const specialDay = events.find(e => e.type === 'working_day');
+  if (specialDay) {
+    return { ...result, working: true, status: DAY_STATUS.SPECIAL_WORKING_DAY, event: specialDay.title };
+  }
+
+  if ((calendar.weeklyOffDays || []).includes(day.getUTCDay())) {
+    return { ...result, status: DAY_STATUS.WEEKLY_OFF, reason: `${result.date} is a ${DAY_NAMES[day.getUTCDay()]}` };
+  }
+
+  return { ...result, working: true, status: DAY_STATUS.WORKING };
+}
+
+/**
+ * Is attendance allowed on this date for the program / semester?
+ * @returns {Promise<{ configured: boolean, working: boolean, enforcement: string|null, ... }>}
+ *   configured is false when no calendar covers the date (nothing is enforced then)
+ */
+async function checkAttendanceDate(stream, semester, date) {
+  const day = toDay(date);
+  const calendar = await AcademicCalendar.findForDate(stream, day);
+
+  if (!calendar) {
+    return { configured: false, date: toDateKey(day), working: true, enforcement: null, calendarId: null };
+  }
+
+  return {
+    configured: true,
+    ...classifyDay(calendar, day, semester),
+    enforcement: calendar.enforcement,
+    calendarId: calendar._id,
+    academicYear: calendar.academicYear
+  };
+}
+
+/**
+ * The term a semester is in on a date, for default report ranges (term start → today).
+ * @returns {Promise<{ name: string, startDate: string, endDate: string, academicYear: string }|null>}
+ */
+async function findTerm(stream, semester, date) {
+  const day = toDay(date);
+  const calendar = await AcademicCalendar.findForDate(stream, day);
+  const term = calendar && calendar.terms.find(t => appliesToSemester(t, semester) && covers(t, day));
+
+  return term
+    ? {
+        name: term.name,
+        startDate: toDateKey(toDay(term.startDate)),
+        endDate: toDateKey(toDay(term.endDate)),
+        academicYear: calendar.academicYear,
+        calendarId: calendar._id
+      }
+    : null;
+}
+
+/**
+ * Working days between two dates (inclusive) for a program / semester.
+ * Days not covered by any calendar are not counted.
+ * @returns {Promise<{ workingDays: string[], nonWorkingDays: Array, calendarsUsed: number }>}
+ */
+async function listWorkingDays(stream, semester, from, to) {
+  const start = toDay(from);
+  const end = toDay(to);
+
+  const calendars = await AcademicCalendar.find({
+    stream: { $in: [stream, null] },
+    isActive: true,
+    startDate: { $lte: end },
+    endDate: { $gte: start }
+  }).lean();
+
+  const workingDays = [];
+  const nonWorkingDays = [];
+  const used = new Set();
+
+  for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+    const day = new Date(time);
+    const inRange = calendars.filter(c => toDay(c.startDate) <= day && day <= toDay(c.endDate));
+    const calendar = inRange.find(c => c.stream === stream) || inRange.find(c => c.stream === null);
+    if (!calendar) continue;
+
+    used.add(String(calendar._id));
+    const result = classifyDay(calendar, day, semester);
+    if (result.working) workingDays.push(result.date);
+    else nonWorkingDays.push({ date: result.date, status: result.status, reason: result.reason });
+  }
+
+  return { workingDays, nonWorkingDays, calendarsUsed: used.size };
+}
+
+module.exports = {
+  DAY_STATUS,
+  toDay,
+  classifyDay,
+  checkAttendanceDate,
+  findTerm,
+  listWorkingDays
+};
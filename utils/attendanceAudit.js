@@ -0,0 +1,95 @@
+// utils/attendanceAudit.js
+// ✅ Writes the append-only attendance audit log (models/AttendanceAudit.js): one entry per
+// session changed, with before / after snapshots and the students added, removed or given a
+// different status.
+
+const AttendanceAudit = require('../models/AttendanceAudit');
+const { getRecordPeriod, getStatusMap, getStudentStatus } = require('./attendanceStore');
+const { ATTENDANCE_STATUS } = require('../config/attendancePolicy');
+
+const toSnapshot = (record) => ({
+  studentsPresent: [...((record && record.studentsPresent) || [])],
+  studentStatuses: ((record && record.studentStatuses) || []).map(({ studentID, status, source, leaveId }) => ({
+    studentID,
+    status,
+    source: source || 'manual',
+    leaveId: leaveId || null
+  }))
+});
+
+const userInfo = (user) => (user ? { uid: user.uid, name: user.name || null, email: user.email || null } : null);
+
+/**
+ * Students added to / removed from the present list, and status changes other than plain
+ * present ↔ absent (late, on duty, medical leave, excused).
+ * @param {object|null} before  record or snapshot before the change
+ * @param {object} after        record or snapshot after the change
+ */
+function diffAttendance(before, after) {
+  const beforePresent = new Set((before && before.studentsPresent) || []);
+  const afterPresent = new Set(after.studentsPresent || []);
+
+  const beforeStatuses = getStatusMap(before || {});
+  const afterStatuses = getStatusMap(after);
+  const plain = [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.ABSENT];
+  const statusChanges = [];
+
+  new Set([...beforeStatuses.keys(), ...afterStatuses.keys()]).forEach(studentID => {
+    const from = getStudentStatus(beforeStatuses, studentID);
+    const to = getStudentStatus(afterStatuses, studentID);
+    if (from !== to && !(plain.includes(from) && plain.includes(to))) {
+      statusChanges.push({ studentID, from, to });
+    }
+  });
+
+  return {
+    added: [...afterPresent].filter(id => !beforePresent.has(id)),
+    removed: [...beforePresent].filter(id => !afterPresent.has(id)),
+    statusChanges
+  };
+}
+
+/**
+ * Appends one audit entry for a saved attendance record.
+ * Nothing is written when an update left the session unchanged.
+ * @param {object} options
+ * @param {object|null} options.before  the record before the change (null when it was created)
+ * @param {object} options.after        the saved record
+ * @param {string} options.source       route or process, e.g. "POST /update-attendance"
+ * @param {object} [options.user]       req.user
+ * @param {string} [options.action]     defaults to create / update from `before`
+ * @param {*} [options.restoredFrom]    audit entry id when restoring
+ * @param {object} [options.session]    mongoose session of the surrounding transaction
+ */
+async function recordAttendanceChange({ before, after, source, user, action, restoredFrom = null, session }) {
+  const diff = diffAttendance(before, after);
+  const resolvedAction = action || (before ? 'update' : 'create');
+
+  if (resolvedAction === 'update' && diff.added.length === 0 && diff.removed.length === 0 && diff.statusChanges.length === 0) {
+    return null;
+  }
+
+  const [entry] = await AttendanceAudit.create([{
+    recordId: after._id,
+    stream: after.stream,
+    semester: after.semester,
+    subject: after.subject,
+    date: after.date,
+    period: getRecordPeriod(after),
+    action: resolvedAction,
+    source,
+    changedBy: userInfo(user),
+    before: before ? toSnapshot(before) : null,
+    after: toSnapshot(after),
+    ...diff,
+    restoredFrom
+  }], session ? { session } : undefined);
+
+  return entry;
+}
+
+module.exports = {
+  toSnapshot,
+  diffAttendance,
+  recordAttendanceChange
+};
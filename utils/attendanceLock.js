@@ -0,0 +1,34 @@
+// utils/attendanceLock.js
+// ✅ Edit lock window: a session can be edited by teachers until editLockHours (program
+// attendance policy) after the end of its class day. Later edits become change requests
+// (models/AttendanceChangeRequest.js) that an admin approves or rejects.
+
+const { toDateKey, endOfCollegeDay } = require('./dateKeys');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// When a session of this date ("YYYY-MM-DD" or Date) locks: editLockHours after midnight ending
+// the class day in the college timezone; null when the policy never locks
+function getLockTime(date, policy) {
+  const hours = policy && policy.editLockHours;
+  if (!hours) return null;
+
+  return new Date(endOfCollegeDay(toDateKey(date)).getTime() + hours * HOUR_MS);
+}
+
+/**
+ * @returns {{ locked: boolean, locksAt: Date|null }}
+ */
+function getSessionLock(date, policy, now = new Date()) {
+  const locksAt = getLockTime(date, policy);
+  return { locked: !!locksAt && now >= locksAt, locksAt };
+}
+
+// Admins approve change requests, so their own edits are not held back by the lock
+const canEditLocked = (user) => !!user && user.role === 'admin';
+
+module.exports = {
+  getLockTime,
+  getSessionLock,
+  canEditLocked
+};
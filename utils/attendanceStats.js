@@ -0,0 +1,288 @@
+// utils/attendanceStats.js
+// ✅ Per-student, per-subject attendance computed from the unified attendance collection.
+// Language subjects only count for students who chose that language, so a KANNADA
+// student is never counted absent in HINDI. Late / on-duty / leave statuses count as the
+// program's attendance policy says (config/attendancePolicy.js).
+
+const { findClassAttendance, getStatusMap, getStudentStatus } = require('./attendanceStore');
+const { findProgram } = require('./programRegistry');
+const { resolveAttendancePolicy, getStatusTreatment } = require('../config/attendancePolicy');
+const { listWorkingDays } = require('./academicCalendar');
+const { isDateKey, dateFromKey, toDateKey } = require('./dateKeys');
+
+// Used to bound a semester whose start date is unknown (see getSemesterWindows)
+const SEMESTER_LENGTH_MS = 183 * 24 * 60 * 60 * 1000;
+
+// Does this subject apply to this student? (core subjects apply to everyone)
+function isSubjectApplicable(subject, student) {
+  if (!subject.isLanguageSubject || !subject.languageType) return true;
+  return (student.languageSubject || '').toUpperCase() === subject.languageType.toUpperCase();
+}
+
+const policyForStream = (stream) => resolveAttendancePolicy(findProgram(stream, { includeInactive: true }));
+
+// Adds one class to attended / total / excluded according to the student's status
+function tallySession(stats, status, policy) {
+  const treatment = getStatusTreatment(status, policy);
+  if (treatment === 'excluded') {
+    stats.excluded++;
+    return;
+  }
+  stats.total++;
+  if (treatment === 'attended') stats.attended++;
+}
+
+const toSubjectStats = ({ attended, total, excluded }) => ({
+  attended,
+  total,
+  absent: total - attended,
+  excluded,
+  percentage: toPercentage(attended, total)
+});
+
+// ✅ Parses optional ?from=YYYY-MM-DD&to=YYYY-MM-DD into a Mongo date filter
+function parseDateRange({ from, to } = {}) {
+  const errors = [];
+  const range = {};
+
+  if (from) {
+    if (!isDateKey(from)) {
+      errors.push(`Invalid "from" date: ${from}. Use YYYY-MM-DD`);
+    } else {
+      range.$gte = dateFromKey(from);
+    }
+  }
+
+  if (to) {
+    if (!isDateKey(to)) {
+      errors.push(`Invalid "to" date: ${to}. Use YYYY-MM-DD`);
+    } else {
+      range.$lte = dateFromKey(to);
+    }
+  }
+
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    errors.push(`"from" (${from}) must be on or before "to" (${to})`);
+  }
+
+  return {
+    errors,
+    filter: Object.keys(range).length > 0 ? { date: range } : {},
+    from: from || null,
+    to: to || null
+  };
+}
+
+const toPercentage = (attended, total) =>
+  total > 0 ? parseFloat(((attended / total) * 100).toFixed(1)) : 0;
+
+/**
+ * Builds attended / total / percentage for every student in every applicable subject.
+ * @param {object} options
+ * @param {string} options.stream
+ * @param {number|string} options.sem
+ * @param {Array} options.students  lean student docs (studentID, name, languageSubject)
+ * @param {Array} options.subjects  lean subject docs (subjectName, isLanguageSubject, languageType)
+ * @param {object} [options.dateFilter]  result of parseDateRange().filter
+ * @param {object} [options.policy]  resolved attendance policy, defaults to the stream's program policy
+ * @returns {Promise<{ students: Array, sessionsBySubject: object, totalRecords: number }>}
+ */
+async function buildStudentSubjectAttendance({ stream, sem, students, subjects, dateFilter = {}, policy }) {
+  const attendancePolicy = policy || policyForStream(stream);
+  const records = await findClassAttendance(
+    stream, sem,
+    { ...dateFilter, date: { $lte: new Date(), ...(dateFilter.date || {}) } },
+    { subject: 1, date: 1, studentsPresent: 1, studentStatuses: 1 }
+  ).lean();
+
+  // subject → list of status maps, one per recorded class
+  const sessionsBySubject = {};
+  records.forEach(record => {
+    if (!sessionsBySubject[record.subject]) sessionsBySubject[record.subject] = [];
+    sessionsBySubject[record.subject].push(getStatusMap(record));
+  });
+
+  const studentRows = students.map(student => {
+    const subjectStats = {};
+
+    subjects.forEach(subject => {
+      if (!isSubjectApplicable(subject, student)) return;
+
+      const sessions = sessionsBySubject[subject.subjectName.toUpperCase()] || [];
+      const stats = { attended: 0, total: 0, excluded: 0 };
+      sessions.forEach(statuses => tallySession(stats, getStudentStatus(statuses, student.studentID), attendancePolicy));
+
+      subjectStats[subject.subjectName] = toSubjectStats(stats);
+    });
+
+    return {
+      studentID: student.studentID,
+      name: student.name,
+      languageSubject: student.languageSubject || null,
+      subjects: subjectStats
+    };
+  });
+
+  return {
+    students: studentRows,
+    sessionsBySubject: Object.fromEntries(
+      Object.entries(sessionsBySubject).map(([subject, sessions]) => [subject, sessions.length])
+    ),
+    totalRecords: records.length
+  };
+}
+
+/**
+ * Day-wise attendance over the academic calendar's working days (holidays, exam blocks and
+ * weekly offs are not in the denominator). A student attended a working day if they attended
+ * any class that day; a day with only excluded statuses (e.g. medical leave) leaves the
+ * denominator, and a working day with no class marked counts as absent.
+ * @param {object} options
+ * @param {string} options.stream
+ * @param {number|string} options.sem
+ * @param {Array} options.students  lean student docs (studentID, name)
+ * @param {string} options.from  YYYY-MM-DD
+ * @param {string} options.to  YYYY-MM-DD
+ * @param {object} [options.policy]  resolved attendance policy, defaults to the stream's program policy
+ * @returns {Promise<{ workingDays: number, nonWorkingDays: Array, calendarsUsed: number, byStudent: object }>}
+ */
+async function buildWorkingDayAttendance({ stream, sem, students, from, to, policy }) {
+  const attendancePolicy = policy || policyForStream(stream);
+  const { workingDays, nonWorkingDays, calendarsUsed } = await listWorkingDays(stream, parseInt(sem), from, to);
+
+  const records = workingDays.length === 0 ? [] : await findClassAttendance(
+    stream, sem,
+    { date: { $in: workingDays.map(dateFromKey) } },
+    { date: 1, studentsPresent: 1, studentStatuses: 1 }
+  ).lean();
+
+  // working day → status maps of the classes marked that day
+  const sessionsByDay = {};
+  records.forEach(record => {
+    const day = toDateKey(record.date);
+    if (!sessionsByDay[day]) sessionsByDay[day] = [];
+    sessionsByDay[day].push(getStatusMap(record));
+  });
+
+  const byStudent = {};
+  students.forEach(student => {
+    const stats = { attended: 0, total: 0, excluded: 0 };
+
+    workingDays.forEach(day => {
+      const treatments = (sessionsByDay[day] || []).map(statuses =>
+        getStatusTreatment(getStudentStatus(statuses, student.studentID), attendancePolicy)
+      );
+
+      if (treatments.includes('attended')) {
+        stats.attended++;
+        stats.total++;
+      } else if (treatments.length > 0 && treatments.every(treatment => treatment === 'excluded')) {
+        stats.excluded++;
+      } else {
+        stats.total++;
+      }
+    });
+
+    byStudent[student.studentID] = {
+      daysPresent: stats.attended,
+      workingDays: stats.total,
+      daysAbsent: stats.total - stats.attended,
+      daysExcluded: stats.excluded,
+      percentage: toPercentage(stats.attended, stats.total)
+    };
+  });
+
+  return { workingDays: workingDays.length, nonWorkingDays, calendarsUsed, byStudent };
+}
+
+// ✅ The time windows a student spent in each semester, reconstructed from migrationHistory.
+// A repeated (detained) semester yields two windows. When the start of the first window is
+// unknown it is bounded to one semester before it ended, so earlier batches' classes in the
+// same semester are not counted against the student.
+function getSemesterWindows({ migrationHistory = [], finalSemester, enrolledAt = null, leftAt = new Date() }) {
+  const moves = migrationHistory
+    .filter(h => h && h.migratedDate && h.fromSemester != null && h.toSemester != null)
+    .map(h => ({ from: h.fromSemester, to: h.toSemester, at: new Date(h.migratedDate) }))
+    .sort((a, b) => a.at - b.at);
+
+  const windows = [];
+  let semester = moves.length > 0 ? moves[0].from : finalSemester;
+  let start = enrolledAt ? new Date(enrolledAt) : null;
+
+  moves.forEach(move => {
+    windows.push({ semester, from: start, to: move.at });
+    semester = move.to;
+    start = move.at;
+  });
+  windows.push({ semester, from: start, to: new Date(leftAt) });
+
+  return windows.map(w => ({
+    ...w,
+    from: w.from || new Date(w.to.getTime() - SEMESTER_LENGTH_MS)
+  }));
+}
+
+/**
+ * Semester-by-semester attendance for one student across the unified attendance collection.
+ * @param {object} options
+ * @param {string} options.stream
+ * @param {string} options.studentID
+ * @param {string|null} options.languageSubject  only that language's classes are counted
+ * @param {Array} options.windows  result of getSemesterWindows()
+ * @param {object} [options.policy]  resolved attendance policy, defaults to the stream's program policy
+ */
+async function buildStudentAttendanceHistory({ stream, studentID, languageSubject = null, windows, policy }) {
+  const attendancePolicy = policy || policyForStream(stream);
+  const semesters = [];
+
+  for (const window of windows) {
+    const records = await findClassAttendance(
+      stream, window.semester,
+      { date: { $gte: window.from, $lte: window.to } },
+      { subject: 1, date: 1, studentsPresent: 1, studentStatuses: 1, isLanguageSubject: 1, languageType: 1 }
+    ).lean();
+
+    const bySubject = {};
+    records
+      .filter(record => isSubjectApplicable(record, { languageSubject }))
+      .forEach(record => {
+        const stats = bySubject[record.subject] || (bySubject[record.subject] = { attended: 0, total: 0, excluded: 0 });
+        tallySession(stats, getStudentStatus(getStatusMap(record), studentID), attendancePolicy);
+      });
+
+    const subjects = Object.entries(bySubject)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([subject, stats]) => ({ subject, ...toSubjectStats(stats) }));
+
+    const attended = subjects.reduce((sum, s) => sum + s.attended, 0);
+    const total = subjects.reduce((sum, s) => sum + s.total, 0);
+
+    semesters.push({
+      semester: window.semester,
+      from: window.from,
+      to: window.to,
+      attended,
+      total,
+      percentage: toPercentage(attended, total),
+      subjects
+    });
+  }
+
+  const attended = semesters.reduce((sum, s) => sum + s.attended, 0);
+  const total = semesters.reduce((sum, s) => sum + s.total, 0);
+
+  return {
+    semesters,
+    overall: { attended, total, absent: total - attended, percentage: toPercentage(attended, total) }
+  };
+}
+
+module.exports = {
+  isSubjectApplicable,
+  parseDateRange,
+  toPercentage,
+  buildStudentSubjectAttendance,
+  buildWorkingDayAttendance,
+  getSemesterWindows,
+  buildStudentAttendanceHistory
+};
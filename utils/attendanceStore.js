@@ -0,0 +1,214 @@
+// utils/attendanceStore.js
+// ✅ Compatibility layer over the unified attendance collection (models/Attendance.js).
+// getAttendanceModel(stream, sem, subject) keeps the old per-subject model API
+// (find / findOne / findOneAndUpdate / countDocuments / aggregate) but scopes every
+// call to one stream + semester + subject inside the single "attendance_records" collection.
+
+const AttendanceRecord = require('../models/Attendance');
+const { ATTENDANCE_STATUS } = require('../config/attendancePolicy');
+const { toDateKey } = require('./dateKeys');
+
+// Normalized key fields shared by every record of a class
+function getClassScope(stream, sem) {
+  if (!stream || !sem) {
+    throw new Error("Stream and semester are required for attendance scope");
+  }
+
+  const semester = parseInt(sem);
+  if (isNaN(semester)) {
+    throw new Error(`Invalid semester: ${sem}`);
+  }
+
+  return {
+    stream: stream.toString().trim().toUpperCase(),
+    semester
+  };
+}
+
+function getAttendanceScope(stream, sem, subject) {
+  if (!stream || !sem || !subject) {
+    throw new Error("Stream, semester, and subject are required for attendance model");
+  }
+
+  const subjectKey = subject.toString().trim().toUpperCase();
+  if (!subjectKey) {
+    throw new Error(`Invalid subject name: ${subject}`);
+  }
+
+  return {
+    ...getClassScope(stream, sem),
+    subject: subjectKey
+  };
+}
+
+// Scope fields always win over caller-supplied values so records stay keyed consistently
+const scopeFilter = (scope, filter = {}) => ({ ...filter, ...scope });
+
+const scopeUpdate = (scope, update = {}) => {
+  const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+
+  if (!hasOperators) {
+    return { $set: { ...update, ...scope } };
+  }
+
+  return {
+    ...update,
+    $set: { ...(update.$set || {}), ...scope }
+  };
+};
+
+// ✅ Periods: a subject can meet more than once a day (labs, double periods), so the
+// period number is part of the record key. Records saved before periods existed have
+// no period field and count as period 1.
+const DEFAULT_PERIOD = 1;
+const MAX_PERIOD = 12;
+const SESSION_KEY_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:#P(\d{1,2}))?$/;
+
+// Returns the period number, DEFAULT_PERIOD when none was given, or null when invalid
+function parsePeriod(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_PERIOD;
+
+  const period = Number(value);
+  return Number.isInteger(period) && period >= 1 && period <= MAX_PERIOD ? period : null;
+}
+
+// Filter for one period; period 1 also matches records saved without a period
+const periodFilter = (period = DEFAULT_PERIOD) => ({
+  period: period === DEFAULT_PERIOD ? { $in: [DEFAULT_PERIOD, null] } : period
+});
+
+const getRecordPeriod = (record) => record.period || DEFAULT_PERIOD;
+
+// Register column key: "YYYY-MM-DD" for period 1, "YYYY-MM-DD#P2" for later periods,
+// so single-period days keep their old keys and columns sort by date, then period
+function toSessionKey(date, period = DEFAULT_PERIOD) {
+  const dateKey = toDateKey(date);
+  return period > DEFAULT_PERIOD ? `${dateKey}#P${period}` : dateKey;
+}
+
+// "YYYY-MM-DD" / "YYYY-MM-DD#P2" → { date, period }, or null when malformed
+function parseSessionKey(key) {
+  const match = SESSION_KEY_PATTERN.exec(String(key).trim());
+  if (!match) return null;
+
+  const period = parsePeriod(match[2]);
+  return period === null ? null : { date: match[1], period };
+}
+
+// ✅ studentID → status for everyone the record mentions; anyone missing is absent
+function getStatusMap(record) {
+  const statuses = new Map();
+  (record.studentsPresent || []).forEach(id => statuses.set(id, ATTENDANCE_STATUS.PRESENT));
+
+  (record.studentStatuses || []).forEach(({ studentID, status }) => {
+    const isPresent = statuses.get(studentID) === ATTENDANCE_STATUS.PRESENT;
+    // "late" only applies to present students; leave statuses only to students not present
+    if ((status === ATTENDANCE_STATUS.LATE) === isPresent) statuses.set(studentID, status);
+  });
+
+  return statuses;
+}
+
+// Optimistic-concurrency version of a record (0 for records that predate versioning)
+const getRecordVersion = (record) => (record && record.version) || 0;
+
+const getStudentStatus = (statusMap, studentID) => statusMap.get(studentID) || ATTENDANCE_STATUS.ABSENT;
+
+/**
+ * One entry per recorded session of the day ("MATHS (P2)" when a subject met more than once),
+ * plus an entry with hasAttendance: false for each subject not yet marked.
+ * @param {Array} subjects    lean subject docs (subjectName, isLanguageSubject, languageType)
+ * @param {Array} dayRecords  lean attendance records of one class and date
+ */
+function groupDaySessions(subjects, dayRecords) {
+  const sessions = [];
+
+  subjects.forEach(subject => {
+    const subjectKey = subject.subjectName.toUpperCase();
+    const records = dayRecords
+      .filter(record => record.subject === subjectKey)
+      .sort((a, b) => getRecordPeriod(a) - getRecordPeriod(b));
+
+    const base = {
+      subjectName: subject.subjectName,
+      isLanguageSubject: subject.isLanguageSubject || false,
+      languageType: subject.languageType || null
+    };
+
+    if (records.length === 0) {
+      sessions.push({ ...base, subject: subject.subjectName, period: null, studentsPresent: [], statuses: new Map(), hasAttendance: false, record: null });
+      return;
+    }
+
+    records.forEach(record => {
+      const period = getRecordPeriod(record);
+      sessions.push({
+        ...base,
+        subject: records.length > 1 || period > DEFAULT_PERIOD ? `${subject.subjectName} (P${period})` : subject.subjectName,
+        period,
+        studentsPresent: record.studentsPresent || [],
+        statuses: getStatusMap(record),
+        hasAttendance: true,
+        record
+      });
+    });
+  });
+
+  return sessions;
+}
+
+// ✅ Scoped, model-like facade for one subject's attendance
+function getAttendanceModel(stream, sem, subject) {
+  const scope = getAttendanceScope(stream, sem, subject);
+
+  return {
+    scope,
+    collection: AttendanceRecord.collection,
+    model: AttendanceRecord,
+
+    find: (filter, projection, options) =>
+      AttendanceRecord.find(scopeFilter(scope, filter), projection, options),
+
+    findOne: (filter, projection, options) =>
+      AttendanceRecord.findOne(scopeFilter(scope, filter), projection, options),
+
+    findOneAndUpdate: (filter, update, options) =>
+      AttendanceRecord.findOneAndUpdate(scopeFilter(scope, filter), scopeUpdate(scope, update), options),
+
+    updateOne: (filter, update, options) =>
+      AttendanceRecord.updateOne(scopeFilter(scope, filter), scopeUpdate(scope, update), options),
+
+    deleteOne: (filter, options) =>
+      AttendanceRecord.deleteOne(scopeFilter(scope, filter), options),
+
+    countDocuments: (filter) =>
+      AttendanceRecord.countDocuments(scopeFilter(scope, filter)),
+
+    aggregate: (pipeline = []) =>
+      AttendanceRecord.aggregate([{ $match: scope }, ...pipeline])
+  };
+}
+
+// ✅ All subjects' records for one class (optionally one date) in a single query
+function findClassAttendance(stream, sem, filter = {}, projection) {
+  return AttendanceRecord.find(scopeFilter(getClassScope(stream, sem), filter), projection);
+}
+
+module.exports = {
+  AttendanceRecord,
+  DEFAULT_PERIOD,
+  MAX_PERIOD,
+  getAttendanceModel,
+  getAttendanceScope,
+  getClassScope,
+  findClassAttendance,
+  parsePeriod,
+  periodFilter,
+  getRecordPeriod,
+  toSessionKey,
+  parseSessionKey,
+  getStatusMap,
+  getStudentStatus,
+  getRecordVersion,
+  groupDaySessions
+};
@@ -0,0 +1,150 @@
+// utils/checkIn.js
+// ✅ QR self check-in (models/CheckInSession.js): rotating signed tokens and the roster of
+// students who may check in.
+//
+// A token is "<sessionId>.<window>.<signature>": window counts CHECKIN_TOKEN_SECONDS periods
+// since the epoch and the signature is an HMAC of both with the session's own secret. The
+// classroom screen fetches a new token every window; a token is accepted during its own window
+// and the next one (time to scan), so a photo of the QR code stops working within seconds.
+//
+// The student page gets a device cookie when it reads the token, and each device can check in
+// one student per session, so a student holding the code cannot check in absent classmates.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getCollectionName } = require('./programRegistry');
+const { toDateKey } = require('./dateKeys');
+
+const CHECKIN_TOKEN_SECONDS = parseInt(process.env.CHECKIN_TOKEN_SECONDS) || 20;
+// Check-in submissions allowed per IP address per minute (a whole class may share the campus IP)
+const CHECKIN_RATE_LIMIT = parseInt(process.env.CHECKIN_RATE_LIMIT) || 60;
+const DEVICE_COOKIE = 'checkin_device';
+const DEVICE_ID_PATTERN = /^[a-f0-9]{32}$/;
+const DEFAULT_SESSION_MINUTES = 10;
+const MAX_SESSION_MINUTES = 30;
+const SIGNATURE_LENGTH = 22;
+const TOKEN_PATTERN = /^([a-f0-9]{24})\.(\d{1,12})\.([A-Za-z0-9_-]{22})$/;
+
+const newSessionSecret = () => crypto.randomBytes(32).toString('hex');
+const newDeviceId = () => crypto.randomBytes(16).toString('hex');
+
+// The check-in device cookie of a request, or null when missing or malformed
+function readDeviceId(req) {
+  const cookie = (req.get('Cookie') || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([name]) => name === DEVICE_COOKIE);
+  return cookie && DEVICE_ID_PATTERN.test(cookie[1]) ? cookie[1] : null;
+}
+
+const tokenWindow = (session, now = new Date()) =>
+  Math.floor(now.getTime() / (session.tokenSeconds * 1000));
+
+const sign = (secret, sessionId, window) =>
+  crypto.createHmac('sha256', secret).update(`${sessionId}.${window}`).digest('base64url').slice(0, SIGNATURE_LENGTH);
+
+/**
+ * The token for the current window of an open session (session must include its secret).
+ * @returns {{ token: string, window: number, rotatesAt: Date }}
+ */
+function issueToken(session, now = new Date()) {
+  const window = tokenWindow(session, now);
+  return {
+    token: `${session._id}.${window}.${sign(session.secret, String(session._id), window)}`,
+    window,
+    rotatesAt: new Date((window + 1) * session.tokenSeconds * 1000)
+  };
+}
+
+// "<sessionId>.<window>.<signature>" → parts, or null when malformed
+function parseToken(token) {
+  const match = TOKEN_PATTERN.exec(String(token || '').trim());
+  return match ? { sessionId: match[1], window: Number(match[2]), signature: match[3] } : null;
+}
+
+/**
+ * Checks a parsed token against its session (loaded with its secret).
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function checkToken(session, parsed, now = new Date()) {
+  const expected = Buffer.from(sign(session.secret, String(session._id), parsed.window));
+  const given = Buffer.from(parsed.signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { valid: false, error: 'INVALID_TOKEN' };
+  }
+
+  const current = tokenWindow(session, now);
+  if (parsed.window > current) return { valid: false, error: 'INVALID_TOKEN' };
+  if (parsed.window < current - 1) return { valid: false, error: 'TOKEN_EXPIRED' };
+
+  return { valid: true };
+}
+
+/**
+ * Students of a class who take a subject: everyone active, or only the language group for a
+ * language subject. Read straight from the class collections, like routes/leave.js.
+ * @returns {Promise<{ subject: object|null, roster: Array<{ studentID: string, name: string }> }>}
+ */
+async function buildCheckInRoster(stream, semester, subjectName) {
+  const db = mongoose.connection;
+  const subject = await db
+    .collection(getCollectionName(stream, semester, 'subjects'))
+    .findOne({ subjectName: subjectName.toString().trim().toUpperCase(), isActive: { $ne: false } });
+
+  if (!subject) return { subject: null, roster: [] };
+
+  const filter = { isActive: { $ne: false } };
+  if (subject.isLanguageSubject && subject.languageType) {
+    filter.languageSubject = subject.languageType.toUpperCase();
+  }
+
+  const students = await db
+    .collection(getCollectionName(stream, semester, 'students'))
+    .find(filter, { projection: { studentID: 1, name: 1 } })
+    .sort({ studentID: 1 })
+    .toArray();
+
+  return {
+    subject,
+    roster: students.map(({ studentID, name }) => ({ studentID: String(studentID), name: name || null }))
+  };
+}
+
+// What the teacher's screen shows for a session (never includes the secret)
+const describeCheckInSession = (session) => ({
+  id: session._id,
+  stream: session.stream,
+  semester: session.semester,
+  subject: session.subject,
+  date: toDateKey(session.date),
+  period: session.period,
+  queueClassId: session.queueClassId,
+  status: session.status,
+  tokenSeconds: session.tokenSeconds,
+  expiresAt: session.expiresAt,
+  acceptingCheckIns: session.status === 'open' && new Date() < new Date(session.expiresAt),
+  rosterSize: (session.roster || []).length,
+  checkedInCount: (session.checkIns || []).length,
+  openedBy: session.openedBy,
+  closedBy: session.closedBy || null,
+  closedAt: session.closedAt || null,
+  recordId: session.recordId || null,
+  changeRequest: session.changeRequest || null
+});
+
+module.exports = {
+  CHECKIN_TOKEN_SECONDS,
+  CHECKIN_RATE_LIMIT,
+  DEVICE_COOKIE,
+  DEFAULT_SESSION_MINUTES,
+  MAX_SESSION_MINUTES,
+  newSessionSecret,
+  newDeviceId,
+  readDeviceId,
+  tokenWindow,
+  issueToken,
+  parseToken,
+  checkToken,
+  buildCheckInRoster,
+  describeCheckInSession
+};
@@ -0,0 +1,114 @@
+// utils/dateKeys.js
+// ✅ Class-day dates in the college's timezone (COLLEGE_TIMEZONE, default Asia/Kolkata).
+// A class day is identified by its "YYYY-MM-DD" date key:
+//   - Date fields (attendance, leave, calendar) store it as UTC midnight of that date
+//   - string fields (MessageLog.date) store the key itself
+// Timestamps ("now", markedAt, a client's full ISO string) are converted to the day they fall
+// on in the college's timezone, so a roll call taken at 00:30 IST counts for that IST day and
+// not the previous UTC one.
+
+const COLLEGE_TIMEZONE = process.env.COLLEGE_TIMEZONE || 'Asia/Kolkata';
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const partsFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: COLLEGE_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+const collegeParts = (instant) => Object.fromEntries(
+  partsFormatter.formatToParts(instant).map(({ type, value }) => [type, value])
+);
+
+// The stored Date of a date key: UTC midnight of that date
+const dateFromKey = (key) => new Date(`${key}T00:00:00.000Z`);
+
+// A real calendar date in "YYYY-MM-DD" form (rejects "2024-02-30")
+const isDateKey = (value) =>
+  typeof value === 'string' && DATE_KEY_PATTERN.test(value) && !isNaN(dateFromKey(value).getTime()) &&
+  dateFromKey(value).toISOString().slice(0, 10) === value;
+
+// The college-timezone date key of an instant
+function collegeDateKey(instant = new Date()) {
+  const { year, month, day } = collegeParts(instant);
+  return `${year}-${month}-${day}`;
+}
+
+const todayKey = (now = new Date()) => collegeDateKey(now);
+
+// Stored days are UTC midnight; any other instant is a timestamp in the college's day
+const isStoredDay = (date) => date.getTime() % DAY_MS === 0;
+
+/**
+ * The date key of anything the routes receive or read back:
+ *   "YYYY-MM-DD"                as is
+ *   a stored day (UTC midnight)  its date
+ *   any other Date / timestamp   the college-timezone day it falls on
+ * @returns {string|null} null when the value is not a date
+ */
+function toDateKey(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (DATE_KEY_PATTERN.test(trimmed)) return isDateKey(trimmed) ? trimmed : null;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return isStoredDay(date) ? date.toISOString().slice(0, 10) : collegeDateKey(date);
+}
+
+// The Date to store for a day, or null when the value is not a date
+function toStoredDate(value) {
+  const key = toDateKey(value);
+  return key ? dateFromKey(key) : null;
+}
+
+function addDays(key, days) {
+  return new Date(dateFromKey(key).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Offset of the college timezone from UTC at an instant, in ms (+05:30 → 19800000)
+function collegeOffsetMs(instant) {
+  const { year, month, day, hour, minute, second } = collegeParts(instant);
+  const asUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The instant a college day starts (00:00 college time), e.g. "2024-07-02" → 2024-07-01T18:30:00Z
+function startOfCollegeDay(key) {
+  const midnightUtc = dateFromKey(key).getTime();
+  const guess = midnightUtc - collegeOffsetMs(new Date(midnightUtc));
+  return new Date(midnightUtc - collegeOffsetMs(new Date(guess)));
+}
+
+// The instant a college day ends (00:00 college time the next day)
+const endOfCollegeDay = (key) => startOfCollegeDay(addDays(key, 1));
+
+// en-IN display of a date key, independent of the server's own timezone
+function formatDateKey(key, options = { day: '2-digit', month: '2-digit', year: 'numeric' }) {
+  return dateFromKey(key).toLocaleDateString('en-IN', { ...options, timeZone: 'UTC' });
+}
+
+module.exports = {
+  COLLEGE_TIMEZONE,
+  DATE_KEY_PATTERN,
+  isDateKey,
+  dateFromKey,
+  collegeDateKey,
+  todayKey,
+  toDateKey,
+  toStoredDate,
+  addDays,
+  startOfCollegeDay,
+  endOfCollegeDay,
+  formatDateKey
+};
@@ -0,0 +1,187 @@
+// utils/eligibility.js
+// ✅ Attendance shortage (defaulter) engine: per-student, per-subject attendance checked
+// against the program's eligibility policy, with condonation decisions applied on top.
+
+const Condonation = require('../models/Condonation');
+const { buildStudentSubjectAttendance } = require('./attendanceStats');
+const { findTerm } = require('./academicCalendar');
+const { dateFromKey, toDateKey, todayKey } = require('./dateKeys');
+const {
+  ELIGIBILITY,
+  getAttendanceStatus,
+  resolveAttendancePolicy,
+  classifyEligibility
+} = require('../config/attendancePolicy');
+
+const currentAcademicYear = () => new Date().getFullYear().toString();
+
+// Day the current batch entered the semester: the promotion day most of the class shares
+// (detained students keep an older date, late admissions a newer one); the later day wins a tie
+function batchStartKey(students) {
+  const counts = new Map();
+  students.forEach(s => {
+    const key = s.addedToSemesterDate ? toDateKey(s.addedToSemesterDate) : null;
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  let best = null;
+  counts.forEach((count, key) => {
+    if (!best || count > best.count || (count === best.count && key > best.key)) best = { key, count };
+  });
+  return best ? best.key : null;
+}
+
+// The window for today before stored decisions are considered: the academic calendar term, else
+// the batch's start in the semester, else the calendar year
+async function deriveTerm(program, semester, students, to) {
+  const term = await findTerm(program.code, semester, to);
+  if (term) {
+    return {
+      from: term.startDate,
+      term: term.name,
+      termId: `calendar:${term.calendarId}:${term.name}`,
+      academicYear: `${term.academicYear} ${term.name}`
+    };
+  }
+
+  const batchStart = batchStartKey(students);
+  if (batchStart && batchStart <= to) {
+    return {
+      from: batchStart,
+      term: null,
+      termId: `batch:${program.code}:${semester}:${batchStart}`,
+      academicYear: `Semester ${semester} from ${batchStart}`
+    };
+  }
+
+  const from = `${to.slice(0, 4)}-01-01`;
+  return { from, term: null, termId: `year:${program.code}:${semester}:${from}`, academicYear: currentAcademicYear() };
+}
+
+/**
+ * The window eligibility is counted over when no range is given, and the term condonation
+ * decisions are keyed to: the academic calendar term covering today, else the current batch's
+ * start in the semester (students' addedToSemesterDate), else the calendar year.
+ * Once a decision has been recorded for the class inside the window, its stored termId is used
+ * instead of a newly derived one, so decisions keep applying when the batch's start shifts
+ * (late admissions, detained students) or a calendar term is added mid-semester.
+ * @param {object} options
+ * @param {object} options.program
+ * @param {number|string} options.sem
+ * @param {Array} options.students  the whole class (lean docs with addedToSemesterDate)
+ * @returns {Promise<{ from: string, to: string, term: string|null, termId: string, academicYear: string }>}
+ */
+async function resolveEligibilityTerm({ program, sem, students = [] }) {
+  const to = todayKey();
+  const semester = parseInt(sem);
+  const derived = await deriveTerm(program, semester, students, to);
+
+  const stored = await Condonation.findOne(
+    { stream: program.code, semester, termId: { $type: 'string' }, decidedAt: { $gte: dateFromKey(derived.from) } },
+    'termId academicYear'
+  ).sort({ decidedAt: -1 }).lean();
+
+  return stored
+    ? { ...derived, to, termId: stored.termId, academicYear: stored.academicYear }
+    : { ...derived, to };
+}
+
+// Consecutive classes a student must attend to climb back to the minimum
+function classesNeededToReach(attended, total, minimumPercentage) {
+  if (minimumPercentage >= 100) return attended === total ? 0 : null;
+  const needed = Math.ceil((minimumPercentage * total - 100 * attended) / (100 - minimumPercentage));
+  return Math.max(needed, 0);
+}
+
+function applyCondonation(baseStatus, condonation) {
+  if (baseStatus !== ELIGIBILITY.CONDONABLE || !condonation) return baseStatus;
+  return condonation.decision === 'approved' ? ELIGIBILITY.CONDONED : ELIGIBILITY.SHORTAGE;
+}
+
+const summarizeCondonation = (c) => c && {
+  id: c._id,
+  decision: c.decision,
+  reason: c.reason,
+  approvedBy: c.approvedBy,
+  decidedAt: c.decidedAt,
+  percentageAtDecision: c.percentageAtDecision
+};
+
+/**
+ * Eligibility for every student in a class.
+ * @param {object} options
+ * @param {object} options.program  registry program (attendancePolicy overrides are honoured)
+ * @param {number|string} options.sem
+ * @param {Array} options.students  lean student docs
+ * @param {Array} options.subjects  lean subject docs
+ * @param {object} [options.dateFilter]  result of parseDateRange().filter; without a start date
+ *                                       counting starts at the window's
+ * @param {string} [options.termId]  condonation term, defaults to the window's
+ * @param {object} [options.window]  resolveEligibilityTerm() result; pass the whole class's when
+ *                                   `students` is only part of it
+ */
+async function buildClassEligibility({ program, sem, students, subjects, dateFilter = {}, termId, window }) {
+  const policy = resolveAttendancePolicy(program);
+  const eligibilityWindow = window || await resolveEligibilityTerm({ program, sem, students });
+  const term = termId || eligibilityWindow.termId;
+
+  // Earlier batches' sessions of the same semester must not count against this one
+  const range = { ...(dateFilter.date || {}) };
+  if (!range.$gte) range.$gte = dateFromKey(eligibilityWindow.from);
+
+  const [{ students: attendanceRows }, condonations] = await Promise.all([
+    buildStudentSubjectAttendance({ stream: program.code, sem, students, subjects, dateFilter: { date: range }, policy }),
+    Condonation.findActiveForClass(program.code, sem, term)
+  ]);
+
+  const rows = attendanceRows.map(row => {
+    const subjectResults = {};
+    const shortageSubjects = [];
+    const condonableSubjects = [];
+
+    Object.entries(row.subjects).forEach(([subjectName, stats]) => {
+      const condonation = condonations.get(`${row.studentID}|${subjectName.toUpperCase()}`);
+      const baseStatus = stats.total > 0 ? classifyEligibility(stats.percentage, policy) : ELIGIBILITY.ELIGIBLE;
+      const eligibility = applyCondonation(baseStatus, condonation);
+
+      if (eligibility === ELIGIBILITY.SHORTAGE) shortageSubjects.push(subjectName);
+      if (eligibility === ELIGIBILITY.CONDONABLE) condonableSubjects.push(subjectName);
+
+      subjectResults[subjectName] = {
+        ...stats,
+        status: getAttendanceStatus(stats.percentage),
+        eligibility,
+        classesNeeded: eligibility === ELIGIBILITY.ELIGIBLE || eligibility === ELIGIBILITY.CONDONED
+          ? 0
+          : classesNeededToReach(stats.attended, stats.total, policy.minimumPercentage),
+        condonation: summarizeCondonation(condonation) || null
+      };
+    });
+
+    return {
+      studentID: row.studentID,
+      name: row.name,
+      languageSubject: row.languageSubject,
+      examEligible: shortageSubjects.length === 0 && condonableSubjects.length === 0,
+      pendingCondonation: shortageSubjects.length === 0 && condonableSubjects.length > 0,
+      shortageSubjects,
+      condonableSubjects,
+      subjects: subjectResults
+    };
+  });
+
+  return {
+    policy,
+    termId: term,
+    academicYear: term === eligibilityWindow.termId ? eligibilityWindow.academicYear : term,
+    window: eligibilityWindow,
+    students: rows
+  };
+}
+
+module.exports = {
+  currentAcademicYear,
+  resolveEligibilityTerm,
+  classesNeededToReach,
+  buildClassEligibility
+};
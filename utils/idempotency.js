@@ -0,0 +1,135 @@
+// utils/idempotency.js
+// ✅ Client idempotency keys: the first request with a key runs and its result is stored;
+// retries with the same key get that result back instead of running again.
+
+const crypto = require('crypto');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+
+const KEY_PATTERN = /^[A-Za-z0-9_:.-]{8,128}$/;
+// A request still pending after this long is assumed to have died with its process
+const PENDING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Key order does not matter: { a, b } and { b, a } hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashPayload = (payload) => {
+  const { idempotencyKey, ...rest } = payload || {};
+  return crypto.createHash('sha256').update(stableStringify(rest)).digest('hex');
+};
+
+/**
+ * Runs `execute` at most once per (user, key).
+ * Results with a 5xx status are not stored, so the client can retry them. A key left pending
+ * for longer than PENDING_TIMEOUT_MS (e.g. the server restarted mid-request) is taken over by
+ * the next retry.
+ * @param {object} options
+ * @param {string} [options.key]  no key → execute runs every time
+ * @param {object} options.user   req.user
+ * @param {string} options.scope  what the key is for, checked on replay
+ * @param {object} options.payload  request body the key was sent with
+ * @param {Function} execute  async () => ({ status, body })
+ * @returns {Promise<{ status: number, body: object, replayed: boolean }>}
+ */
+async function runIdempotent({ key, user, scope, payload }, execute) {
+  if (!key) {
+    return { ...(await execute()), replayed: false };
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'INVALID_IDEMPOTENCY_KEY',
+        message: 'Idempotency key must be 8-128 characters of letters, digits, "_", "-", ":" or "."'
+      },
+      replayed: false
+    };
+  }
+
+  const requestHash = hashPayload(payload);
+  let lockedAt = new Date();
+
+  try {
+    await IdempotencyRecord.create({ key, uid: user.uid, scope, requestHash, lockedAt });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await IdempotencyRecord.findOne({ uid: user.uid, key }).lean();
+
+    if (!existing || existing.scope !== scope || existing.requestHash !== requestHash) {
+      return {
+        status: 422,
+        body: {
+          success: false,
+          error: 'IDEMPOTENCY_KEY_REUSED',
+          message: 'This idempotency key was already used for a different submission'
+        },
+        replayed: false
+      };
+    }
+
+    if (existing.state === 'completed') {
+      return { status: existing.statusCode, body: existing.response, replayed: true };
+    }
+
+    // Pending: still running, unless its claim is older than the timeout. Only one retry wins
+    // the takeover of an abandoned key; the others still see it as in progress.
+    const claimedAt = existing.lockedAt || existing.createdAt;
+    const abandoned = Date.now() - new Date(claimedAt).getTime() > PENDING_TIMEOUT_MS;
+    lockedAt = new Date();
+
+    const takeover = abandoned && await IdempotencyRecord.updateOne(
+      { _id: existing._id, state: 'pending', lockedAt: existing.lockedAt || null },
+      { $set: { lockedAt } }
+    );
+
+    if (!takeover || takeover.modifiedCount === 0) {
+      return {
+        status: 409,
+        body: {
+          success: false,
+          error: 'REQUEST_IN_PROGRESS',
+          message: 'The original request with this idempotency key is still being processed. Retry shortly.'
+        },
+        replayed: false
+      };
+    }
+
+    console.warn(`⚠️ Idempotency key ${key} was left pending since ${new Date(claimedAt).toISOString()}; running it again`);
+  }
+
+  // Only the claim this request holds is released or completed (not one a retry took over)
+  const claim = { uid: user.uid, key, lockedAt };
+
+  let result;
+  try {
+    result = await execute();
+  } catch (error) {
+    await IdempotencyRecord.deleteOne(claim);
+    throw error;
+  }
+
+  if (result.status >= 500) {
+    await IdempotencyRecord.deleteOne(claim);
+  } else {
+    await IdempotencyRecord.updateOne(
+      claim,
+      { $set: { state: 'completed', statusCode: result.status, response: JSON.parse(JSON.stringify(result.body)) } }
+    );
+  }
+
+  return { ...result, replayed: false };
+}
+
+module.exports = {
+  PENDING_TIMEOUT_MS,
+  runIdempotent,
+  hashPayload
+};
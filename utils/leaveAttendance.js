@@ -0,0 +1,167 @@
+// utils/leaveAttendance.js
+// ✅ Per-student statuses on attendance records: merges a teacher's statuses with approved
+// leave when a class is marked, and applies / withdraws an approved leave on classes that
+// were already marked.
+
+const mongoose = require('mongoose');
+const { AttendanceRecord, getClassScope } = require('./attendanceStore');
+const { getCollectionName } = require('./programRegistry');
+const { ATTENDANCE_STATUS, RECORDED_STATUSES } = require('../config/attendancePolicy');
+const { recordAttendanceChange } = require('./attendanceAudit');
+
+const ACCEPTED_STATUSES = [ATTENDANCE_STATUS.PRESENT, ATTENDANCE_STATUS.ABSENT, ...RECORDED_STATUSES];
+
+/**
+ * Accepts { "1001": "late" } or [{ studentID, status }] from a request body.
+ * @param {*} input
+ * @param {Set<string>} validStudentIDs  students who belong to the class / language group
+ * @returns {{ statuses: Map<string, string>, errors: string[] }}
+ */
+function parseStatusInput(input, validStudentIDs) {
+  const statuses = new Map();
+  const errors = [];
+  if (input === undefined || input === null) return { statuses, errors };
+
+  const entries = Array.isArray(input)
+    ? input.map(item => [item && item.studentID, item && item.status])
+    : typeof input === 'object' ? Object.entries(input) : null;
+
+  if (!entries) {
+    return { statuses, errors: ['studentStatuses must be an object of studentID → status or an array of { studentID, status }'] };
+  }
+
+  entries.forEach(([studentID, status]) => {
+    const id = String(studentID || '').trim();
+    const value = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+    if (!validStudentIDs.has(id)) {
+      errors.push(`${id || '(blank)'}: not a student of this class`);
+    } else if (!ACCEPTED_STATUSES.includes(value)) {
+      errors.push(`${id}: invalid status "${status}". Use one of ${ACCEPTED_STATUSES.join(', ')}`);
+    } else {
+      statuses.set(id, value);
+    }
+  });
+
+  return { statuses, errors };
+}
+
+/**
+ * Final present list and studentStatuses for one record.
+ * Teacher statuses win: late (and present) students are added to the present list, everyone
+ * else given a status is taken off it. Approved leave then covers students who are neither
+ * present nor given a status by the teacher.
+ * @param {object} options
+ * @param {string[]} options.studentsPresent
+ * @param {Map<string, string>} [options.manualStatuses]  result of parseStatusInput().statuses
+ * @param {Array} [options.leaves]  approved LeaveApplications covering the record's date
+ */
+function resolveStudentStatuses({ studentsPresent, manualStatuses = new Map(), leaves = [] }) {
+  const present = new Set(studentsPresent);
+  const studentStatuses = [];
+
+  manualStatuses.forEach((status, studentID) => {
+    if (status === ATTENDANCE_STATUS.PRESENT || status === ATTENDANCE_STATUS.LATE) present.add(studentID);
+    else present.delete(studentID);
+
+    if (RECORDED_STATUSES.includes(status)) {
+      studentStatuses.push({ studentID, status, source: 'manual', leaveId: null });
+    }
+  });
+
+  const covered = new Set(studentStatuses.map(s => s.studentID));
+  leaves.forEach(leave => {
+    if (present.has(leave.studentID) || manualStatuses.has(leave.studentID) || covered.has(leave.studentID)) return;
+
+    covered.add(leave.studentID);
+    studentStatuses.push({ studentID: leave.studentID, status: leave.leaveType, source: 'leave', leaveId: leave._id });
+  });
+
+  return { studentsPresent: [...present], studentStatuses };
+}
+
+// Teacher-set statuses of an existing record as a Map, for re-saves that only send present lists
+function getManualStatuses(record) {
+  return new Map(
+    ((record && record.studentStatuses) || [])
+      .filter(s => s.source !== 'leave')
+      .map(s => [s.studentID, s.status])
+  );
+}
+
+const AUDIT_FIELDS = 'stream semester subject date period studentsPresent studentStatuses';
+
+// The student's language group; language subjects of other groups are not their classes
+async function findStudentLanguage(leave) {
+  const student = await mongoose.connection
+    .collection(getCollectionName(leave.stream, leave.semester, 'students'))
+    .findOne({ studentID: leave.studentID }, { projection: { languageSubject: 1 } });
+
+  return student && student.languageSubject ? student.languageSubject.toUpperCase() : null;
+}
+
+// ✅ Applies an approved leave to classes already marked in its date range.
+// Students marked present, or given a status by the teacher, are left as they are, and
+// language subjects only get the leave for students of that language (as when marking).
+// `user` (whoever approved) is recorded in the attendance audit log.
+async function applyLeaveToAttendance(leave, user) {
+  const language = await findStudentLanguage(leave);
+  const records = await AttendanceRecord.find({
+    ...getClassScope(leave.stream, leave.semester),
+    date: { $gte: leave.fromDate, $lte: leave.toDate },
+    studentsPresent: { $ne: leave.studentID },
+    'studentStatuses.studentID': { $ne: leave.studentID },
+    $or: [
+      { isLanguageSubject: { $ne: true } },
+      ...(language ? [{ languageType: language }] : [])
+    ]
+  }, AUDIT_FIELDS).lean();
+
+  if (records.length === 0) return 0;
+
+  const entry = { studentID: leave.studentID, status: leave.leaveType, source: 'leave', leaveId: leave._id };
+  await AttendanceRecord.updateMany(
+    { _id: { $in: records.map(r => r._id) } },
+    { $push: { studentStatuses: entry }, $inc: { version: 1 } }
+  );
+
+  await Promise.all(records.map(record => recordAttendanceChange({
+    before: record,
+    after: { ...record, studentStatuses: [...(record.studentStatuses || []), entry] },
+    source: 'leave:approve',
+    user
+  })));
+
+  return records.length;
+}
+
+// Withdraws a leave from every record it was applied to; those classes count as absences again
+async function removeLeaveFromAttendance(leave, user) {
+  const records = await AttendanceRecord.find({ 'studentStatuses.leaveId': leave._id }, AUDIT_FIELDS).lean();
+  if (records.length === 0) return 0;
+
+  const result = await AttendanceRecord.updateMany(
+    { _id: { $in: records.map(r => r._id) } },
+    { $pull: { studentStatuses: { leaveId: leave._id } }, $inc: { version: 1 } }
+  );
+
+  await Promise.all(records.map(record => recordAttendanceChange({
+    before: record,
+    after: {
+      ...record,
+      studentStatuses: record.studentStatuses.filter(s => String(s.leaveId) !== String(leave._id))
+    },
+    source: 'leave:cancel',
+    user
+  })));
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  parseStatusInput,
+  resolveStudentStatuses,
+  getManualStatuses,
+  applyLeaveToAttendance,
+  removeLeaveFromAttendance
+};
@@ -0,0 +1,145 @@
+// utils/programRegistry.js
+// ✅ Single source of truth for streams/programs: code, display name, collection slug,
+// allowed semesters and sections. Backed by the "programs" collection and cached in memory
+// so synchronous helpers like getCollectionName() can resolve streams without a DB round-trip.
+
+const Program = require('../models/Program');
+
+// Seed data (matches the streams that used to be hard-coded across the routes)
+const DEFAULT_PROGRAMS = [
+  { code: "BCA", displayName: "Bachelor of Computer Applications", slug: "bca", semesters: [1, 2, 3, 4, 5, 6], sections: [] },
+  { code: "BBA", displayName: "Bachelor of Business Administration", slug: "bba", semesters: [1, 2, 3, 4, 5, 6], sections: [] },
+  { code: "BCom", displayName: "Bachelor of Commerce", slug: "bcom", semesters: [1, 2, 3, 4, 5, 6], sections: [] },
+  { code: "BCom Section B", displayName: "Bachelor of Commerce - Section B", slug: "bcomsectionb", semesters: [5, 6], sections: [] },
+  { code: "BCom-BDA", displayName: "B.Com Business Data Analytics", slug: "bcom-bda", semesters: [1, 2, 3, 4, 5, 6], sections: [] },
+  { code: "BCom A and F", displayName: "B.Com Accounting and Finance", slug: "bcom_a_and_f", semesters: [1, 2, 3, 4, 5, 6], sections: [] }
+];
+
+const toPlainProgram = (p) => ({
+  code: p.code,
+  displayName: p.displayName,
+  slug: p.slug,
+  semesters: [...p.semesters].map(Number).sort((a, b) => a - b),
+  sections: [...(p.sections || [])],
+  attendancePolicy: p.attendancePolicy
+    ? {
+        minimumPercentage: p.attendancePolicy.minimumPercentage ?? null,
+        condonationMinimum: p.attendancePolicy.condonationMinimum ?? null,
+        editLockHours: p.attendancePolicy.editLockHours ?? null,
+        statusTreatment: p.attendancePolicy.statusTreatment
+          ? Object.fromEntries(Object.entries(p.attendancePolicy.statusTreatment).filter(([, treatment]) => treatment))
+          : null
+      }
+    : null,
+  isActive: p.isActive !== false
+});
+
+// code → program
+let programCache = new Map(DEFAULT_PROGRAMS.map(p => [p.code, toPlainProgram(p)]));
+let lastLoadedAt = null;
+
+// ✅ Load programs from MongoDB, seeding the defaults on first run
+async function loadPrograms() {
+  let programs = await Program.find({}).lean();
+
+  if (programs.length === 0) {
+    await Program.insertMany(DEFAULT_PROGRAMS, { ordered: false });
+    programs = await Program.find({}).lean();
+    console.log(`🌱 Seeded ${programs.length} default programs`);
+  }
+
+  programCache = new Map(programs.map(p => [p.code, toPlainProgram(p)]));
+  lastLoadedAt = new Date();
+  console.log(`🎓 Program registry loaded: ${[...programCache.keys()].join(', ')}`);
+  return listPrograms({ includeInactive: true });
+}
+
+function listPrograms({ includeInactive = false } = {}) {
+  return [...programCache.values()].filter(p => includeInactive || p.isActive);
+}
+
+// Exact code match first, then case-insensitive (student/subject records store streams uppercase)
+function findProgram(stream, { includeInactive = false } = {}) {
+  if (!stream) return null;
+
+  const value = stream.toString().trim();
+  let program = programCache.get(value);
+
+  if (!program) {
+    const upper = value.toUpperCase();
+    program = [...programCache.values()].find(p => p.code.toUpperCase() === upper) || null;
+  }
+
+  if (program && !program.isActive && !includeInactive) return null;
+  return program;
+}
+
+function getProgram(stream) {
+  const program = findProgram(stream);
+  if (!program) {
+    const validStreams = getProgramCodes();
+    throw new Error(`Invalid stream: "${stream}". Valid streams are: ${validStreams.join(', ')}`);
+  }
+  return program;
+}
+
+function getProgramCodes() {
+  return listPrograms().map(p => p.code);
+}
+
+function isValidStream(stream) {
+  return !!findProgram(stream);
+}
+
+function isValidSemester(stream, semester) {
+  const program = findProgram(stream);
+  return !!program && program.semesters.includes(parseInt(semester));
+}
+
+function isValidSection(stream, section) {
+  const program = findProgram(stream);
+  if (!program) return false;
+  if (!section || program.sections.length === 0) return true;
+  return program.sections.includes(section.toString().trim().toUpperCase());
+}
+
+// ✅ Collection name for a program's per-semester collections
+function getCollectionName(stream, semester, type) {
+  if (!stream || !semester || !type) {
+    throw new Error(`Missing required parameters: stream="${stream}", semester="${semester}", type="${type}"`);
+  }
+
+  // Inactive programs still resolve so their historic collections stay readable
+  const program = findProgram(stream, { includeInactive: true });
+  if (!program) {
+    throw new Error(`Invalid stream: "${stream}". Valid streams are: ${getProgramCodes().join(', ')}`);
+  }
+
+  if (isNaN(semester) || parseInt(semester) < 1 || parseInt(semester) > 8) {
+    throw new Error(`Invalid semester: "${semester}". Must be between 1-8`);
+  }
+
+  const collectionName = `${program.slug}_sem${semester}_${type}`;
+  console.log(`🗂️ Generated collection name: "${collectionName}"`);
+  return collectionName;
+}
+
+// Legacy { code: slug } shape for callers that still want a mapping object
+function getStreamMappings() {
+  return Object.fromEntries(listPrograms().map(p => [p.code, p.slug]));
+}
+
+module.exports = {
+  DEFAULT_PROGRAMS,
+  loadPrograms,
+  listPrograms,
+  findProgram,
+  getProgram,
+  getProgramCodes,
+  isValidStream,
+  isValidSemester,
+  isValidSection,
+  getCollectionName,
+  getStreamMappings,
+  getLastLoadedAt: () => lastLoadedAt
+};
@@ -0,0 +1,77 @@
+// utils/rollCall.js
+// ✅ Roll call by exception: teachers enter only the absentees, as studentIDs or as roll numbers
+// ("3,7,12-15"). Roll numbers are positions in the class list sorted by studentID, the same
+// order and serial numbers the attendance page shows.
+
+const crypto = require('crypto');
+
+const ROLL_TOKEN_PATTERN = /^(\d{1,4})(?:\s*-\s*(\d{1,4}))?$/;
+
+// Numeric-aware studentID order ("2" before "10", "BCA2" before "BCA10"), matching index.html
+const compareStudentIDs = (a, b) =>
+  String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+const sortClassList = (students) => [...students].sort((a, b) => compareStudentIDs(a.studentID, b.studentID));
+
+/**
+ * "3,7,12-15" → [3, 7, 12, 13, 14, 15]; commas or spaces separate entries.
+ * @returns {{ rolls: number[], errors: string[] }}
+ */
+function parseRollRanges(input, classSize) {
+  const rolls = new Set();
+  const errors = [];
+
+  String(input).split(/[,\s]+/).filter(Boolean).forEach(token => {
+    const match = ROLL_TOKEN_PATTERN.exec(token);
+    if (!match) {
+      errors.push(`"${token}" is not a roll number or range`);
+      return;
+    }
+
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+    if (from < 1 || to > classSize || from > to) {
+      errors.push(`"${token}" is outside roll numbers 1-${classSize}`);
+      return;
+    }
+
+    for (let roll = from; roll <= to; roll++) rolls.add(roll);
+  });
+
+  return { rolls: [...rolls].sort((a, b) => a - b), errors };
+}
+
+/**
+ * Resolves studentsAbsent against the sorted class list.
+ * @param {Array|string} studentsAbsent  studentIDs, or a roll-number range string
+ * @param {Array} classList  relevant students, sorted with sortClassList
+ * @returns {{ absentIDs: string[], errors: string[] }}
+ */
+function resolveAbsentees(studentsAbsent, classList) {
+  if (typeof studentsAbsent === 'string') {
+    const { rolls, errors } = parseRollRanges(studentsAbsent, classList.length);
+    return { absentIDs: rolls.map(roll => classList[roll - 1].studentID), errors };
+  }
+
+  const known = new Set(classList.map(s => s.studentID));
+  const ids = [...new Set(studentsAbsent.map(id => String(id).trim().toUpperCase()))];
+  return {
+    absentIDs: ids.filter(id => known.has(id)),
+    errors: ids.filter(id => !known.has(id)).map(id => `${id} is not in this class list`)
+  };
+}
+
+// Ties a confirmation to exactly what was previewed: same session, same present / absent split
+const confirmationToken = ({ date, period, subject, studentsPresent, absentIDs }) =>
+  crypto.createHash('sha256')
+    .update(JSON.stringify([date, period, String(subject).toUpperCase(), [...studentsPresent].sort(), [...absentIDs].sort()]))
+    .digest('hex')
+    .slice(0, 16);
+
+module.exports = {
+  compareStudentIDs,
+  sortClassList,
+  parseRollRanges,
+  resolveAbsentees,
+  confirmationToken
+};
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { todayKey, formatDateKey } = require('./dateKeys');
 require('dotenv').config();
 
 class WhatsAppService {
@@ -174,11 +175,7 @@ class WhatsAppService {
    */
   async sendAbsenceAlert(parentPhone, studentName, studentID, absentSubjects, options = {}) {
     const {
-      date = new Date().toLocaleDateString('en-IN', {
-        day: '2-digit',
-        month: '2-digit', 
-        year: 'numeric'
-      }),
+      date = formatDateKey(todayKey()),
       stream = '',
       semester = '',
       isFullDay = false,
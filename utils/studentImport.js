@@ -0,0 +1,84 @@
+// utils/studentImport.js
+// ✅ Turns an uploaded CSV / XLSX student list into plain rows keyed by student field names.
+// Validation happens against studentSchema in the import route, not here.
+
+const path = require('path');
+const XLSX = require('xlsx');
+
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+const MAX_IMPORT_ROWS = 2000;
+
+// Header spellings seen in college spreadsheets → student field
+const HEADER_ALIASES = {
+  studentid: 'studentID',
+  id: 'studentID',
+  regno: 'studentID',
+  registerno: 'studentID',
+  registrationnumber: 'studentID',
+  name: 'name',
+  studentname: 'name',
+  parentphone: 'parentPhone',
+  parentmobile: 'parentPhone',
+  parentcontact: 'parentPhone',
+  phone: 'parentPhone',
+  mobile: 'parentPhone',
+  languagesubject: 'languageSubject',
+  language: 'languageSubject',
+  section: 'section'
+};
+
+const normalizeHeader = (header) => header.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function isAllowedFile(filename) {
+  return ALLOWED_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+}
+
+/**
+ * Parses the first sheet of a CSV / XLSX buffer.
+ * @returns {{ rows: Array<{ row: number, data: object }>, unknownColumns: string[], missingColumns: string[] }}
+ *   row numbers match the spreadsheet (header is row 1)
+ */
+function parseStudentFile(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { rows: [], unknownColumns: [], missingColumns: ['studentID', 'name', 'parentPhone'] };
+  }
+
+  // raw values keep long phone numbers from turning into "9.19E+11"
+  const records = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+  const headers = records.length > 0 ? Object.keys(records[0]) : [];
+
+  const columnMap = {};
+  const unknownColumns = [];
+  headers.forEach(header => {
+    const field = HEADER_ALIASES[normalizeHeader(header)];
+    if (field) columnMap[header] = field;
+    else unknownColumns.push(header);
+  });
+
+  const mappedFields = new Set(Object.values(columnMap));
+  const missingColumns = ['studentID', 'name', 'parentPhone'].filter(f => !mappedFields.has(f));
+
+  const rows = records
+    .map((record, index) => {
+      const data = {};
+      Object.entries(columnMap).forEach(([header, field]) => {
+        const value = record[header];
+        data[field] = value === null || value === undefined ? '' : value.toString().trim();
+      });
+      // __rowNum__ is the 0-based sheet row, so blank lines skipped by the parser keep numbering right
+      return { row: (record.__rowNum__ ?? index + 1) + 1, data };
+    })
+    // Skip fully blank lines
+    .filter(({ data }) => Object.values(data).some(Boolean));
+
+  return { rows, unknownColumns, missingColumns };
+}
+
+module.exports = {
+  ALLOWED_EXTENSIONS,
+  MAX_IMPORT_ROWS,
+  isAllowedFile,
+  parseStudentFile
+};
@@ -0,0 +1,282 @@
+// utils/teachingLog.js
+// ✅ Teaching history (models/TeachingLog.js). Queueing a class logs it as scheduled for the day;
+// saving its attendance turns the entry into a taken class with the record's counts. A scheduled
+// entry still open after its day is a missed / unmarked class. Attendance saved without a queued
+// class gets its own taken entry, so the log is complete even for teachers who skip the queue.
+
+const TeachingLog = require('../models/TeachingLog');
+const { findProgram } = require('./programRegistry');
+const { getRecordPeriod } = require('./attendanceStore');
+const { isDateKey, dateFromKey, toDateKey, todayKey, addDays } = require('./dateKeys');
+
+// Length of a class when its start / end time was not entered
+const TEACHING_PERIOD_MINUTES = parseInt(process.env.TEACHING_PERIOD_MINUTES) || 60;
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// "09:00" → "10:30" is 90 minutes; missing or reversed times fall back to one period
+function classMinutes(startTime, endTime) {
+  if (!startTime || !endTime) return TEACHING_PERIOD_MINUTES;
+  const minutes = toMinutes(endTime) - toMinutes(startTime);
+  return minutes > 0 ? minutes : TEACHING_PERIOD_MINUTES;
+}
+
+const teacherInfo = (user) => ({
+  teacherUID: user.uid,
+  teacherName: user.name || null,
+  teacherEmail: user.email || null
+});
+
+const programCode = (stream) => {
+  const program = findProgram(stream, { includeInactive: true });
+  return program ? program.code : stream.toString().trim().toUpperCase();
+};
+
+// What a taken entry records about an attendance record
+function takenDetails(record) {
+  const totalStudents = record.totalStudents || 0;
+  const presentCount = (record.studentsPresent || []).length;
+
+  return {
+    stream: programCode(record.stream),
+    semester: record.semester,
+    subject: record.subject,
+    date: record.date,
+    period: getRecordPeriod(record),
+    startTime: record.startTime || null,
+    endTime: record.endTime || null,
+    minutes: classMinutes(record.startTime, record.endTime),
+    totalStudents,
+    presentCount,
+    absentCount: Math.max(totalStudents - presentCount, 0)
+  };
+}
+
+/**
+ * Logs a queued class as scheduled for today.
+ * @param {object} user      req.user of the teacher
+ * @param {object} queued    the queue item (Teacher.attendanceQueue entry)
+ */
+function logScheduledClass(user, queued) {
+  return TeachingLog.findOneAndUpdate(
+    { teacherUID: user.uid, queueClassId: queued.id },
+    {
+      $setOnInsert: {
+        ...teacherInfo(user),
+        stream: programCode(queued.stream),
+        semester: parseInt(queued.semester),
+        subject: queued.subject,
+        date: dateFromKey(todayKey()),
+        status: 'scheduled',
+        source: 'queue:add'
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// A queued class removed before its attendance was taken
+function cancelScheduledClass(user, queueClassId) {
+  return TeachingLog.updateOne(
+    { teacherUID: user.uid, queueClassId, status: 'scheduled' },
+    { $set: { status: 'cancelled' } }
+  );
+}
+
+/**
+ * Logs a class as taken once its attendance record is saved. Re-saving the same record only
+ * refreshes its counts, so an admin correcting a teacher's marking does not take the class over.
+ * Without a user (a record whose marker is unknown) only an existing entry is refreshed.
+ * A first save closes the teacher's scheduled entry for the class: the completed queued class,
+ * or else the one queued for the same class on the record's day (e.g. an offline roll call
+ * synced the next day, when the queue item is no longer completed automatically).
+ * @param {object} options
+ * @param {object} options.record          the saved attendance record
+ * @param {object|null} options.user       the teacher who took the class
+ * @param {string} options.source          route or process, e.g. "POST /attendance"
+ * @param {string} [options.queueClassId]  queued class the attendance completed
+ */
+async function logTakenClass({ record, user, source, queueClassId = null }) {
+  const details = takenDetails(record);
+
+  if (!user) {
+    return TeachingLog.findOneAndUpdate({ recordId: record._id }, { $set: details }, { new: true });
+  }
+
+  if (!(await TeachingLog.exists({ recordId: record._id }))) {
+    const scheduledFilter = queueClassId
+      ? { teacherUID: user.uid, queueClassId, status: 'scheduled' }
+      : {
+          teacherUID: user.uid,
+          status: 'scheduled',
+          stream: details.stream,
+          semester: details.semester,
+          subject: details.subject,
+          date: details.date
+        };
+
+    const scheduled = await TeachingLog.findOneAndUpdate(
+      scheduledFilter,
+      { $set: { ...details, status: 'taken', recordId: record._id, source, takenAt: new Date() } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (scheduled) return scheduled;
+  }
+
+  return TeachingLog.findOneAndUpdate(
+    { recordId: record._id },
+    {
+      $set: details,
+      $setOnInsert: { ...teacherInfo(user), status: 'taken', source, takenAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// "2025-03" → { from: "2025-03-01", to: "2025-03-31" }, or null when malformed
+function monthRange(month) {
+  const match = MONTH_PATTERN.exec(String(month || ''));
+  if (!match) return null;
+
+  const from = `${month}-01`;
+  const nextMonth = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1)).toISOString().slice(0, 10);
+  return { from, to: addDays(nextMonth, -1) };
+}
+
+// Date filter for from / to date keys (either may be omitted); null when one is malformed
+function dateRangeFilter(from, to) {
+  if ((from && !isDateKey(from)) || (to && !isDateKey(to))) return null;
+
+  const filter = {};
+  if (from) filter.$gte = dateFromKey(from);
+  if (to) filter.$lte = dateFromKey(to);
+  return Object.keys(filter).length ? { date: filter } : {};
+}
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Classes taken, hours and missed classes per day of a month.
+ * @returns {Promise<object>} { month, from, to, totals, days: [{ date, classes, hours, missed }] }
+ */
+async function monthlyWorkload(teacherUID, month) {
+  const { from, to } = monthRange(month);
+  const entries = await TeachingLog.find({
+    teacherUID,
+    status: { $in: ['taken', 'scheduled'] },
+    ...dateRangeFilter(from, to)
+  }, 'date status minutes subject stream semester').lean();
+
+  const today = todayKey();
+  const days = new Map();
+  const totals = { classes: 0, minutes: 0, missed: 0, subjects: new Set() };
+
+  entries.forEach(entry => {
+    const date = toDateKey(entry.date);
+    const day = days.get(date) || { date, classes: 0, minutes: 0, missed: 0 };
+
+    if (entry.status === 'taken') {
+      day.classes++;
+      day.minutes += entry.minutes || 0;
+      totals.classes++;
+      totals.minutes += entry.minutes || 0;
+      totals.subjects.add(`${entry.stream}|${entry.semester}|${entry.subject}`);
+    } else if (date < today) {
+      day.missed++;
+      totals.missed++;
+    }
+
+    days.set(date, day);
+  });
+
+  const dayList = [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ minutes, ...day }) => ({ ...day, hours: toHours(minutes) }));
+
+  return {
+    month,
+    from,
+    to,
+    totals: {
+      classes: totals.classes,
+      hours: toHours(totals.minutes),
+      missed: totals.missed,
+      subjects: totals.subjects.size,
+      teachingDays: dayList.filter(day => day.classes > 0).length
+    },
+    days: dayList
+  };
+}
+
+// Hours taught per stream / semester / subject over a date range
+async function hoursBySubject(teacherUID, from, to) {
+  const rows = await TeachingLog.aggregate([
+    { $match: { teacherUID, status: 'taken', ...dateRangeFilter(from, to) } },
+    {
+      $group: {
+        _id: { stream: '$stream', semester: '$semester', subject: '$subject' },
+        classes: { $sum: 1 },
+        minutes: { $sum: '$minutes' },
+        studentsPresent: { $sum: '$presentCount' },
+        studentsExpected: { $sum: '$totalStudents' },
+        firstTaught: { $min: '$date' },
+        lastTaught: { $max: '$date' }
+      }
+    },
+    { $sort: { minutes: -1, '_id.subject': 1 } }
+  ]);
+
+  return rows.map(row => ({
+    ...row._id,
+    classes: row.classes,
+    hours: toHours(row.minutes),
+    averageAttendance: row.studentsExpected
+      ? Math.round((row.studentsPresent / row.studentsExpected) * 1000) / 10
+      : null,
+    firstTaught: toDateKey(row.firstTaught),
+    lastTaught: toDateKey(row.lastTaught)
+  }));
+}
+
+// Scheduled classes whose day is over without attendance being saved
+async function missedClasses(teacherUID, from, to) {
+  const range = dateRangeFilter(from, to).date || {};
+  const yesterday = dateFromKey(addDays(todayKey(), -1));
+  const before = range.$lte && range.$lte < yesterday ? range.$lte : yesterday;
+
+  const entries = await TeachingLog.find({
+    teacherUID,
+    status: 'scheduled',
+    date: { ...range, $lte: before }
+  }, 'stream semester subject date queueClassId createdAt')
+    .sort({ date: -1 })
+    .lean();
+
+  return entries.map(entry => ({
+    id: entry._id,
+    stream: entry.stream,
+    semester: entry.semester,
+    subject: entry.subject,
+    date: toDateKey(entry.date),
+    queueClassId: entry.queueClassId,
+    scheduledAt: entry.createdAt
+  }));
+}
+
+module.exports = {
+  TEACHING_PERIOD_MINUTES,
+  classMinutes,
+  takenDetails,
+  logScheduledClass,
+  cancelScheduledClass,
+  logTakenClass,
+  monthRange,
+  dateRangeFilter,
+  monthlyWorkload,
+  hoursBySubject,
+  missedClasses
+};